@@ -0,0 +1,143 @@
+// frontend/api/_lib/arcgis.js
+// Point lookups against ArcGIS MapServer / FeatureServer layers (NFHL and
+// the other hazard layers): GeoJSON queries with retries and bounded
+// concurrency, a progressive envelope search, and recorded fixtures.
+//
+// Fixtures, for working offline:
+//   ARCGIS_FIXTURES=record  - query upstream and save every response
+//   ARCGIS_FIXTURES=replay  - answer only from saved responses (no network)
+//   ARCGIS_FIXTURE_DIR      - where they live (default scripts/fixtures/arcgis)
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createLimiter, fetchJsonWithRetry } from "./upstream.js";
+
+const FIXTURE_MODE = process.env.ARCGIS_FIXTURES ?? null;
+const FIXTURE_DIR =
+  process.env.ARCGIS_FIXTURE_DIR ??
+  fileURLToPath(new URL("../../scripts/fixtures/arcgis/", import.meta.url));
+
+// Convert meters to degrees around this latitude
+export function metersToDeg(meters, lat) {
+  const degLat = meters / 111320; // ~meters per degree latitude
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  const degLon = cosLat > 0.2 ? degLat / cosLat : degLat;
+  return { degLat, degLon };
+}
+
+// Host-independent, so recordings made against the live service replay
+// when the base URL points elsewhere (and vice versa)
+function fixtureFile(label, url) {
+  const params = [...url.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+  const canonical = `${url.pathname}?${new URLSearchParams(params)}`;
+  const hash = createHash("sha1").update(canonical).digest("hex").slice(0, 16);
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return { file: path.join(FIXTURE_DIR, `${slug}-${hash}.json`), canonical };
+}
+
+async function replayFixture(label, url) {
+  const { file, canonical } = fixtureFile(label, url);
+  try {
+    return JSON.parse(await readFile(file, "utf8")).body;
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    throw Object.assign(new Error(`${label}: no recorded fixture for ${canonical}`), { status: 404 });
+  }
+}
+
+async function recordFixture(label, url, body) {
+  const { file, canonical } = fixtureFile(label, url);
+  await mkdir(FIXTURE_DIR, { recursive: true });
+  await writeFile(file, JSON.stringify({ query: canonical, recorded_at: new Date().toISOString(), body }, null, 1));
+}
+
+const hostLimiters = new Map();
+
+/**
+ * The request limiter for `url`'s host, shared by every layer served from
+ * it (FEMA's NFHL zones, panels and hazard layers all live on one host).
+ * The first caller's `max` sets the cap.
+ */
+export function hostLimiter(url, max) {
+  const host = new URL(url).host;
+  if (!hostLimiters.has(host)) hostLimiters.set(host, createLimiter(max));
+  return hostLimiters.get(host);
+}
+
+/**
+ * One queryable layer. `url` is the layer's /query endpoint.
+ * Options: label (for errors and fixture names), limit (a limiter from
+ * hostLimiter(); by default the host's, capped at 2), retries, timeoutMs,
+ * maxRecords (candidates per query), outFields.
+ */
+export function createArcgisLayer(
+  url,
+  {
+    label = "ArcGIS",
+    limit = hostLimiter(url, 2),
+    retries = 3,
+    timeoutMs = 10000,
+    maxRecords = 25,
+    outFields = "*",
+  } = {}
+) {
+  function buildQueryUrl(params) {
+    const u = new URL(url);
+    u.searchParams.set("f", "geojson");
+    u.searchParams.set("returnGeometry", "true");
+    u.searchParams.set("outSR", "4326");
+    u.searchParams.set("outFields", outFields);
+    u.searchParams.set("resultRecordCount", String(maxRecords));
+    for (const [k, v] of Object.entries(params)) u.searchParams.set(k, String(v));
+    return u;
+  }
+
+  async function query(params) {
+    const u = buildQueryUrl(params);
+    if (FIXTURE_MODE === "replay") return replayFixture(label, u);
+
+    const body = await limit(() => fetchJsonWithRetry(u, { retries, timeoutMs, label }));
+    if (FIXTURE_MODE === "record") await recordFixture(label, u, body);
+    return body;
+  }
+
+  function queryPoint(lon, lat) {
+    return query({
+      geometryType: "esriGeometryPoint",
+      geometry: `${lon},${lat}`,
+      inSR: "4326",
+      spatialRel: "esriSpatialRelIntersects",
+    });
+  }
+
+  function queryEnvelope(lon, lat, meters) {
+    const { degLat, degLon } = metersToDeg(meters, lat);
+    return query({
+      geometryType: "esriGeometryEnvelope",
+      geometry: `${lon - degLon},${lat - degLat},${lon + degLon},${lat + degLat}`,
+      inSR: "4326",
+      spatialRel: "esriSpatialRelIntersects",
+    });
+  }
+
+  /**
+   * Point query first (unless pointQuery is false), then ever larger
+   * envelopes until choose(fc) returns a result with a `best` feature.
+   * Resolves to { method, radius_m?, ...choice } or null when nothing is
+   * within the largest radius.
+   */
+  async function search(lon, lat, { radii, choose, pointQuery = true }) {
+    if (pointQuery) {
+      const choice = choose(await queryPoint(lon, lat));
+      if (choice.best) return { method: "point_intersects", ...choice };
+    }
+    for (const r of radii) {
+      const choice = choose(await queryEnvelope(lon, lat, r));
+      if (choice.best) return { method: "envelope_fallback", radius_m: r, ...choice };
+    }
+    return null;
+  }
+
+  return { url, label, query, queryPoint, queryEnvelope, search };
+}
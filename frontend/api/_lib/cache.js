@@ -0,0 +1,132 @@
+// frontend/api/_lib/cache.js
+// Stale-while-revalidate cache: in memory per server instance, optionally
+// backed by a Postgres table so entries survive cold starts.
+import { query } from "./db.js";
+
+const MAX_MEMORY_ENTRIES = 5000;
+
+// Postgres-backed store; the table is created on first use
+function createPgStore(table) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(table)) throw new Error(`Bad cache table name: ${table}`);
+  let ready = null;
+
+  function ensureTable() {
+    ready ??= query(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+         key text PRIMARY KEY,
+         body jsonb NOT NULL,
+         stored_at timestamptz NOT NULL DEFAULT now()
+       )`
+    ).catch((err) => {
+      ready = null;
+      throw err;
+    });
+    return ready;
+  }
+
+  return {
+    async get(key) {
+      await ensureTable();
+      const rows = await query(`SELECT body, stored_at FROM ${table} WHERE key = $1`, [key]);
+      if (!rows.length) return null;
+      return { value: rows[0].body, storedAt: new Date(rows[0].stored_at).getTime() };
+    },
+    async set(key, value, storedAt) {
+      await ensureTable();
+      await query(
+        `INSERT INTO ${table} (key, body, stored_at) VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO UPDATE SET body = EXCLUDED.body, stored_at = EXCLUDED.stored_at`,
+        [key, JSON.stringify(value), new Date(storedAt)]
+      );
+    },
+  };
+}
+
+/**
+ * cache.get(key, load) resolves to { value, status } where status is
+ *   "hit"   - fresh entry (younger than ttlMs)
+ *   "stale" - older than ttlMs; served immediately, refreshed in the background
+ *             while within swrMs, or because load() just failed
+ *   "miss"  - loaded now
+ * load() errors propagate only when there is nothing cached at all.
+ */
+export function createSwrCache({ ttlMs, swrMs, pgTable = null }) {
+  const memory = new Map();
+  const pg = pgTable ? createPgStore(pgTable) : null;
+  const refreshing = new Map(); // key -> in-flight load promise
+
+  function remember(key, entry) {
+    memory.delete(key); // re-insert to keep Map order ~ LRU
+    memory.set(key, entry);
+    if (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+  }
+
+  async function read(key) {
+    const hit = memory.get(key);
+    if (hit || !pg) return hit ?? null;
+    try {
+      const row = await pg.get(key);
+      if (row) remember(key, row);
+      return row;
+    } catch (err) {
+      console.error("Cache read failed:", err);
+      return null;
+    }
+  }
+
+  function refresh(key, load) {
+    if (refreshing.has(key)) return refreshing.get(key);
+
+    const p = Promise.resolve()
+      .then(load)
+      .then(async (value) => {
+        const entry = { value, storedAt: Date.now() };
+        remember(key, entry);
+        if (pg) await pg.set(key, value, entry.storedAt).catch((err) => console.error("Cache write failed:", err));
+        return value;
+      })
+      .finally(() => refreshing.delete(key));
+
+    refreshing.set(key, p);
+    return p;
+  }
+
+  return {
+    async get(key, load) {
+      const entry = await read(key);
+      const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+      if (age <= ttlMs) return { value: entry.value, status: "hit" };
+
+      if (age <= ttlMs + swrMs) {
+        refresh(key, load).catch((err) => console.error("Background refresh failed:", err));
+        return { value: entry.value, status: "stale" };
+      }
+
+      try {
+        return { value: await refresh(key, load), status: "miss" };
+      } catch (err) {
+        // Upstream down: the last known answer beats an error
+        if (entry) return { value: entry.value, status: "stale", error: err };
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Folds a cache.get() result into the body's meta: cache is "hit", "miss"
+ * or "stale"; stale is true when the body is older than the TTL (including
+ * when upstream is down and this is the last known result).
+ */
+export function withCacheMeta({ value, status, error }) {
+  return {
+    ...value,
+    meta: {
+      ...value.meta,
+      cache: status,
+      stale: status === "stale",
+      ...(error ? { upstream_error: String(error?.message ?? error) } : {}),
+    },
+  };
+}
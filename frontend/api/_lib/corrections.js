@@ -0,0 +1,120 @@
+// frontend/api/_lib/corrections.js
+// Manual geocode corrections: move a park, keep an audit row per move, then
+// re-run the flood-zone lookup at the new point.
+import { query } from "./db.js";
+import { lookupFirmPanel, lookupFloodZone } from "./floodzone.js";
+import { floodResult, writeParkFlood } from "./parkFlood.js";
+
+export const CORRECTED_STATUS = "MANUAL";
+
+const MAX_TEXT = 500;
+
+let tableReady = null;
+
+function ensureTable() {
+  tableReady ??= query(
+    `CREATE TABLE IF NOT EXISTS geocode_corrections (
+       id bigserial PRIMARY KEY,
+       permit text NOT NULL,
+       old_latitude double precision,
+       old_longitude double precision,
+       new_latitude double precision NOT NULL,
+       new_longitude double precision NOT NULL,
+       old_geocode_status text,
+       reviewer text NOT NULL,
+       reason text NOT NULL,
+       flood_zone text,
+       flood_match_method text,
+       created_at timestamptz NOT NULL DEFAULT now()
+     )`
+  )
+    .then(() =>
+      query(`CREATE INDEX IF NOT EXISTS geocode_corrections_permit_idx ON geocode_corrections (permit)`)
+    )
+    .catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  return tableReady;
+}
+
+function cleanText(v) {
+  const s = v == null ? "" : String(v).trim();
+  return s.slice(0, MAX_TEXT);
+}
+
+/**
+ * Validates a correction request body.
+ * Returns { error } or { permit, latitude, longitude, reviewer, reason }.
+ */
+export function parseCorrection(body) {
+  const permit = cleanText(body?.permit);
+  const latitude = Number(body?.latitude);
+  const longitude = Number(body?.longitude);
+  const reviewer = cleanText(body?.reviewer);
+  const reason = cleanText(body?.reason);
+
+  if (!permit) return { error: "Missing permit" };
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return { error: "Invalid latitude" };
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return { error: "Invalid longitude" };
+  if (!reviewer) return { error: "Missing reviewer" };
+  if (!reason) return { error: "Missing reason" };
+  return { permit, latitude, longitude, reviewer, reason };
+}
+
+/**
+ * Moves the park and records the audit row in one statement, then looks up
+ * the flood zone at the new point (bypassing the cache) and stores it.
+ * Resolves to null when the permit does not exist. A failed flood lookup
+ * does not undo the move; it is reported as flood.error.
+ */
+export async function applyCorrection({ permit, latitude, longitude, reviewer, reason }) {
+  await ensureTable();
+
+  const [audit] = await query(
+    `WITH old AS (
+       SELECT permit, latitude, longitude, geocode_status FROM fl_parks WHERE permit = $1 FOR UPDATE
+     ), moved AS (
+       UPDATE fl_parks p
+          SET latitude = $2, longitude = $3, geocode_status = $6
+         FROM old WHERE p.permit = old.permit
+       RETURNING p.permit
+     )
+     INSERT INTO geocode_corrections
+       (permit, old_latitude, old_longitude, old_geocode_status, new_latitude, new_longitude, reviewer, reason)
+     SELECT old.permit, old.latitude, old.longitude, old.geocode_status, $2, $3, $4, $5
+       FROM old JOIN moved ON moved.permit = old.permit
+     RETURNING *`,
+    [permit, latitude, longitude, reviewer, reason, CORRECTED_STATUS]
+  );
+  if (!audit) return null;
+
+  let flood;
+  try {
+    const [park] = await query(`SELECT billing_spaces FROM fl_parks WHERE permit = $1`, [permit]);
+    const [gj, panel] = await Promise.all([
+      lookupFloodZone(latitude, longitude),
+      lookupFirmPanel(latitude, longitude).catch(() => null), // effective date is nice to have
+    ]);
+    flood = floodResult(park ?? {}, gj, panel);
+    await writeParkFlood(permit, flood, { source: "correction" });
+    await query(
+      `UPDATE geocode_corrections SET flood_zone = $2, flood_match_method = $3 WHERE id = $1`,
+      [audit.id, flood.zone, flood.method]
+    );
+    Object.assign(audit, { flood_zone: flood.zone, flood_match_method: flood.method });
+  } catch (err) {
+    console.error(`Flood re-check after correcting ${permit} failed:`, err);
+    flood = { error: String(err?.message ?? err) };
+  }
+
+  return { correction: audit, flood };
+}
+
+/** Audit trail, newest first: one park, or the latest across all parks. */
+export async function listCorrections({ permit = null, limit = 100 } = {}) {
+  await ensureTable();
+  return permit
+    ? query(`SELECT * FROM geocode_corrections WHERE permit = $1 ORDER BY created_at DESC, id DESC`, [permit])
+    : query(`SELECT * FROM geocode_corrections ORDER BY created_at DESC, id DESC LIMIT $1`, [limit]);
+}
@@ -0,0 +1,73 @@
+// frontend/api/_lib/db.js
+// Server-side database access. The connection string is read from
+// DATABASE_URL and never shipped to the browser.
+//
+// Neon hosts go through the Neon serverless HTTP driver; anything else
+// (e.g. postgres://localhost/parkwatch for development) uses a pg pool.
+// Set DB_DRIVER=neon|pg to override the detection.
+import { neon } from "@neondatabase/serverless";
+import pg from "pg";
+
+let client = null;
+
+function isNeonUrl(url) {
+  try {
+    return new URL(url).hostname.endsWith(".neon.tech");
+  } catch {
+    return false;
+  }
+}
+
+function createClient(url) {
+  const driver = process.env.DB_DRIVER ?? (isNeonUrl(url) ? "neon" : "pg");
+
+  if (driver === "neon") {
+    const sql = neon(url);
+    return {
+      query: (text, params = []) => sql.query(text, params),
+      // Non-interactive: every statement is sent up front in one request
+      transaction: (statements) => sql.transaction(statements.map((s) => sql.query(s.text, s.params ?? []))),
+    };
+  }
+
+  const pool = new pg.Pool({ connectionString: url, max: 4 });
+  return {
+    query: async (text, params = []) => (await pool.query(text, params)).rows,
+    transaction: async (statements) => {
+      const conn = await pool.connect();
+      try {
+        await conn.query("BEGIN");
+        const results = [];
+        for (const s of statements) results.push((await conn.query(s.text, s.params ?? [])).rows);
+        await conn.query("COMMIT");
+        return results;
+      } catch (err) {
+        await conn.query("ROLLBACK").catch(() => {});
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+  };
+}
+
+function getClient() {
+  if (!client) {
+    const url = process.env.DATABASE_URL;
+    if (!url) throw new Error("DATABASE_URL is not defined");
+    client = createClient(url);
+  }
+  return client;
+}
+
+// Runs a parameterized query ($1, $2, ...) and resolves to an array of rows.
+export async function query(text, params = []) {
+  return getClient().query(text, params);
+}
+
+// Runs [{ text, params }, …] in one transaction, all or nothing, and
+// resolves to each statement's rows. Statements can't depend on earlier
+// results (the Neon HTTP driver sends them together).
+export async function transaction(statements) {
+  return getClient().transaction(statements);
+}
@@ -0,0 +1,182 @@
+// frontend/api/_lib/floodHistory.js
+// Every flood-zone determination stored on a park (enrichment runs,
+// geocode corrections), so remappings can be dated: zone, risk, the NFHL
+// panel / DFIRM it came from and how the polygon was matched.
+import { query, transaction } from "./db.js";
+
+let tableReady = null;
+
+function ensureTable() {
+  tableReady ??= query(
+    `CREATE TABLE IF NOT EXISTS flood_zone_history (
+       id bigserial PRIMARY KEY,
+       permit text NOT NULL,
+       flood_zone text,
+       flood_subtype text,
+       flood_risk smallint,
+       flood_bfe double precision,
+       dfirm_id text,
+       version_id text,
+       firm_panel text,
+       effective_date date,
+       match_method text,
+       match_distance_m double precision,
+       confidence double precision,
+       source text NOT NULL,
+       checked_at timestamptz NOT NULL DEFAULT now()
+     )`
+  )
+    .then(() =>
+      query(
+        `CREATE INDEX IF NOT EXISTS flood_zone_history_permit_idx
+           ON flood_zone_history (permit, checked_at)`
+      )
+    )
+    .catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  return tableReady;
+}
+
+/**
+ * Appends one determination (a parkFlood.js floodResult). The first time a
+ * park is recorded, its values from before history existed are kept as a
+ * "baseline" entry so the first change is visible too. It is dated at the
+ * park's last check (no later than r), or at -infinity when the park was
+ * never checked, so it predates any `since` in listTierChanges(). `alongWith` ({ text, params } statements, e.g. the fl_parks update)
+ * runs in the same transaction, after the baseline has been read.
+ */
+export async function recordFloodDetermination(permit, r, source, { alongWith = [] } = {}) {
+  await ensureTable();
+  await transaction([
+    {
+      text: `INSERT INTO flood_zone_history (permit, flood_zone, flood_risk, flood_bfe, match_method, source, checked_at)
+             SELECT p.permit, p.flood_zone::text, round(p.flood_risk::numeric), p.flood_bfe, p.flood_match_method,
+                    'baseline',
+                    CASE WHEN p.flood_checked_at IS NULL THEN '-infinity'::timestamptz
+                         ELSE least(p.flood_checked_at, $2) END
+               FROM fl_parks p
+              WHERE p.permit = $1
+                AND (p.flood_zone IS NOT NULL OR p.flood_risk IS NOT NULL)
+                AND NOT EXISTS (SELECT 1 FROM flood_zone_history h WHERE h.permit = p.permit)`,
+      params: [permit, r.checked_at],
+    },
+    {
+      // A miss (method "none") keeps the park's stored zone / risk, as the
+      // fl_parks update does, so it doesn't read as a remapping
+      text: `INSERT INTO flood_zone_history
+               (permit, flood_zone, flood_subtype, flood_risk, flood_bfe, dfirm_id, version_id, firm_panel,
+                effective_date, match_method, match_distance_m, confidence, source, checked_at)
+             SELECT k.permit,
+                    CASE WHEN $10::text = 'none' THEN p.flood_zone::text ELSE $2::text END,
+                    $3,
+                    CASE WHEN $10::text = 'none' THEN round(p.flood_risk::numeric) ELSE $4::numeric END,
+                    CASE WHEN $10::text = 'none' THEN p.flood_bfe ELSE $5::double precision END,
+                    $6, $7, $8, $9, $10, $11, $12, $13, $14
+               FROM (SELECT $1::text AS permit) k
+               LEFT JOIN fl_parks p ON p.permit = k.permit`,
+      params: [
+        permit,
+        r.zone,
+        r.subtype,
+        r.risk,
+        r.bfe,
+        r.dfirm_id ?? null,
+        r.version_id ?? null,
+        r.firm_panel ?? null,
+        r.effective_date ?? null,
+        r.method,
+        r.distance_m,
+        r.confidence,
+        source,
+        r.checked_at,
+      ],
+    },
+    ...alongWith,
+  ]);
+}
+
+/**
+ * One park's determinations, newest first. `changed` marks entries whose
+ * zone or risk differs from the one before (the oldest entry is never
+ * "changed"); `previous_zone` / `previous_risk` are what it changed from.
+ */
+export async function listFloodHistory(permit) {
+  await ensureTable();
+  return query(
+    `SELECT id, flood_zone, flood_subtype, flood_risk, flood_bfe, dfirm_id, version_id, firm_panel,
+            to_char(effective_date, 'YYYY-MM-DD') AS effective_date, match_method, match_distance_m,
+            confidence, source, checked_at, previous_zone, previous_risk,
+            (has_previous AND (flood_zone IS DISTINCT FROM previous_zone
+                               OR flood_risk IS DISTINCT FROM previous_risk)) AS changed
+       FROM (SELECT h.*,
+                    lag(flood_zone) OVER w AS previous_zone,
+                    lag(flood_risk) OVER w AS previous_risk,
+                    lag(id) OVER w IS NOT NULL AS has_previous
+               FROM flood_zone_history h
+              WHERE permit = $1
+             WINDOW w AS (ORDER BY checked_at, id)) t
+      ORDER BY checked_at DESC, id DESC`,
+    [permit]
+  );
+}
+
+/** Latest determination per park, as a Map of permit → row. */
+export async function latestDeterminations(permits) {
+  await ensureTable();
+  const rows = await query(
+    `SELECT DISTINCT ON (permit) permit, flood_zone, dfirm_id, version_id, firm_panel,
+            to_char(effective_date, 'YYYY-MM-DD') AS effective_date, source, checked_at
+       FROM flood_zone_history
+      WHERE permit = ANY($1::text[])
+      ORDER BY permit, checked_at DESC, id DESC`,
+    [permits]
+  );
+  return new Map(rows.map((r) => [r.permit, r]));
+}
+
+// src/risk.js floodTier() over a stored 1/2/3 risk; no risk counts as the
+// middle tier, as it does there
+function tierSql(col) {
+  return `CASE WHEN ${col} IS NULL THEN 'yellow' WHEN ${col} >= 3 THEN 'red'
+               WHEN ${col} >= 2 THEN 'yellow' ELSE 'green' END`;
+}
+
+/**
+ * Parks whose risk tier moved since `since` (a date): the last
+ * determination before it against the latest one. Parks first recorded
+ * after `since` have nothing to compare with and are left out. Tiers are
+ * compared in SQL so `limit` counts changed parks only.
+ */
+export async function listTierChanges({ since, county = null, limit = 1000 }) {
+  await ensureTable();
+  return query(
+    `WITH latest AS (
+       SELECT DISTINCT ON (permit) permit, flood_zone, flood_risk, ${tierSql("flood_risk")} AS tier,
+              effective_date, checked_at
+         FROM flood_zone_history
+        ORDER BY permit, checked_at DESC, id DESC
+     ), before AS (
+       SELECT DISTINCT ON (permit) permit, flood_zone, flood_risk, ${tierSql("flood_risk")} AS tier
+         FROM flood_zone_history
+        WHERE checked_at < $1::date
+        ORDER BY permit, checked_at DESC, id DESC
+     )
+     SELECT l.permit, p.park_name, p.park_city, p.county, p.billing_spaces,
+            b.flood_zone AS from_zone, b.flood_risk AS from_risk, b.tier AS from_tier,
+            l.flood_zone AS to_zone, l.flood_risk AS to_risk, l.tier AS to_tier,
+            to_char(l.effective_date, 'YYYY-MM-DD') AS effective_date,
+            (SELECT min(h.checked_at) FROM flood_zone_history h
+              WHERE h.permit = l.permit AND h.checked_at >= $1::date
+                AND ${tierSql("h.flood_risk")} <> b.tier) AS changed_at
+       FROM latest l
+       JOIN before b ON b.permit = l.permit
+       JOIN fl_parks p ON p.permit = l.permit
+      WHERE l.tier <> b.tier
+        AND ($2::text IS NULL OR lower(p.county) = lower($2))
+      ORDER BY changed_at DESC NULLS LAST, p.park_name
+      LIMIT $3`,
+    [since, county, limit]
+  );
+}
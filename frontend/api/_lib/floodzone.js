@@ -0,0 +1,182 @@
+// frontend/api/_lib/floodzone.js
+// Resolves the FEMA NFHL flood zone for a point. Shared by the
+// /api/fema-floodzone route and the batch enrichment job.
+import { createSwrCache, withCacheMeta } from "./cache.js";
+import { createArcgisLayer, hostLimiter } from "./arcgis.js";
+import { describeCandidates, matchConfidence, summarizePanel, summarizeZone } from "./nfhl.js";
+import { envNumber } from "./upstream.js";
+import { rankFeatures } from "../../src/geometry.js";
+import { simplifyTolerance, tileBounds } from "../../src/floodTiles.js";
+
+// NFHL_BASE_URL lets development point at a local mock NFHL server
+const BASE =
+  process.env.NFHL_BASE_URL ??
+  "https://hazards.fema.gov/arcgis/rest/services/public/NFHL/MapServer/28/query";
+
+// FIRM panels (effective dates); NFHL_PANEL_URL for a mock / mirror
+const PANEL_URL =
+  process.env.NFHL_PANEL_URL ??
+  "https://hazards.fema.gov/arcgis/rest/services/public/NFHL/MapServer/3/query";
+
+// Progressive fallback envelopes: 300m → 1km → 3km
+const RADII_METERS = [300, 1000, 3000];
+
+// ~1 m at Florida latitudes; nearby requests for the same park share an entry
+const KEY_DECIMALS = 5;
+
+// One cap per upstream host, shared by these clients and the NFHL hazard
+// layers in hazards.js (created after this module, so this cap applies)
+const CONCURRENCY = envNumber("NFHL_CONCURRENCY", 2);
+
+const nfhl = createArcgisLayer(BASE, {
+  label: "FEMA",
+  limit: hostLimiter(BASE, CONCURRENCY),
+  retries: envNumber("NFHL_RETRIES", 3),
+  timeoutMs: envNumber("NFHL_TIMEOUT_MS", 10000),
+});
+
+const panels = createArcgisLayer(PANEL_URL, {
+  label: "FEMA panels",
+  limit: hostLimiter(PANEL_URL, CONCURRENCY),
+  retries: envNumber("NFHL_RETRIES", 3),
+  timeoutMs: envNumber("NFHL_TIMEOUT_MS", 10000),
+  maxRecords: 1,
+  outFields: "FIRM_PAN,EFF_DATE,DFIRM_ID",
+});
+
+// Whole-tile queries for the viewport layer: many polygons, few attributes
+const tiles = createArcgisLayer(BASE, {
+  label: "FEMA tiles",
+  limit: hostLimiter(BASE, CONCURRENCY),
+  retries: envNumber("NFHL_RETRIES", 3),
+  timeoutMs: envNumber("NFHL_TILE_TIMEOUT_MS", 20000),
+  maxRecords: envNumber("NFHL_TILE_MAX_FEATURES", 2000),
+  outFields: "FLD_AR_ID,FLD_ZONE,ZONE_SUBTY,SFHA_TF",
+});
+
+// NFHL remaps are rare: tiles keep for a week, and longer when FEMA is down
+const tileCache = createSwrCache({
+  ttlMs: envNumber("FLOODZONE_TILE_CACHE_TTL_S", 7 * 86400) * 1000,
+  swrMs: envNumber("FLOODZONE_TILE_CACHE_SWR_S", 30 * 86400) * 1000,
+  pgTable: process.env.FLOODZONE_TILE_CACHE_TABLE || null,
+});
+
+const cache = createSwrCache({
+  ttlMs: envNumber("FLOODZONE_CACHE_TTL_S", 86400) * 1000,
+  swrMs: envNumber("FLOODZONE_CACHE_SWR_S", 7 * 86400) * 1000,
+  pgTable: process.env.FLOODZONE_CACHE_TABLE || null,
+});
+
+// Pick the best polygon: true containment first, then nearest edge
+function chooseBest(fc, lon0, lat0) {
+  const ranked = rankFeatures(fc, lon0, lat0);
+  const best = ranked[0] ?? null;
+  return {
+    best: best?.feature ?? null,
+    meta: {
+      inside: best?.inside ?? false,
+      distance_m: best ? Math.round(best.distance_m * 10) / 10 : null,
+      confidence: matchConfidence(ranked),
+      candidates: describeCandidates(ranked),
+    },
+  };
+}
+
+function oneOrEmpty(best, meta) {
+  // Keep output valid GeoJSON; include meta so you can debug gaps
+  return {
+    type: "FeatureCollection",
+    features: best ? [best] : [],
+    summary: summarizeZone(best?.properties),
+    meta,
+  };
+}
+
+/**
+ * Queries FEMA directly (no cache). Resolves to a FeatureCollection with at
+ * most one feature plus `summary` and `meta` ({ method, confidence, … }).
+ * Throws when FEMA keeps failing after retries.
+ */
+export async function lookupFloodZone(lat, lon) {
+  // Point intersects, then progressive fallback envelopes
+  const found = await nfhl.search(lon, lat, {
+    radii: RADII_METERS,
+    choose: (fc) => chooseBest(fc, lon, lat),
+  });
+
+  if (found) {
+    const { method, radius_m, best, meta } = found;
+    return oneOrEmpty(best, { method, ...(radius_m != null ? { radius_m } : {}), ...meta });
+  }
+
+  // Still nothing: genuine gap/unmapped or very bad coordinates
+  return oneOrEmpty(null, {
+    method: "none",
+    reason: "no_features_within_3km",
+    confidence: 0,
+    candidates: [],
+  });
+}
+
+/**
+ * Cached lookup keyed on rounded coordinates; see withCacheMeta for the
+ * meta.cache / meta.stale / meta.upstream_error fields.
+ */
+export async function resolveFloodZone(lat, lon) {
+  const rlat = Number(lat.toFixed(KEY_DECIMALS));
+  const rlon = Number(lon.toFixed(KEY_DECIMALS));
+  const key = `nfhl28:${rlat},${rlon}`;
+
+  return withCacheMeta(await cache.get(key, () => lookupFloodZone(rlat, rlon)));
+}
+
+/**
+ * The FIRM panel covering a point: { panel, effective_date, dfirm_id }, or
+ * null in unmapped areas. Only used when recording a determination (see
+ * floodHistory.js), so it is not cached.
+ */
+export async function lookupFirmPanel(lat, lon) {
+  const fc = await panels.queryPoint(lon, lat);
+  return summarizePanel(fc?.features?.[0]?.properties);
+}
+
+/**
+ * Every flood zone polygon in one z/x/y tile (src/floodTiles.js), simplified
+ * server-side to about a pixel at that zoom. Properties are trimmed to
+ * { id, zone, subtype, sfha }; meta.truncated is true when FEMA capped the
+ * result (the tile then misses some polygons).
+ */
+export async function lookupFloodZoneTile(z, x, y) {
+  const [minLon, minLat, maxLon, maxLat] = tileBounds(z, x, y);
+  const fc = await tiles.query({
+    geometryType: "esriGeometryEnvelope",
+    geometry: `${minLon},${minLat},${maxLon},${maxLat}`,
+    inSR: "4326",
+    spatialRel: "esriSpatialRelIntersects",
+    maxAllowableOffset: simplifyTolerance(z),
+    geometryPrecision: 6,
+  });
+
+  const features = (fc?.features ?? [])
+    .filter((f) => f.geometry)
+    .map((f) => {
+      const { zone, subtype, sfha } = summarizeZone(f.properties);
+      const id = f.properties?.FLD_AR_ID ?? f.id ?? null;
+      return { type: "Feature", geometry: f.geometry, properties: { id, zone, subtype, sfha } };
+    });
+
+  return {
+    type: "FeatureCollection",
+    features,
+    meta: {
+      tile: [z, x, y],
+      count: features.length,
+      truncated: !!(fc?.exceededTransferLimit || fc?.properties?.exceededTransferLimit),
+    },
+  };
+}
+
+// Cached per tile; same meta.cache / meta.stale fields as resolveFloodZone
+export async function resolveFloodZoneTile(z, x, y) {
+  return withCacheMeta(await tileCache.get(`nfhl28tile:${z}/${x}/${y}`, () => lookupFloodZoneTile(z, x, y)));
+}
@@ -0,0 +1,106 @@
+// frontend/api/_lib/geocoders.js
+// Address → coordinates for parks that arrive without them (the licensing
+// import). Geocoders are interchangeable; each resolves to
+// { lat, lon, status, matched } or null when the address can't be placed.
+// status is what ends up in fl_parks.geocode_status: "OK" for a single
+// exact match, "APPROX" for anything less certain.
+//
+//   none     - never geocodes; rows without coordinates are reported
+//   fixture  - a local JSON file of known addresses, for tests and offline runs
+//              (GEOCODER_FIXTURE, default scripts/fixtures/geocoder.json)
+//   census   - the US Census Bureau one-line address geocoder
+//              (CENSUS_GEOCODER_URL, CENSUS_GEOCODER_BENCHMARK)
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { createLimiter, envNumber, fetchJsonWithRetry } from "./upstream.js";
+import { normalizeAddress } from "../../src/reconcile.js";
+
+export const GEOCODERS = ["none", "fixture", "census"];
+
+const DEFAULT_FIXTURE = fileURLToPath(new URL("../../scripts/fixtures/geocoder.json", import.meta.url));
+const CENSUS_URL = "https://geocoding.geo.census.gov/geocoder/locations/address";
+
+/** Lookup key for one address: normalized street + zip (city when there's no zip). */
+export function addressKey({ address, city, zip }) {
+  const street = normalizeAddress(address);
+  if (!street) return null;
+  const zip5 = String(zip ?? "").match(/\d{5}/)?.[0];
+  return `${street}|${zip5 ?? String(city ?? "").trim().toLowerCase()}`;
+}
+
+function oneLine({ address, city, zip }) {
+  return [address, city, "FL", zip].filter((v) => v != null && String(v).trim() !== "").join(", ");
+}
+
+// Fixture file: [{ address, city, zip, lat, lon, status? }]
+function fixtureGeocoder(file = process.env.GEOCODER_FIXTURE || DEFAULT_FIXTURE) {
+  const entries = JSON.parse(readFileSync(file, "utf8"));
+  const byKey = new Map();
+  for (const e of entries) {
+    const key = addressKey(e);
+    if (key) byKey.set(key, e);
+  }
+
+  return {
+    name: "fixture",
+    async geocode(addr) {
+      const hit = byKey.get(addressKey(addr));
+      if (!hit) return null;
+      return { lat: Number(hit.lat), lon: Number(hit.lon), status: hit.status ?? "OK", matched: oneLine(hit) };
+    },
+  };
+}
+
+function censusGeocoder() {
+  const limit = createLimiter(envNumber("CENSUS_GEOCODER_CONCURRENCY", 2));
+  const url = process.env.CENSUS_GEOCODER_URL || CENSUS_URL;
+
+  return {
+    name: "census",
+    async geocode(addr) {
+      const u = new URL(url);
+      u.searchParams.set("street", addr.address);
+      if (addr.city) u.searchParams.set("city", addr.city);
+      u.searchParams.set("state", "FL");
+      if (addr.zip) u.searchParams.set("zip", String(addr.zip));
+      u.searchParams.set("benchmark", process.env.CENSUS_GEOCODER_BENCHMARK || "Public_AR_Current");
+      u.searchParams.set("format", "json");
+
+      const body = await limit(() =>
+        fetchJsonWithRetry(u, {
+          retries: envNumber("CENSUS_GEOCODER_RETRIES", 2),
+          timeoutMs: envNumber("CENSUS_GEOCODER_TIMEOUT_MS", 15000),
+          label: "Census geocoder",
+        })
+      );
+      const matches = body?.result?.addressMatches ?? [];
+      if (matches.length === 0) return null;
+
+      // Several candidates means the address was ambiguous; take the first
+      const { coordinates, matchedAddress } = matches[0];
+      return {
+        lat: Number(coordinates.y),
+        lon: Number(coordinates.x),
+        status: matches.length === 1 ? "OK" : "APPROX",
+        matched: matchedAddress ?? null,
+      };
+    },
+  };
+}
+
+/**
+ * @param {"none"|"fixture"|"census"} name  defaults to GEOCODER, then "none"
+ * @param {{ fixture?: string }} opts        fixture file for "fixture"
+ */
+export function createGeocoder(name = process.env.GEOCODER || "none", { fixture } = {}) {
+  switch (name) {
+    case "none":
+      return { name, geocode: async () => null };
+    case "fixture":
+      return fixtureGeocoder(fixture);
+    case "census":
+      return censusGeocoder();
+    default:
+      throw new Error(`Unknown geocoder "${name}" (use ${GEOCODERS.join(", ")})`);
+  }
+}
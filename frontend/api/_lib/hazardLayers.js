@@ -0,0 +1,126 @@
+// frontend/api/_lib/hazardLayers.js
+// The ArcGIS hazard layers queried besides the NFHL flood zones, with the
+// attribute names each one reports under. Every layer can be repointed or
+// remapped from the environment:
+//   HAZARD_<ID>_URL     - the layer's /query endpoint (unset: layer disabled)
+//   HAZARD_<ID>_FIELDS  - JSON { "output": "SOURCE_FIELD" | ["A", "B"] }
+// e.g. HAZARD_EVACUATION_URL, HAZARD_CROSS_SECTIONS_FIELDS.
+
+const NFHL_MAPSERVER = "https://hazards.fema.gov/arcgis/rest/services/public/NFHL/MapServer";
+
+/**
+ * kind "area": polygons; the answer is the polygon containing the park (or
+ *   the nearest one within `radii`).
+ * kind "line": lines; the answer is the nearest line within `radii`.
+ * fields: output attribute → candidate source fields, first non-empty wins
+ *   (state and county services rarely agree on names).
+ */
+const LAYERS = [
+  {
+    id: "surge",
+    label: "Storm surge zone",
+    kind: "area",
+    url: null, // e.g. a county or regional SLOSH surge-zone FeatureServer layer
+    radii: [1000],
+    fields: {
+      category: ["SURGE_CAT", "SURGE_ZONE", "CATEGORY", "Category", "CAT", "HURR_CAT"],
+      description: ["DESCRIPTION", "DESCRIPT", "LABEL"],
+    },
+  },
+  {
+    id: "evacuation",
+    label: "Evacuation zone",
+    kind: "area",
+    url: null, // e.g. the county's evacuation-zone FeatureServer layer
+    radii: [1000],
+    fields: {
+      zone: ["EVAC_ZONE", "EVACZONE", "EZONE", "ZONE", "Zone"],
+      county: ["COUNTY", "County", "COUNTYNAME"],
+    },
+  },
+  {
+    id: "chha",
+    label: "Coastal high-hazard area",
+    kind: "area",
+    url: null, // county comprehensive-plan CHHA layer
+    radii: [1000],
+    fields: {
+      name: ["NAME", "Name", "CHHA_NAME"],
+      county: ["COUNTY", "County"],
+      basis: ["BASIS", "SOURCE", "Source"],
+    },
+  },
+  {
+    id: "limwa",
+    label: "Limit of Moderate Wave Action",
+    kind: "line",
+    url: `${NFHL_MAPSERVER}/19/query`,
+    radii: [1000, 3000],
+    fields: {
+      limwa_id: ["LIMWA_ID"],
+      dfirm_id: ["DFIRM_ID"],
+    },
+  },
+  {
+    id: "cross_sections",
+    label: "NFHL cross-section",
+    kind: "line",
+    url: `${NFHL_MAPSERVER}/14/query`,
+    radii: [500, 2000],
+    fields: {
+      xs_id: ["XS_LN_ID"],
+      stream: ["WTR_NM"],
+      letter: ["XS_LTR"],
+      station: ["STREAM_STN"],
+      wsel: ["WSEL_REG"],
+      streambed_el: ["STRMBED_EL"],
+      datum: ["V_DATUM"],
+    },
+  },
+];
+
+function envKey(id) {
+  return `HAZARD_${id.toUpperCase()}`;
+}
+
+function fieldsFromEnv(id, defaults) {
+  const raw = process.env[`${envKey(id)}_FIELDS`];
+  if (!raw) return defaults;
+  try {
+    const extra = JSON.parse(raw);
+    const normalized = Object.fromEntries(
+      Object.entries(extra).map(([k, v]) => [k, Array.isArray(v) ? v : [v]])
+    );
+    return { ...defaults, ...normalized };
+  } catch {
+    // Read at module load: a typo here shouldn't take down every hazard route
+    console.error(`${envKey(id)}_FIELDS is not valid JSON; using the default fields`);
+    return defaults;
+  }
+}
+
+// Resolved once per server instance
+export const HAZARD_LAYERS = LAYERS.map((l) => ({
+  ...l,
+  url: process.env[`${envKey(l.id)}_URL`] || l.url,
+  fields: fieldsFromEnv(l.id, l.fields),
+}));
+
+export function findHazardLayer(id) {
+  return HAZARD_LAYERS.find((l) => l.id === id) ?? null;
+}
+
+// Blank strings and the NFHL "no value" sentinel
+function isMissing(v) {
+  return v == null || String(v).trim() === "" || Number(v) === -9999;
+}
+
+/** Applies a layer's field mapping; missing attributes come back as null. */
+export function mapHazardAttributes(layer, props) {
+  const out = {};
+  for (const [name, sources] of Object.entries(layer.fields)) {
+    const hit = sources.map((f) => props?.[f]).find((v) => !isMissing(v));
+    out[name] = hit ?? null;
+  }
+  return out;
+}
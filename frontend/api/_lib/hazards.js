@@ -0,0 +1,136 @@
+// frontend/api/_lib/hazards.js
+// Point lookups against the configured hazard layers (hazardLayers.js) and
+// the merged per-park profile: NFHL flood zone plus every other layer.
+import { createArcgisLayer, hostLimiter } from "./arcgis.js";
+import { createSwrCache, withCacheMeta } from "./cache.js";
+import { resolveFloodZone } from "./floodzone.js";
+import { HAZARD_LAYERS, findHazardLayer, mapHazardAttributes } from "./hazardLayers.js";
+import { envNumber } from "./upstream.js";
+import { rankFeatures } from "../../src/geometry.js";
+
+const KEY_DECIMALS = 5;
+
+const cache = createSwrCache({
+  ttlMs: envNumber("HAZARD_CACHE_TTL_S", 86400) * 1000,
+  swrMs: envNumber("HAZARD_CACHE_SWR_S", 7 * 86400) * 1000,
+  pgTable: process.env.HAZARD_CACHE_TABLE || null,
+});
+
+// One ArcGIS client per configured layer, created on first use. Layers on
+// FEMA's host share floodzone.js's NFHL_CONCURRENCY limiter; other hosts
+// get HAZARD_CONCURRENCY each.
+const clients = new Map();
+
+function clientFor(layer) {
+  if (!clients.has(layer.id)) {
+    clients.set(
+      layer.id,
+      createArcgisLayer(layer.url, {
+        label: layer.label,
+        limit: hostLimiter(layer.url, envNumber("HAZARD_CONCURRENCY", 2)),
+        retries: envNumber("HAZARD_RETRIES", 2),
+        timeoutMs: envNumber("HAZARD_TIMEOUT_MS", 10000),
+      })
+    );
+  }
+  return clients.get(layer.id);
+}
+
+function choose(fc, lon, lat) {
+  const best = rankFeatures(fc, lon, lat)[0] ?? null;
+  return {
+    best: best?.feature ?? null,
+    inside: best?.inside ?? false,
+    distance_m: best ? Math.round(best.distance_m * 10) / 10 : null,
+  };
+}
+
+/**
+ * Queries one layer directly (no cache). Same shape as the flood-zone
+ * lookup: a FeatureCollection with at most one feature, `summary` (the
+ * layer's mapped attributes, null when nothing matched) and `meta`.
+ */
+export async function lookupHazard(layer, lat, lon) {
+  const found = await clientFor(layer).search(lon, lat, {
+    radii: layer.radii,
+    choose: (fc) => choose(fc, lon, lat),
+    pointQuery: layer.kind === "area", // a point never intersects a line
+  });
+
+  const meta = found
+    ? {
+        layer: layer.id,
+        method: found.method,
+        ...(found.radius_m != null ? { radius_m: found.radius_m } : {}),
+        inside: layer.kind === "area" ? found.inside : null,
+        distance_m: found.distance_m,
+      }
+    : { layer: layer.id, method: "none", inside: layer.kind === "area" ? false : null, distance_m: null };
+
+  return {
+    type: "FeatureCollection",
+    features: found ? [found.best] : [],
+    summary: found ? mapHazardAttributes(layer, found.best.properties) : null,
+    meta,
+  };
+}
+
+/** Cached lookup keyed on layer + rounded coordinates. */
+export async function resolveHazard(layer, lat, lon) {
+  const rlat = Number(lat.toFixed(KEY_DECIMALS));
+  const rlon = Number(lon.toFixed(KEY_DECIMALS));
+  const key = `hazard:${layer.id}:${rlat},${rlon}`;
+
+  return withCacheMeta(await cache.get(key, () => lookupHazard(layer, rlat, rlon)));
+}
+
+// Flood first, then the configured layers in hazardLayers.js order
+export function listHazardLayers() {
+  return [
+    { id: "flood", label: "FEMA flood zone", kind: "area", configured: true },
+    ...HAZARD_LAYERS.map((l) => ({ id: l.id, label: l.label, kind: l.kind, configured: !!l.url })),
+  ];
+}
+
+// Compact profile entry: no geometry
+function profileEntry(info, body) {
+  return {
+    label: info.label,
+    kind: info.kind,
+    status: "ok",
+    found: body.features.length > 0,
+    inside: body.meta.inside ?? null,
+    distance_m: body.meta.distance_m ?? null,
+    method: body.meta.method,
+    ...(body.meta.confidence != null ? { confidence: body.meta.confidence } : {}),
+    attributes: body.summary,
+    stale: body.meta.stale,
+  };
+}
+
+/**
+ * Every hazard layer for one point. Layers are independent: one failing or
+ * unconfigured layer is reported in its own entry (status "error" /
+ * "not_configured") and never fails the whole profile.
+ */
+export async function resolveHazardProfile(lat, lon) {
+  const entries = await Promise.all(
+    listHazardLayers().map(async (info) => {
+      if (!info.configured) {
+        return [info.id, { label: info.label, kind: info.kind, status: "not_configured" }];
+      }
+      try {
+        const body =
+          info.id === "flood"
+            ? await resolveFloodZone(lat, lon)
+            : await resolveHazard(findHazardLayer(info.id), lat, lon);
+        return [info.id, profileEntry(info, body)];
+      } catch (err) {
+        console.error(`Hazard profile (${info.id}) failed:`, err);
+        return [info.id, { label: info.label, kind: info.kind, status: "error", error: String(err?.message ?? err) }];
+      }
+    })
+  );
+
+  return { location: { lat, lon }, hazards: Object.fromEntries(entries) };
+}
@@ -0,0 +1,33 @@
+// frontend/api/_lib/http.js
+// Small helpers shared by the serverless handlers in /api.
+// Files under api/_lib are not deployed as routes (leading underscore).
+
+// Sets permissive CORS headers. Returns true when the request was a
+// preflight and has already been answered. Write routes pass their extra
+// methods / headers (e.g. "GET,POST,OPTIONS").
+export function applyCors(req, res, { methods = "GET,OPTIONS", headers = "Content-Type" } = {}) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", headers);
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return true;
+  }
+  return false;
+}
+
+// First value of a query-string parameter (Vercel gives arrays for repeats)
+export function queryParam(req, name) {
+  const v = req.query?.[name];
+  return Array.isArray(v) ? v[0] : v;
+}
+
+// Parsed JSON request body (Vercel parses it unless the content type is off); null when invalid
+export function jsonBody(req) {
+  if (typeof req.body !== "string") return req.body ?? null;
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,81 @@
+// frontend/api/_lib/nfhl.js
+// Interpreting FEMA NFHL flood hazard zone (layer 28) and FIRM panel
+// (layer 3) features.
+
+function cleanString(v) {
+  const s = v == null ? "" : String(v).trim();
+  return s === "" ? null : s;
+}
+
+/**
+ * Normalized view of the NFHL attributes we care about.
+ * NFHL uses -9999 for "no static BFE" and "T"/"F" for SFHA_TF.
+ */
+export function summarizeZone(props) {
+  if (!props) return null;
+  const bfe = Number(props.STATIC_BFE);
+  const sfha = cleanString(props.SFHA_TF)?.toUpperCase();
+  return {
+    zone: cleanString(props.FLD_ZONE),
+    subtype: cleanString(props.ZONE_SUBTY),
+    sfha: sfha === "T" ? true : sfha === "F" ? false : null,
+    bfe: Number.isFinite(bfe) && bfe > -9999 ? bfe : null,
+    dfirm_id: cleanString(props.DFIRM_ID),
+    version_id: cleanString(props.VERSION_ID),
+  };
+}
+
+// ArcGIS dates arrive as epoch milliseconds (GeoJSON output) or strings
+function isoDate(v) {
+  if (v == null || v === "") return null;
+  const d = new Date(typeof v === "number" ? v : String(v));
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+/** FIRM panel attributes: which printed map applies and since when. */
+export function summarizePanel(props) {
+  if (!props) return null;
+  return {
+    panel: cleanString(props.FIRM_PAN),
+    effective_date: isoDate(props.EFF_DATE),
+    dfirm_id: cleanString(props.DFIRM_ID),
+  };
+}
+
+function featureId(f) {
+  return f?.properties?.FLD_AR_ID ?? f?.properties?.OBJECTID ?? f?.id ?? null;
+}
+
+/**
+ * 0..1 confidence that ranked[0] is the park's zone.
+ * Inside a polygon is certain unless zones overlap; outside decays with
+ * distance and is penalized when a different zone is nearly as close.
+ */
+export function matchConfidence(ranked) {
+  const [best, next] = ranked;
+  if (!best) return 0;
+
+  const nextZone = next?.feature?.properties?.FLD_ZONE;
+  const bestZone = best.feature?.properties?.FLD_ZONE;
+  const rivalZone = next && nextZone !== bestZone;
+
+  let c;
+  if (best.inside) {
+    c = rivalZone && next.inside ? 0.8 : 1;
+  } else {
+    c = 0.9 * Math.exp(-best.distance_m / 300);
+    if (rivalZone && next.distance_m - best.distance_m < 15) c *= 0.6;
+  }
+  return Math.round(c * 100) / 100;
+}
+
+// Compact per-candidate report for the response meta
+export function describeCandidates(ranked) {
+  return ranked.map((c) => ({
+    id: featureId(c.feature),
+    zone: cleanString(c.feature?.properties?.FLD_ZONE),
+    subtype: cleanString(c.feature?.properties?.ZONE_SUBTY),
+    inside: c.inside,
+    distance_m: Math.round(c.distance_m * 10) / 10,
+  }));
+}
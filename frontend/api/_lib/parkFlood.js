@@ -0,0 +1,88 @@
+// frontend/api/_lib/parkFlood.js
+// Storing a flood-zone lookup on an fl_parks row. Shared by the batch
+// enrichment job and geocode corrections (which re-check the new point).
+import { query } from "./db.js";
+import { recordFloodDetermination } from "./floodHistory.js";
+import { floodRiskFromTier, scoreParkRisk } from "../../src/risk.js";
+
+let columnsReady = null;
+let columnsSeen = false;
+
+// Of ensureFloodColumns()'s columns, the ones parks.js lets readers select
+const READABLE_COLUMNS = ["flood_bfe", "flood_match_method"];
+
+// Match metadata columns written next to flood_zone / flood_risk
+export function ensureFloodColumns() {
+  columnsReady ??= query(
+    `ALTER TABLE fl_parks
+       ADD COLUMN IF NOT EXISTS flood_bfe double precision,
+       ADD COLUMN IF NOT EXISTS flood_match_method text,
+       ADD COLUMN IF NOT EXISTS flood_match_distance_m double precision,
+       ADD COLUMN IF NOT EXISTS flood_checked_at timestamptz`
+  ).catch((err) => {
+    columnsReady = null;
+    throw err;
+  });
+  return columnsReady;
+}
+
+/**
+ * `fields` without the enrichment columns while fl_parks doesn't have them
+ * yet (nothing was ever enriched), so reads don't fail or alter the table.
+ * Only their presence is remembered; until then every call checks.
+ */
+export async function selectableParkFields(fields) {
+  if (columnsSeen || !fields.some((f) => READABLE_COLUMNS.includes(f))) return fields;
+  const rows = await query(
+    `SELECT count(*)::int AS n FROM information_schema.columns
+      WHERE table_name = 'fl_parks' AND column_name = ANY($1::text[])`,
+    [READABLE_COLUMNS]
+  );
+  columnsSeen = rows[0]?.n === READABLE_COLUMNS.length;
+  return columnsSeen ? fields : fields.filter((f) => !READABLE_COLUMNS.includes(f));
+}
+
+/**
+ * Flattens a lookupFloodZone() response (and optionally the FIRM panel from
+ * lookupFirmPanel()) for storage. flood_risk is the scored tier from
+ * src/risk.js; with no polygon at all it stays empty rather than guessing.
+ */
+export function floodResult(park, gj, panel = null) {
+  const { score, tier } = scoreParkRisk({ billing_spaces: park.billing_spaces }, gj);
+  return {
+    zone: gj.summary?.zone ?? null,
+    subtype: gj.summary?.subtype ?? null,
+    risk: gj.summary ? floodRiskFromTier(tier) : null,
+    score,
+    bfe: gj.summary?.bfe ?? null,
+    dfirm_id: gj.summary?.dfirm_id ?? panel?.dfirm_id ?? null,
+    version_id: gj.summary?.version_id ?? null,
+    firm_panel: panel?.panel ?? null,
+    effective_date: panel?.effective_date ?? null,
+    method: gj.meta.method,
+    distance_m: gj.meta.distance_m ?? null,
+    confidence: gj.meta.confidence ?? 0,
+    checked_at: new Date().toISOString(),
+  };
+}
+
+// Also appends the determination to flood_zone_history, in the same
+// transaction; source says what produced it ("enrich", "correction"). A
+// miss (no polygon, e.g. bad coordinates) is recorded as such but leaves
+// the stored zone, risk and BFE alone.
+export async function writeParkFlood(permit, r, { source }) {
+  await ensureFloodColumns();
+  await recordFloodDetermination(permit, r, source, {
+    alongWith: [
+      {
+        text: `UPDATE fl_parks
+                  SET flood_zone = CASE WHEN $5 = 'none' THEN flood_zone ELSE $2 END,
+                      flood_risk = CASE WHEN $5 = 'none' THEN flood_risk ELSE $3 END,
+                      flood_bfe = CASE WHEN $5 = 'none' THEN flood_bfe ELSE $4 END,
+                      flood_match_method = $5, flood_match_distance_m = $6, flood_checked_at = $7
+                WHERE permit = $1`,
+        params: [permit, r.zone, r.risk, r.bfe, r.method, r.distance_m, r.checked_at],
+      },
+    ],
+  });
+}
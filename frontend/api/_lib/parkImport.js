@@ -0,0 +1,420 @@
+// frontend/api/_lib/parkImport.js
+// Loads a licensing extract (rows already read from CSV / XLSX, one object
+// per row keyed by header) into fl_parks: header mapping, validation,
+// de-duplication by permit, geocoding of rows without coordinates and an
+// upsert keyed on permit.
+//
+// Coordinates are only ever replaced when there's reason to: a park whose
+// address hasn't changed keeps the point it already has, a reviewer's
+// correction (geocode_status MANUAL) always survives a re-import, and a
+// park whose new address can't be geocoded keeps its old point. Flood
+// columns are left alone; the report lists the parks whose point is new or
+// moved so the flood enrichment can be re-run for them.
+import { query } from "./db.js";
+import { CORRECTED_STATUS } from "./corrections.js";
+import { addressKey } from "./geocoders.js";
+
+// Written by the import (flood_zone / flood_risk belong to the enrichment)
+export const IMPORT_FIELDS = [
+  "permit",
+  "park_name",
+  "park_address",
+  "park_city",
+  "park_zip",
+  "county",
+  "park_type",
+  "billing_spaces",
+  "mh_spaces",
+  "rv_spaces",
+  "latitude",
+  "longitude",
+  "geocode_status",
+];
+
+export const REQUIRED_FIELDS = ["permit", "park_name", "county"];
+
+// Headers are compared lowercased with everything but letters and digits removed
+const HEADER_ALIASES = {
+  permit: ["permit", "permitno", "permitnumber", "license", "licenseno", "licensenumber", "licno"],
+  park_name: ["parkname", "name", "dbaname", "businessname", "facilityname"],
+  park_address: ["parkaddress", "address", "address1", "streetaddress", "locationaddress", "street"],
+  park_city: ["parkcity", "city", "locationcity"],
+  park_zip: ["parkzip", "zip", "zipcode", "postalcode", "locationzip"],
+  county: ["county", "countyname"],
+  park_type: ["parktype", "type", "licensetype", "facilitytype"],
+  billing_spaces: ["billingspaces", "spaces", "totalspaces", "lots", "totallots"],
+  mh_spaces: ["mhspaces", "mobilehomespaces", "mhlots"],
+  rv_spaces: ["rvspaces", "rvlots"],
+  latitude: ["latitude", "lat"],
+  longitude: ["longitude", "lon", "lng", "long"],
+  geocode_status: ["geocodestatus"],
+};
+
+const SPACE_FIELDS = ["billing_spaces", "mh_spaces", "rv_spaces"];
+
+// Generous box around the state; anything outside is a bad geocode
+const FLORIDA_BOUNDS = { minLat: 24.3, maxLat: 31.1, minLon: -87.7, maxLon: -79.8 };
+
+const UPSERT_BATCH = 500;
+
+// Statuses for rows the geocoder didn't place (left without a point, or on
+// their previous one); the next import tries them again
+const NOT_GEOCODED = "PENDING"; // no geocoder configured
+const NO_MATCH = "NO_MATCH";
+const GEOCODE_FAILED = "FAILED";
+const RETRY_STATUSES = new Set([NOT_GEOCODED, NO_MATCH, GEOCODE_FAILED]);
+
+function headerKey(h) {
+  return String(h ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * Picks the source column for each field.
+ * @param {string[]} headers
+ * @param {Record<string, string>} overrides  field → header, wins over the aliases
+ * @returns {{ mapping: Record<string, string>, unmapped: string[], missing: string[] }}
+ *   missing: required fields with no column (the import can't run)
+ */
+export function mapColumns(headers, overrides = {}) {
+  const mapping = {};
+  for (const [field, header] of Object.entries(overrides)) {
+    if (!IMPORT_FIELDS.includes(field)) throw new Error(`Unknown field "${field}" in column mapping`);
+    if (!headers.includes(header)) throw new Error(`Column "${header}" (mapped to ${field}) is not in the file`);
+    mapping[field] = header;
+  }
+
+  const byKey = new Map(headers.map((h) => [headerKey(h), h]));
+  for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+    if (mapping[field]) continue;
+    const hit = aliases.map((a) => byKey.get(a)).find((h) => h && !Object.values(mapping).includes(h));
+    if (hit) mapping[field] = hit;
+  }
+
+  const used = new Set(Object.values(mapping));
+  return {
+    mapping,
+    unmapped: headers.filter((h) => !used.has(h)),
+    missing: REQUIRED_FIELDS.filter((f) => !mapping[f]),
+  };
+}
+
+function text(v) {
+  if (v == null) return null;
+  const s = (v instanceof Date ? v.toISOString() : String(v)).trim();
+  return s === "" ? null : s;
+}
+
+function count(v) {
+  const s = text(v);
+  if (s == null) return { value: null };
+  const n = Number(s.replace(/,/g, ""));
+  return Number.isInteger(n) && n >= 0 ? { value: n } : { error: true };
+}
+
+function coordinate(v) {
+  const s = text(v);
+  if (s == null) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function inFlorida(lat, lon) {
+  const b = FLORIDA_BOUNDS;
+  return lat >= b.minLat && lat <= b.maxLat && lon >= b.minLon && lon <= b.maxLon;
+}
+
+/**
+ * One source row → a fl_parks record.
+ * @returns {{ park, errors: string[], warnings: string[] }}
+ *   errors reject the row; warnings are reported but the row is loaded
+ */
+export function normalizeRow(raw, mapping) {
+  const get = (field) => (mapping[field] ? raw[mapping[field]] : null);
+  const errors = [];
+  const warnings = [];
+
+  const park = {
+    permit: text(get("permit")),
+    park_name: text(get("park_name")),
+    park_address: text(get("park_address")),
+    park_city: text(get("park_city")),
+    park_zip: null,
+    county: text(get("county"))?.replace(/\s+county$/i, "") ?? null,
+    park_type: text(get("park_type")),
+    latitude: null,
+    longitude: null,
+    geocode_status: text(get("geocode_status"))?.toUpperCase() ?? null,
+  };
+
+  for (const f of REQUIRED_FIELDS) {
+    if (!park[f]) errors.push(`missing ${f}`);
+  }
+
+  const zip = text(get("park_zip"));
+  if (zip) {
+    park.park_zip = zip.match(/^\d{5}/)?.[0] ?? null;
+    if (!park.park_zip) warnings.push(`invalid zip "${zip}"`);
+  }
+
+  for (const f of SPACE_FIELDS) {
+    const c = count(get(f));
+    if (c.error) errors.push(`${f} must be a whole number ≥ 0 (got "${text(get(f))}")`);
+    park[f] = c.value ?? null;
+  }
+  if (park.billing_spaces == null && (park.mh_spaces != null || park.rv_spaces != null)) {
+    park.billing_spaces = (park.mh_spaces ?? 0) + (park.rv_spaces ?? 0);
+  }
+
+  const lat = coordinate(get("latitude"));
+  const lon = coordinate(get("longitude"));
+  if (lat != null || lon != null) {
+    if (Number.isFinite(lat) && Number.isFinite(lon) && inFlorida(lat, lon)) {
+      park.latitude = lat;
+      park.longitude = lon;
+    } else {
+      warnings.push("coordinates missing or outside Florida; geocoding the address instead");
+    }
+  }
+
+  if (park.latitude == null && !park.park_address) errors.push("no address and no usable coordinates");
+
+  return { park, errors, warnings };
+}
+
+/**
+ * Validates every row and keeps the last one per permit.
+ * `line` numbers count the header as line 1, so they match a spreadsheet.
+ */
+export function prepareRows(records, mapping) {
+  const byPermit = new Map();
+  const rejected = [];
+  const warnings = [];
+  const lines = new Map(); // permit → every line it appeared on
+
+  records.forEach((raw, i) => {
+    const line = i + 2;
+    const { park, errors, warnings: w } = normalizeRow(raw, mapping);
+    if (errors.length) {
+      rejected.push({ line, permit: park.permit, park_name: park.park_name, reasons: errors });
+      return;
+    }
+    if (w.length) warnings.push({ line, permit: park.permit, reasons: w });
+
+    lines.set(park.permit, [...(lines.get(park.permit) ?? []), line]);
+    byPermit.set(park.permit, { line, park });
+  });
+
+  const duplicates = [...lines]
+    .filter(([, l]) => l.length > 1)
+    .map(([permit, l]) => ({ permit, lines: l, kept: l[l.length - 1] }));
+
+  return { rows: [...byPermit.values()], rejected, warnings, duplicates };
+}
+
+async function loadExisting(permits) {
+  const rows = await query(
+    `SELECT ${IMPORT_FIELDS.join(", ")} FROM fl_parks WHERE permit = ANY($1::text[])`,
+    [permits]
+  );
+  return new Map(rows.map((r) => [String(r.permit), r]));
+}
+
+function hasPoint(r) {
+  return r?.latitude != null && r?.longitude != null;
+}
+
+function sameAddress(a, b) {
+  const ka = addressKey({ address: a.park_address, city: a.park_city, zip: a.park_zip });
+  return ka != null && ka === addressKey({ address: b.park_address, city: b.park_city, zip: b.park_zip });
+}
+
+/**
+ * Fills latitude / longitude / geocode_status on each row, in place. Rows
+ * that need the geocoder are sent together; it applies its own concurrency
+ * limit. One it can't place keeps the park's stored point, if any: a
+ * transient failure or a reformatted address shouldn't wipe coordinates.
+ * @returns {Promise<Array<{ line, permit, address, status, kept_point, error? }>>}
+ *   rows the geocoder didn't place; kept_point when they still have their old point
+ */
+async function placeRows(rows, existing, geocoder) {
+  const toGeocode = [];
+
+  for (const row of rows) {
+    const { park } = row;
+    const old = existing.get(park.permit);
+
+    if (hasPoint(old) && old.geocode_status === CORRECTED_STATUS) {
+      park.latitude = Number(old.latitude);
+      park.longitude = Number(old.longitude);
+      park.geocode_status = CORRECTED_STATUS;
+    } else if (park.latitude != null) {
+      park.geocode_status ??= "OK";
+    } else if (hasPoint(old) && sameAddress(old, park) && !RETRY_STATUSES.has(old.geocode_status)) {
+      park.latitude = Number(old.latitude);
+      park.longitude = Number(old.longitude);
+      park.geocode_status = old.geocode_status;
+    } else {
+      toGeocode.push({ ...row, old });
+    }
+  }
+
+  const missed = await Promise.all(
+    toGeocode.map(async ({ line, park, old }) => {
+      let hit = null;
+      let error = null;
+      try {
+        hit = await geocoder.geocode({ address: park.park_address, city: park.park_city, zip: park.park_zip });
+      } catch (err) {
+        error = String(err?.message ?? err);
+      }
+
+      if (hit && inFlorida(hit.lat, hit.lon)) {
+        park.latitude = hit.lat;
+        park.longitude = hit.lon;
+        park.geocode_status = hit.status;
+        return null;
+      }
+
+      park.geocode_status = error ? GEOCODE_FAILED : geocoder.name === "none" ? NOT_GEOCODED : NO_MATCH;
+      const keptPoint = hasPoint(old);
+      if (keptPoint) {
+        park.latitude = Number(old.latitude);
+        park.longitude = Number(old.longitude);
+      }
+      const address = [park.park_address, park.park_city, park.park_zip].filter(Boolean).join(", ");
+      return {
+        line,
+        permit: park.permit,
+        address,
+        status: park.geocode_status,
+        kept_point: keptPoint,
+        ...(error ? { error } : {}),
+      };
+    })
+  );
+
+  return missed.filter(Boolean);
+}
+
+function changed(old, park) {
+  return IMPORT_FIELDS.some((f) => {
+    const a = old[f] == null ? null : String(old[f]);
+    const b = park[f] == null ? null : String(park[f]);
+    return a !== b;
+  });
+}
+
+function moved(old, park) {
+  if (!hasPoint(park)) return false;
+  return !hasPoint(old) || Number(old.latitude) !== park.latitude || Number(old.longitude) !== park.longitude;
+}
+
+let permitIndexReady = null;
+
+// The upsert's ON CONFLICT (permit) needs a unique index on permit
+function ensurePermitIndex() {
+  permitIndexReady ??= query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS fl_parks_permit_key ON fl_parks (permit)"
+  ).catch((err) => {
+    permitIndexReady = null;
+    throw err.code === "23505"
+      ? new Error("fl_parks has duplicate permits; remove them before importing (the upsert is keyed on permit)")
+      : err;
+  });
+  return permitIndexReady;
+}
+
+const COLUMN_TYPES = {
+  billing_spaces: "integer",
+  mh_spaces: "integer",
+  rv_spaces: "integer",
+  latitude: "double precision",
+  longitude: "double precision",
+};
+
+// Inserts new permits and updates the ones whose values differ; unchanged
+// rows aren't touched (and aren't returned)
+async function upsertBatch(parks) {
+  const cols = IMPORT_FIELDS;
+  const arrays = cols.map((c) => parks.map((p) => p[c]));
+  const unnest = cols.map((c, i) => `$${i + 1}::${COLUMN_TYPES[c] ?? "text"}[]`).join(", ");
+  const updatable = cols.filter((c) => c !== "permit");
+
+  return query(
+    `INSERT INTO fl_parks (${cols.join(", ")})
+     SELECT * FROM unnest(${unnest})
+     ON CONFLICT (permit) DO UPDATE SET ${updatable.map((c) => `${c} = EXCLUDED.${c}`).join(", ")}
+     WHERE (${updatable.map((c) => `fl_parks.${c}`).join(", ")})
+       IS DISTINCT FROM (${updatable.map((c) => `EXCLUDED.${c}`).join(", ")})
+     RETURNING permit, (xmax = 0) AS inserted`,
+    arrays
+  );
+}
+
+/**
+ * Runs one import.
+ * @param {object[]} records   rows keyed by header
+ * @param {object} opts
+ *   headers   - column order from the file (defaults to the first row's keys)
+ *   columns   - field → header overrides for mapColumns
+ *   geocoder  - from createGeocoder()
+ *   dryRun    - report what would change without writing
+ *   useDb     - false to skip fl_parks entirely (dry runs without a database)
+ * @returns {Promise<object>} the run report; `counts` has inserted, updated,
+ *   unchanged, rejected and ungeocoded
+ */
+export async function importParks(records, { headers, columns = {}, geocoder, dryRun = false, useDb = true }) {
+  const { mapping, unmapped, missing } = mapColumns(headers ?? Object.keys(records[0] ?? {}), columns);
+  if (missing.length) {
+    throw new Error(`No column for required field(s): ${missing.join(", ")} (map one with --map field=Header)`);
+  }
+
+  const { rows, rejected, warnings, duplicates } = prepareRows(records, mapping);
+  const existing = useDb && rows.length ? await loadExisting(rows.map((r) => r.park.permit)) : new Map();
+  const ungeocoded = await placeRows(rows, existing, geocoder);
+
+  const inserted = [];
+  const updated = [];
+  if (dryRun) {
+    for (const { park } of rows) {
+      const old = existing.get(park.permit);
+      if (!old) inserted.push(park.permit);
+      else if (changed(old, park)) updated.push(park.permit);
+    }
+  } else {
+    if (rows.length) await ensurePermitIndex();
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH) {
+      const written = await upsertBatch(rows.slice(i, i + UPSERT_BATCH).map((r) => r.park));
+      for (const w of written) (w.inserted ? inserted : updated).push(String(w.permit));
+    }
+  }
+
+  const touched = new Set([...inserted, ...updated]);
+  const floodStale = rows
+    .filter(({ park }) => touched.has(park.permit) && moved(existing.get(park.permit), park))
+    .map(({ park }) => park.permit);
+
+  return {
+    generated_at: new Date().toISOString(),
+    dry_run: dryRun,
+    geocoder: geocoder.name,
+    columns: mapping,
+    unmapped_columns: unmapped,
+    counts: {
+      rows: records.length,
+      inserted: inserted.length,
+      updated: updated.length,
+      unchanged: rows.length - inserted.length - updated.length,
+      rejected: rejected.length,
+      ungeocoded: ungeocoded.length,
+      duplicates: duplicates.length,
+    },
+    inserted,
+    updated,
+    rejected,
+    ungeocoded,
+    duplicates,
+    warnings,
+    flood_stale: floodStale,
+  };
+}
@@ -0,0 +1,93 @@
+// frontend/api/_lib/parkReports.js
+// Data behind the printable park reports (src/parkReport.js): the parks,
+// the NFHL polygon each one sits in, its neighbours and the FIRM panel of
+// its latest recorded determination. Used by /api/parks/report and
+// scripts/park-reports.js.
+import { query } from "./db.js";
+import { latestDeterminations } from "./floodHistory.js";
+import { resolveFloodZone } from "./floodzone.js";
+import { selectableParkFields } from "./parkFlood.js";
+import { PARK_FIELDS } from "./parks.js";
+import { DEFAULT_NEARBY_KM, createParkIndex } from "../../src/nearby.js";
+import { nearbyParks } from "../../src/parkReport.js";
+
+export const MAX_REPORT_PARKS = 250;
+
+// Each park with fema on costs one (cached) live NFHL lookup
+export const MAX_FEMA_REPORT_PARKS = 25;
+
+const KM_PER_DEG_LAT = 111.32;
+
+function hasPoint(p) {
+  return p.latitude != null && p.longitude != null;
+}
+
+/** One park by permit, or every park in a county (case-insensitive), by name. */
+export async function loadReportParks({ permit = null, county = null }) {
+  const [where, value] = permit != null ? ["permit = $1", permit] : ["lower(county) = lower($1)", county];
+  const fields = await selectableParkFields(PARK_FIELDS);
+  return query(
+    `SELECT ${fields.join(", ")} FROM fl_parks WHERE ${where}
+     ORDER BY park_name, permit LIMIT $2`,
+    [value, MAX_REPORT_PARKS + 1]
+  );
+}
+
+// Everything within DEFAULT_NEARBY_KM of the parks' bounding box, in one query
+async function loadNeighbours(parks) {
+  const placed = parks.filter(hasPoint);
+  if (!placed.length) return [];
+
+  const lats = placed.map((p) => Number(p.latitude));
+  const lons = placed.map((p) => Number(p.longitude));
+  const dLat = DEFAULT_NEARBY_KM / KM_PER_DEG_LAT;
+  const dLon = dLat / Math.cos((Math.max(...lats.map(Math.abs)) * Math.PI) / 180);
+
+  const fields = await selectableParkFields(PARK_FIELDS);
+  return query(
+    `SELECT ${fields.join(", ")} FROM fl_parks
+      WHERE latitude BETWEEN $1 AND $2 AND longitude BETWEEN $3 AND $4`,
+    [Math.min(...lats) - dLat, Math.max(...lats) + dLat, Math.min(...lons) - dLon, Math.max(...lons) + dLon]
+  );
+}
+
+/**
+ * Report entries for renderParkReports().
+ * Options:
+ *   candidates - parks to look for neighbours in (default: fl_parks around them)
+ *   fema       - false to skip the live NFHL lookup (stored flood_zone only, no polygon)
+ *   history    - false to skip flood_zone_history (e.g. parks from a GeoJSON file)
+ * A failed lookup leaves that park's floodZone null rather than failing the batch.
+ */
+export async function buildReportEntries(parks, { candidates = null, fema = true, history = true } = {}) {
+  const neighbours = createParkIndex(candidates ?? (await loadNeighbours(parks)), (p) => p.permit);
+
+  let determinations = new Map();
+  if (history) {
+    const permits = parks.map((p) => p.permit).filter((p) => p != null);
+    determinations = await latestDeterminations(permits).catch((err) => {
+      console.error("Flood history unavailable for reports:", err);
+      return new Map();
+    });
+  }
+
+  return Promise.all(
+    parks.map(async (park) => {
+      let floodZone = null;
+      if (fema && hasPoint(park)) {
+        try {
+          // resolveFloodZone already caps concurrent FEMA requests
+          floodZone = await resolveFloodZone(Number(park.latitude), Number(park.longitude));
+        } catch (err) {
+          console.error(`FEMA lookup failed for ${park.permit ?? park.park_name}:`, err);
+        }
+      }
+      return {
+        park,
+        floodZone,
+        nearby: nearbyParks(park, neighbours, { getId: (p) => p.permit }),
+        determination: determinations.get(park.permit) ?? null,
+      };
+    })
+  );
+}
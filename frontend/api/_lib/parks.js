@@ -0,0 +1,145 @@
+// frontend/api/_lib/parks.js
+// Query building for the fl_parks routes. Column names are whitelisted here;
+// user input only ever reaches SQL as bound parameters.
+
+export const PARK_FIELDS = [
+  "permit",
+  "park_name",
+  "park_address",
+  "park_city",
+  "park_zip",
+  "county",
+  "park_type",
+  "billing_spaces",
+  "mh_spaces",
+  "rv_spaces",
+  "latitude",
+  "longitude",
+  "geocode_status",
+  "flood_zone",
+  "flood_risk",
+  // Added by parkFlood.js ensureFloodColumns(); selectableParkFields()
+  // drops them on databases that were never enriched
+  "flood_bfe",
+  "flood_match_method",
+];
+
+// What the map + list need when no ?fields= is given
+export const DEFAULT_FIELDS = [
+  "permit",
+  "park_name",
+  "park_address",
+  "park_city",
+  "county",
+  "billing_spaces",
+  "latitude",
+  "longitude",
+  "flood_zone",
+  "flood_risk",
+];
+
+export const DEFAULT_PAGE_SIZE = 500;
+export const MAX_PAGE_SIZE = 5000;
+
+// Exports are a single "page" of at most this many rows
+export const MAX_EXPORT_ROWS = 20000;
+
+export function parseFields(raw, fallback = DEFAULT_FIELDS) {
+  if (raw == null || raw === "") return { fields: fallback };
+  const fields = [...new Set(String(raw).split(",").map((s) => s.trim()).filter(Boolean))];
+  const unknown = fields.filter((f) => !PARK_FIELDS.includes(f));
+  if (unknown.length) return { error: `Unknown fields: ${unknown.join(", ")}` };
+  if (fields.length === 0) return { fields: fallback };
+  return { fields };
+}
+
+function parsePositiveInt(raw, fallback) {
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// bbox=minLon,minLat,maxLon,maxLat (same order as GeoJSON / ArcGIS envelopes)
+function parseBbox(raw) {
+  if (raw == null || raw === "") return { bbox: null };
+  const parts = String(raw).split(",").map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return { error: "bbox must be minLon,minLat,maxLon,maxLat" };
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLon > maxLon || minLat > maxLat) {
+    return { error: "bbox min values must not exceed max values" };
+  }
+  return { bbox: { minLon, minLat, maxLon, maxLat } };
+}
+
+/**
+ * Validates the /api/parks query string.
+ * Returns { error } or { fields, page, pageSize, bbox, counties }.
+ */
+export function parseParksQuery(q) {
+  const f = parseFields(q.fields);
+  if (f.error) return f;
+
+  const page = parsePositiveInt(q.page, 1);
+  if (page == null) return { error: "page must be a positive integer" };
+
+  const pageSize = parsePositiveInt(q.pageSize, DEFAULT_PAGE_SIZE);
+  if (pageSize == null || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const b = parseBbox(q.bbox);
+  if (b.error) return b;
+
+  // county=Lee or county=Lee,Collier (case-insensitive)
+  const counties = q.county
+    ? String(q.county).split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)
+    : [];
+
+  return { fields: f.fields, page, pageSize, bbox: b.bbox, counties };
+}
+
+/**
+ * Builds the page + count statements for a parsed query.
+ * Only parks with coordinates are listed; they are what the map can show.
+ */
+export function buildParksQuery({ fields, page, pageSize, bbox, counties }) {
+  const where = ["latitude IS NOT NULL", "longitude IS NOT NULL"];
+  const params = [];
+
+  if (bbox) {
+    params.push(bbox.minLon, bbox.maxLon, bbox.minLat, bbox.maxLat);
+    const n = params.length;
+    where.push(`longitude BETWEEN $${n - 3} AND $${n - 2}`);
+    where.push(`latitude BETWEEN $${n - 1} AND $${n}`);
+  }
+
+  if (counties.length) {
+    params.push(counties);
+    where.push(`lower(county) = ANY($${params.length})`);
+  }
+
+  const whereSql = where.join(" AND ");
+  const limit = params.length + 1;
+  const offset = params.length + 2;
+
+  return {
+    rows: {
+      text: `SELECT ${fields.join(", ")} FROM fl_parks WHERE ${whereSql}
+             ORDER BY park_name, permit LIMIT $${limit} OFFSET $${offset}`,
+      params: [...params, pageSize, (page - 1) * pageSize],
+    },
+    count: {
+      text: `SELECT count(*)::int AS total FROM fl_parks WHERE ${whereSql}`,
+      params,
+    },
+  };
+}
+
+export function buildParkByPermitQuery(permit, fields = PARK_FIELDS) {
+  return {
+    text: `SELECT ${fields.join(", ")} FROM fl_parks WHERE permit = $1 LIMIT 1`,
+    params: [permit],
+  };
+}
@@ -0,0 +1,88 @@
+// frontend/api/_lib/upstream.js
+// Fetching from slow / flaky upstream services (FEMA NFHL, ArcGIS):
+// bounded concurrency, per-request timeout, exponential backoff on 5xx.
+
+// Numeric setting from the environment (timeouts, limits, TTLs)
+export function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] != null && Number.isFinite(n) ? n : fallback;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns limit(fn): runs fn when fewer than `max` calls are in flight,
+ * otherwise queues it. Resolves/rejects with fn's result.
+ */
+export function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function limit(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+// Errors worth another attempt: timeouts, network failures, 429 and 5xx
+function isRetryable(err) {
+  if (err?.status != null) return err.status === 429 || err.status >= 500;
+  return true;
+}
+
+/**
+ * GET a JSON document with retries.
+ * ArcGIS reports some failures as HTTP 200 with an { error } body; those are
+ * treated like the HTTP status they carry.
+ */
+export async function fetchJsonWithRetry(
+  url,
+  { retries = 3, timeoutMs = 10000, baseDelayMs = 250, label = "Upstream", headers = undefined } = {}
+) {
+  let lastErr;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const jitter = Math.random() * baseDelayMs;
+      await sleep(baseDelayMs * 2 ** (attempt - 1) + jitter);
+    }
+
+    try {
+      const r = await fetch(url.toString(), { headers, signal: AbortSignal.timeout(timeoutMs) });
+      if (!r.ok) {
+        throw Object.assign(new Error(`${label} query failed: ${r.status}`), { status: r.status });
+      }
+      const body = await r.json();
+      if (body?.error) {
+        const status = Number(body.error.code) || 500;
+        throw Object.assign(
+          new Error(`${label} query failed: ${status} ${body.error.message ?? ""}`.trim()),
+          { status }
+        );
+      }
+      return body;
+    } catch (err) {
+      lastErr = err;
+      if (!isRetryable(err)) break;
+    }
+  }
+
+  throw lastErr;
+}
@@ -0,0 +1,176 @@
+// frontend/api/_lib/watchlists.js
+// Named watchlists of parks per user, and the changes their watchers have
+// not seen yet. Each watched park keeps the flood_zone / flood_risk its
+// owner last acknowledged; anything different in fl_parks (enrichment run,
+// NFHL revision, geocode correction) is a notification until acknowledged.
+//
+// Users are plain names: there is no login, so this is organisation, not
+// access control.
+import { query } from "./db.js";
+
+const MAX_NAME = 100;
+
+let tablesReady = null;
+
+export function ensureWatchTables() {
+  tablesReady ??= query(
+    `CREATE TABLE IF NOT EXISTS watchlists (
+       id bigserial PRIMARY KEY,
+       owner text NOT NULL,
+       name text NOT NULL,
+       created_at timestamptz NOT NULL DEFAULT now(),
+       UNIQUE (owner, name)
+     )`
+  )
+    .then(() =>
+      query(
+        `CREATE TABLE IF NOT EXISTS watchlist_parks (
+           watchlist_id bigint NOT NULL REFERENCES watchlists (id) ON DELETE CASCADE,
+           permit text NOT NULL,
+           added_at timestamptz NOT NULL DEFAULT now(),
+           seen_flood_zone text,
+           seen_flood_risk text,
+           seen_at timestamptz NOT NULL DEFAULT now(),
+           PRIMARY KEY (watchlist_id, permit)
+         )`
+      )
+    )
+    .catch((err) => {
+      tablesReady = null;
+      throw err;
+    });
+  return tablesReady;
+}
+
+// Owners compare case-insensitively ("Ana" and "ana" are the same person)
+export function normalizeUser(raw) {
+  const s = raw == null ? "" : String(raw).trim().toLowerCase();
+  return s && s.length <= MAX_NAME ? s : null;
+}
+
+export function normalizeListName(raw) {
+  const s = raw == null ? "" : String(raw).trim();
+  return s && s.length <= MAX_NAME ? s : null;
+}
+
+/** The user's lists with their permits, oldest first. */
+export async function listWatchlists(owner) {
+  await ensureWatchTables();
+  return query(
+    `SELECT w.id, w.name, w.created_at,
+            coalesce(array_agg(wp.permit ORDER BY wp.added_at) FILTER (WHERE wp.permit IS NOT NULL), '{}') AS permits
+       FROM watchlists w
+       LEFT JOIN watchlist_parks wp ON wp.watchlist_id = w.id
+      WHERE w.owner = $1
+      GROUP BY w.id
+      ORDER BY w.created_at, w.id`,
+    [owner]
+  );
+}
+
+/** Resolves to the new list, or null when the name is already taken. */
+export async function createWatchlist(owner, name) {
+  await ensureWatchTables();
+  const [row] = await query(
+    `INSERT INTO watchlists (owner, name) VALUES ($1, $2)
+     ON CONFLICT (owner, name) DO NOTHING
+     RETURNING id, name, created_at`,
+    [owner, name]
+  );
+  return row ? { ...row, permits: [] } : null;
+}
+
+// The remaining operations resolve to false when the list isn't the owner's
+
+export async function ownsWatchlist(owner, id) {
+  await ensureWatchTables();
+  const rows = await query(`SELECT 1 FROM watchlists WHERE id = $1 AND owner = $2`, [id, owner]);
+  return rows.length > 0;
+}
+
+export async function renameWatchlist(owner, id, name) {
+  await ensureWatchTables();
+  const rows = await query(
+    `UPDATE watchlists SET name = $3 WHERE id = $1 AND owner = $2 RETURNING id`,
+    [id, owner, name]
+  );
+  return rows.length > 0;
+}
+
+export async function deleteWatchlist(owner, id) {
+  await ensureWatchTables();
+  const rows = await query(`DELETE FROM watchlists WHERE id = $1 AND owner = $2 RETURNING id`, [id, owner]);
+  return rows.length > 0;
+}
+
+// Starts from the park's current values: only later changes notify
+export async function addToWatchlist(owner, id, permit) {
+  await ensureWatchTables();
+  const rows = await query(
+    `INSERT INTO watchlist_parks (watchlist_id, permit, seen_flood_zone, seen_flood_risk)
+     SELECT w.id, p.permit, p.flood_zone::text, p.flood_risk::text
+       FROM watchlists w JOIN fl_parks p ON p.permit = $3
+      WHERE w.id = $1 AND w.owner = $2
+     ON CONFLICT (watchlist_id, permit) DO NOTHING
+     RETURNING permit`,
+    [id, owner, permit]
+  );
+  if (rows.length) return true;
+  // Already on the list counts as success; an unknown list or park does not
+  const [hit] = await query(
+    `SELECT 1 FROM watchlist_parks wp JOIN watchlists w ON w.id = wp.watchlist_id
+      WHERE w.id = $1 AND w.owner = $2 AND wp.permit = $3`,
+    [id, owner, permit]
+  );
+  return !!hit;
+}
+
+export async function removeFromWatchlist(owner, id, permit) {
+  await ensureWatchTables();
+  const rows = await query(
+    `DELETE FROM watchlist_parks wp USING watchlists w
+      WHERE wp.watchlist_id = w.id AND w.id = $1 AND w.owner = $2 AND wp.permit = $3
+     RETURNING wp.permit`,
+    [id, owner, permit]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Unacknowledged changes, one row per (watchlist, park); see
+ * src/watchDigest.js groupChanges() for one entry per park.
+ * owner null: every user's (for the digest job), with an owner column.
+ */
+export async function listWatchChanges(owner = null) {
+  await ensureWatchTables();
+  return query(
+    `SELECT w.owner, w.id AS watchlist_id, w.name AS watchlist, wp.permit, p.park_name, p.county,
+            wp.seen_flood_zone AS old_zone, p.flood_zone::text AS new_zone,
+            wp.seen_flood_risk AS old_risk, p.flood_risk::text AS new_risk, wp.seen_at
+       FROM watchlist_parks wp
+       JOIN watchlists w ON w.id = wp.watchlist_id
+       JOIN fl_parks p ON p.permit = wp.permit
+      WHERE ($1::text IS NULL OR w.owner = $1)
+        AND (p.flood_zone::text IS DISTINCT FROM wp.seen_flood_zone
+             OR p.flood_risk::text IS DISTINCT FROM wp.seen_flood_risk)
+      ORDER BY w.owner, p.park_name, wp.permit`,
+    [owner]
+  );
+}
+
+/** Marks changes as seen (all of the owner's, or only `permits`); resolves to the count. */
+export async function acknowledgeWatchChanges(owner, permits = null) {
+  await ensureWatchTables();
+  const rows = await query(
+    `UPDATE watchlist_parks wp
+        SET seen_flood_zone = p.flood_zone::text, seen_flood_risk = p.flood_risk::text, seen_at = now()
+       FROM watchlists w, fl_parks p
+      WHERE w.id = wp.watchlist_id AND p.permit = wp.permit AND w.owner = $1
+        AND ($2::text[] IS NULL OR wp.permit = ANY($2))
+        AND (p.flood_zone::text IS DISTINCT FROM wp.seen_flood_zone
+             OR p.flood_risk::text IS DISTINCT FROM wp.seen_flood_risk)
+     RETURNING wp.permit`,
+    [owner, permits]
+  );
+  return rows.length;
+}
@@ -0,0 +1,141 @@
+// frontend/api/_lib/weatherAlerts.js
+// Active NWS alerts (CAP properties in GeoJSON, as served by
+// api.weather.gov/alerts/active) for Florida, reduced to the events
+// ParkWatch cares about and to the shape src/weatherAlerts.js matches
+// against parks. Used by /api/weather-alerts.
+import topo from "us-atlas/counties-10m.json" with { type: "json" };
+import { createSwrCache, withCacheMeta } from "./cache.js";
+import { query } from "./db.js";
+import { selectableParkFields } from "./parkFlood.js";
+import { PARK_FIELDS } from "./parks.js";
+import { envNumber, fetchJsonWithRetry } from "./upstream.js";
+import { ALERT_EVENTS, alertFlags, alertTotals } from "../../src/weatherAlerts.js";
+
+// NWS_ALERTS_URL lets development point at scripts/mock-nws-server.js
+const ALERTS_URL = process.env.NWS_ALERTS_URL ?? "https://api.weather.gov/alerts/active?area=FL";
+
+// api.weather.gov rejects requests without an identifying User-Agent
+const USER_AGENT = process.env.NWS_USER_AGENT ?? "ParkWatch flood monitoring";
+
+const EVENTS = new Set(
+  process.env.NWS_ALERT_EVENTS
+    ? process.env.NWS_ALERT_EVENTS.split(",").map((e) => e.trim()).filter(Boolean)
+    : ALERT_EVENTS
+);
+
+// Warnings change by the minute during a storm; keep the cache short
+const cache = createSwrCache({
+  ttlMs: envNumber("NWS_ALERTS_TTL_S", 120) * 1000,
+  swrMs: envNumber("NWS_ALERTS_SWR_S", 1800) * 1000,
+});
+
+// Florida county FIPS ("12071") → name, from the same boundaries the map uses
+const COUNTY_NAMES = new Map(
+  topo.objects.counties.geometries
+    .filter((g) => String(g.id).startsWith("12"))
+    .map((g) => [String(g.id), g.properties.name])
+);
+
+/**
+ * County names from an alert's geocodes: SAME ("012071") and county UGC
+ * codes ("FLC071"). Forecast-zone UGCs (FLZ…) need no lookup: NWS lists
+ * the counties those zones cover under SAME.
+ */
+function alertCounties(geocode) {
+  const fips = new Set();
+  for (const same of geocode?.SAME ?? []) {
+    if (/^0\d{5}$/.test(same)) fips.add(same.slice(1));
+  }
+  for (const ugc of geocode?.UGC ?? []) {
+    const m = /^FLC(\d{3})$/.exec(ugc);
+    if (m) fips.add(`12${m[1]}`);
+  }
+  return [...fips].map((f) => COUNTY_NAMES.get(f)).filter(Boolean).sort();
+}
+
+function isActive(p, now) {
+  if (p.status && p.status !== "Actual") return false; // Test / Exercise / System
+  if (p.messageType === "Cancel") return false;
+  const end = Date.parse(p.ends ?? p.expires ?? "");
+  return !Number.isFinite(end) || end > now;
+}
+
+export function normalizeAlert(feature) {
+  const p = feature.properties ?? {};
+  return {
+    id: p.id ?? feature.id,
+    event: p.event,
+    severity: p.severity ?? null,
+    urgency: p.urgency ?? null,
+    certainty: p.certainty ?? null,
+    headline: p.headline ?? null,
+    description: p.description ?? null,
+    instruction: p.instruction ?? null,
+    area: p.areaDesc ?? null,
+    sender: p.senderName ?? null,
+    sent: p.sent ?? null,
+    onset: p.onset ?? p.effective ?? null,
+    expires: p.ends ?? p.expires ?? null,
+    counties: alertCounties(p.geocode),
+    geometry: feature.geometry ?? null,
+  };
+}
+
+const SEVERITY_RANK = { Extreme: 0, Severe: 1, Moderate: 2, Minor: 3 };
+
+// Most severe first, then soonest to expire
+function compareAlerts(a, b) {
+  const rank = (s) => SEVERITY_RANK[s] ?? 4;
+  return rank(a.severity) - rank(b.severity) || String(a.expires ?? "").localeCompare(String(b.expires ?? ""));
+}
+
+/** Reads the feed directly (no cache). */
+export async function fetchActiveAlerts() {
+  const body = await fetchJsonWithRetry(ALERTS_URL, {
+    label: "NWS alerts",
+    retries: envNumber("NWS_RETRIES", 2),
+    timeoutMs: envNumber("NWS_TIMEOUT_MS", 10000),
+    headers: { "User-Agent": USER_AGENT, Accept: "application/geo+json" },
+  });
+  if (!Array.isArray(body?.features)) throw new Error("NWS alerts: response is not a FeatureCollection");
+
+  const now = Date.now();
+  const alerts = body.features
+    .filter((f) => EVENTS.has(f.properties?.event) && isActive(f.properties, now))
+    .map(normalizeAlert)
+    .sort(compareAlerts);
+
+  return {
+    alerts,
+    meta: { source: ALERTS_URL, fetched_at: new Date(now).toISOString(), events: [...EVENTS] },
+  };
+}
+
+/**
+ * Cached feed. Alerts that expired since the feed was read are dropped here,
+ * so a stale entry never shows a warning past its end time.
+ */
+export async function resolveActiveAlerts() {
+  const body = withCacheMeta(await cache.get("alerts:active", fetchActiveAlerts));
+  const now = Date.now();
+  return { ...body, alerts: body.alerts.filter((a) => isActive({ ends: a.expires }, now)) };
+}
+
+/**
+ * fl_parks under any of `alerts`, with the alerts each one is under (ids,
+ * events and how it matched) and their totals.
+ */
+export async function alertedParks(alerts) {
+  if (!alerts.length) return { parks: [], totals: { parks: 0, spaces: 0 } };
+
+  const fields = await selectableParkFields(PARK_FIELDS);
+  const rows = await query(`SELECT ${fields.join(", ")} FROM fl_parks`);
+  const flags = alertFlags(rows, alerts, (p) => p.permit);
+  const parks = rows
+    .filter((p) => flags.has(p.permit))
+    .map((p) => ({
+      ...p,
+      alerts: flags.get(p.permit).map(({ alert, match }) => ({ id: alert.id, event: alert.event, match })),
+    }));
+  return { parks, totals: alertTotals(parks, flags, (p) => p.permit) };
+}
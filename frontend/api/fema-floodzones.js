@@ -0,0 +1,81 @@
+// frontend/api/fema-floodzones.js
+// Every NFHL flood zone in an area, for the map's viewport layer.
+//   GET /api/fema-floodzones?z=&x=&y=              one tile (what the map requests)
+//   GET /api/fema-floodzones?bbox=minLon,minLat,maxLon,maxLat&zoom=
+//                                                  the tiles covering a bbox, merged
+// Tiles are z <= 14 (see src/floodTiles.js) with geometry simplified to that
+// zoom; each is cached separately, so bbox requests share the tile cache.
+import { applyCors, queryParam } from "./_lib/http.js";
+import { resolveFloodZoneTile } from "./_lib/floodzone.js";
+import { MIN_LAYER_ZOOM, isValidTile, tileZoomFor, tilesForBounds } from "../src/floodTiles.js";
+
+const MAX_BBOX_TILES = 16;
+
+function parseBbox(raw) {
+  const nums = String(raw ?? "").split(",").map(Number);
+  if (nums.length !== 4 || !nums.every(Number.isFinite)) return null;
+  const [minLon, minLat, maxLon, maxLat] = nums;
+  return minLon < maxLon && minLat < maxLat ? nums : null;
+}
+
+// Tiles overlap at their edges: keep each polygon once
+function mergeTiles(bodies) {
+  const seen = new Set();
+  const features = [];
+  for (const body of bodies) {
+    for (const f of body.features) {
+      const id = f.properties.id;
+      if (id != null && seen.has(id)) continue;
+      if (id != null) seen.add(id);
+      features.push(f);
+    }
+  }
+  return {
+    type: "FeatureCollection",
+    features,
+    meta: {
+      tiles: bodies.map((b) => b.meta.tile),
+      count: features.length,
+      truncated: bodies.some((b) => b.meta.truncated),
+      stale: bodies.some((b) => b.meta.stale),
+    },
+  };
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  let tiles;
+  if (queryParam(req, "bbox") != null) {
+    const bbox = parseBbox(queryParam(req, "bbox"));
+    if (!bbox) return res.status(400).json({ error: "Invalid bbox" });
+    const z = tileZoomFor(Number(queryParam(req, "zoom")));
+    if (z == null) return res.status(400).json({ error: `zoom must be at least ${MIN_LAYER_ZOOM}` });
+    tiles = tilesForBounds(bbox, z);
+    if (tiles.length > MAX_BBOX_TILES) {
+      return res.status(400).json({ error: `bbox too large at zoom ${z} (${tiles.length} tiles, max ${MAX_BBOX_TILES})` });
+    }
+  } else {
+    const [z, x, y] = ["z", "x", "y"].map((k) => Number(queryParam(req, k)));
+    if (!isValidTile(z, x, y) || z < MIN_LAYER_ZOOM) {
+      return res.status(400).json({ error: `Invalid tile (z ${MIN_LAYER_ZOOM}-14, x, y)` });
+    }
+    tiles = [{ z, x, y }];
+  }
+
+  try {
+    const bodies = await Promise.all(tiles.map((t) => resolveFloodZoneTile(t.z, t.x, t.y)));
+    const body = bodies.length === 1 ? bodies[0] : mergeTiles(bodies);
+
+    res.setHeader(
+      "Cache-Control",
+      body.meta.stale
+        ? "public, s-maxage=300, stale-while-revalidate=86400"
+        : "public, max-age=3600, s-maxage=604800, stale-while-revalidate=86400"
+    );
+    return res.status(200).json(body);
+  } catch (err) {
+    console.error(err);
+    return res.status(502).json({ error: "FEMA query failed", details: String(err?.message ?? err) });
+  }
+}
@@ -0,0 +1,27 @@
+// frontend/api/flood-history/changes.js
+// GET /api/flood-history/changes?since=YYYY-MM-DD[&county=][&limit=]
+// → parks whose risk tier moved since that date, most recent change first
+import { applyCors, queryParam } from "../_lib/http.js";
+import { listTierChanges } from "../_lib/floodHistory.js";
+
+const MAX_LIMIT = 5000;
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const since = String(queryParam(req, "since") ?? "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(since) || Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: "since must be a date (YYYY-MM-DD)" });
+  }
+  const county = String(queryParam(req, "county") ?? "").trim() || null;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(queryParam(req, "limit")) || 1000));
+
+  try {
+    const rows = await listTierChanges({ since, county, limit });
+    res.setHeader("Cache-Control", "public, s-maxage=300");
+    return res.status(200).json({ since, data: rows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Flood change query failed" });
+  }
+}
@@ -0,0 +1,21 @@
+// frontend/api/flood-history/index.js
+// GET /api/flood-history?permit=... → the park's flood-zone determinations,
+// newest first, each with `changed` when zone or risk moved
+import { applyCors, queryParam } from "../_lib/http.js";
+import { listFloodHistory } from "../_lib/floodHistory.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const permit = String(queryParam(req, "permit") ?? "").trim();
+  if (!permit) return res.status(400).json({ error: "permit is required" });
+
+  try {
+    const rows = await listFloodHistory(permit);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ data: rows });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Flood history query failed" });
+  }
+}
@@ -0,0 +1,58 @@
+// frontend/api/geocode-corrections.js
+// GET  /api/geocode-corrections?permit=...   audit trail (newest first; all parks without permit)
+// POST /api/geocode-corrections              { permit, latitude, longitude, reviewer, reason }
+//
+// Writes need REVIEW_TOKEN to be set on the server and sent back in the
+// X-Review-Token header; without it corrections are read-only.
+import { timingSafeEqual } from "node:crypto";
+import { applyCors, jsonBody, queryParam } from "./_lib/http.js";
+import { applyCorrection, listCorrections, parseCorrection } from "./_lib/corrections.js";
+
+function tokenMatches(given) {
+  const expected = process.env.REVIEW_TOKEN;
+  if (!expected || typeof given !== "string") return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "GET,POST,OPTIONS", headers: "Content-Type, X-Review-Token" })) return;
+
+  if (req.method === "GET") {
+    const permit = String(queryParam(req, "permit") ?? "").trim() || null;
+    try {
+      const rows = await listCorrections({ permit });
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ data: rows });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Corrections query failed" });
+    }
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST, OPTIONS");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!process.env.REVIEW_TOKEN) {
+    return res.status(403).json({ error: "Corrections are disabled (REVIEW_TOKEN is not set)" });
+  }
+  if (!tokenMatches(req.headers["x-review-token"])) {
+    return res.status(401).json({ error: "Invalid review token" });
+  }
+
+  const parsed = parseCorrection(jsonBody(req));
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const result = await applyCorrection(parsed);
+    if (!result) return res.status(404).json({ error: "Park not found" });
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Correction failed" });
+  }
+}
@@ -0,0 +1,46 @@
+// frontend/api/hazard-profile.js
+// GET /api/hazard-profile?permit=...  (or ?lat=&lon=)
+// Every hazard layer for one park: NFHL flood zone, storm surge, evacuation
+// zone, coastal high-hazard area, LiMWA and nearest cross-section.
+import { applyCors, queryParam } from "./_lib/http.js";
+import { query } from "./_lib/db.js";
+import { resolveHazardProfile } from "./_lib/hazards.js";
+import { buildParkByPermitQuery } from "./_lib/parks.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const permit = String(queryParam(req, "permit") ?? "").trim();
+  let park = null;
+  let lat = Number(queryParam(req, "lat"));
+  let lon = Number(queryParam(req, "lon"));
+
+  if (permit) {
+    try {
+      const q = buildParkByPermitQuery(permit, ["permit", "park_name", "latitude", "longitude"]);
+      [park] = await query(q.text, q.params);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Park query failed" });
+    }
+    if (!park) return res.status(404).json({ error: "Park not found" });
+    lat = Number(park.latitude);
+    lon = Number(park.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return res.status(422).json({ error: "Park has no coordinates", park });
+    }
+  } else if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return res.status(400).json({ error: "Pass permit, or lat and lon" });
+  }
+
+  const profile = await resolveHazardProfile(lat, lon);
+  const stale = Object.values(profile.hazards).some((h) => h.stale || h.status === "error");
+
+  res.setHeader(
+    "Cache-Control",
+    stale
+      ? "public, s-maxage=300, stale-while-revalidate=86400"
+      : "public, s-maxage=86400, stale-while-revalidate=86400"
+  );
+  return res.status(200).json({ park, ...profile });
+}
@@ -0,0 +1,39 @@
+// frontend/api/hazards/[layer].js
+// GET /api/hazards/:layer?lat=&lon= → the layer's feature at (or nearest to)
+// the point, same response shape as /api/fema-floodzone
+import { applyCors, queryParam } from "../_lib/http.js";
+import { findHazardLayer } from "../_lib/hazardLayers.js";
+import { resolveHazard } from "../_lib/hazards.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const layer = findHazardLayer(String(queryParam(req, "layer") ?? ""));
+  if (!layer) return res.status(404).json({ error: "Unknown hazard layer" });
+  if (!layer.url) {
+    return res.status(503).json({
+      error: "Hazard layer not configured",
+      details: `Set HAZARD_${layer.id.toUpperCase()}_URL`,
+    });
+  }
+
+  const lat = Number(queryParam(req, "lat"));
+  const lon = Number(queryParam(req, "lon"));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return res.status(400).json({ error: "Invalid lat/lon" });
+  }
+
+  try {
+    const body = await resolveHazard(layer, lat, lon);
+    res.setHeader(
+      "Cache-Control",
+      body.meta.stale
+        ? "public, s-maxage=300, stale-while-revalidate=86400"
+        : "public, s-maxage=86400, stale-while-revalidate=86400"
+    );
+    return res.status(200).json(body);
+  } catch (err) {
+    console.error(err);
+    return res.status(502).json({ error: `${layer.label} query failed`, details: String(err?.message ?? err) });
+  }
+}
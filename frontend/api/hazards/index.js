@@ -0,0 +1,11 @@
+// frontend/api/hazards/index.js
+// GET /api/hazards → the hazard layers this deployment can query
+import { applyCors } from "../_lib/http.js";
+import { listHazardLayers } from "../_lib/hazards.js";
+
+export default function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  res.setHeader("Cache-Control", "public, s-maxage=300");
+  return res.status(200).json({ layers: listHazardLayers() });
+}
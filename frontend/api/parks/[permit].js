@@ -0,0 +1,28 @@
+// frontend/api/parks/[permit].js
+// GET /api/parks/:permit?fields=permit,park_name
+import { applyCors, queryParam } from "../_lib/http.js";
+import { query } from "../_lib/db.js";
+import { selectableParkFields } from "../_lib/parkFlood.js";
+import { PARK_FIELDS, buildParkByPermitQuery, parseFields } from "../_lib/parks.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const permit = String(queryParam(req, "permit") ?? "").trim();
+  if (!permit) return res.status(400).json({ error: "Missing permit" });
+
+  const f = parseFields(queryParam(req, "fields"), PARK_FIELDS);
+  if (f.error) return res.status(400).json({ error: f.error });
+
+  try {
+    const q = buildParkByPermitQuery(permit, await selectableParkFields(f.fields));
+    const rows = await query(q.text, q.params);
+    if (!rows.length) return res.status(404).json({ error: "Park not found" });
+
+    res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=3600");
+    return res.status(200).json(rows[0]);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Park query failed" });
+  }
+}
@@ -0,0 +1,65 @@
+// frontend/api/parks/export.js
+// GET /api/parks/export?format=csv|geojson|kml&county=Lee&bbox=minLon,minLat,maxLon,maxLat&fema=1
+// All park fields plus the computed risk tier. fema=1 adds fema_* columns
+// from the (cached) flood-zone lookup; limited to MAX_FEMA_ROWS parks.
+import { applyCors, queryParam } from "../_lib/http.js";
+import { query } from "../_lib/db.js";
+import { resolveFloodZone } from "../_lib/floodzone.js";
+import { selectableParkFields } from "../_lib/parkFlood.js";
+import { MAX_EXPORT_ROWS, PARK_FIELDS, buildParksQuery, parseParksQuery } from "../_lib/parks.js";
+import { EXPORT_FORMATS, exportRows, formatParks } from "../../src/parkExport.js";
+
+const MAX_FEMA_ROWS = 500;
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const format = String(queryParam(req, "format") ?? "csv").toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}` });
+  }
+  const withFema = ["1", "true", "yes"].includes(String(queryParam(req, "fema") ?? "").toLowerCase());
+
+  const parsed = parseParksQuery({
+    fields: queryParam(req, "fields") ?? PARK_FIELDS.join(","),
+    bbox: queryParam(req, "bbox"),
+    county: queryParam(req, "county"),
+  });
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const fields = await selectableParkFields(parsed.fields);
+    const q = buildParksQuery({ ...parsed, fields, page: 1, pageSize: MAX_EXPORT_ROWS });
+    const rows = await query(q.rows.text, q.rows.params);
+
+    let femaById = null;
+    if (withFema) {
+      if (rows.length > MAX_FEMA_ROWS) {
+        return res.status(400).json({
+          error: `fema=1 is limited to ${MAX_FEMA_ROWS} parks; narrow the county/bbox filter (${rows.length} matched)`,
+        });
+      }
+      femaById = new Map();
+      // resolveFloodZone already caps concurrent FEMA requests
+      await Promise.all(
+        rows.map(async (r) => {
+          const lat = Number(r.latitude), lon = Number(r.longitude);
+          try {
+            femaById.set(r.permit, await resolveFloodZone(lat, lon));
+          } catch (err) {
+            console.error(`FEMA lookup failed for ${r.permit}:`, err);
+          }
+        })
+      );
+    }
+
+    const { ext, mime } = EXPORT_FORMATS[format];
+    res.setHeader("Content-Type", `${mime}; charset=utf-8`);
+    res.setHeader("Content-Disposition", `attachment; filename="parkwatch-parks.${ext}"`);
+    res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=3600");
+    return res.status(200).send(formatParks(exportRows(rows, { femaById }), format));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Export failed" });
+  }
+}
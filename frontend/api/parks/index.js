@@ -0,0 +1,38 @@
+// frontend/api/parks/index.js
+// GET /api/parks?page=1&pageSize=500&fields=permit,park_name&bbox=minLon,minLat,maxLon,maxLat&county=Lee
+import { applyCors, queryParam } from "../_lib/http.js";
+import { query } from "../_lib/db.js";
+import { selectableParkFields } from "../_lib/parkFlood.js";
+import { buildParksQuery, parseParksQuery } from "../_lib/parks.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const parsed = parseParksQuery({
+    fields: queryParam(req, "fields"),
+    page: queryParam(req, "page"),
+    pageSize: queryParam(req, "pageSize"),
+    bbox: queryParam(req, "bbox"),
+    county: queryParam(req, "county"),
+  });
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const q = buildParksQuery({ ...parsed, fields: await selectableParkFields(parsed.fields) });
+    const [rows, countRows] = await Promise.all([
+      query(q.rows.text, q.rows.params),
+      query(q.count.text, q.count.params),
+    ]);
+
+    res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=3600");
+    return res.status(200).json({
+      data: rows,
+      page: parsed.page,
+      pageSize: parsed.pageSize,
+      total: countRows[0]?.total ?? 0,
+    });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Parks query failed" });
+  }
+}
@@ -0,0 +1,55 @@
+// frontend/api/parks/report.js
+// GET /api/parks/report?permit=1234           - one park's printable flood risk report
+// GET /api/parks/report?county=Lee            - every park in a county, one per page
+// Print-ready HTML (the browser's print dialog saves it as PDF). fema=0
+// skips the live NFHL lookup and reports the stored flood_zone without a polygon.
+// County reports default to fema=0; fema=1 is allowed for up to
+// MAX_FEMA_REPORT_PARKS parks (scripts/park-reports.js does larger batches).
+import { applyCors, queryParam } from "../_lib/http.js";
+import {
+  MAX_FEMA_REPORT_PARKS,
+  MAX_REPORT_PARKS,
+  buildReportEntries,
+  loadReportParks,
+} from "../_lib/parkReports.js";
+import { renderParkReports } from "../../src/parkReport.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const permit = String(queryParam(req, "permit") ?? "").trim() || null;
+  const county = String(queryParam(req, "county") ?? "").trim() || null;
+  if (!permit === !county) return res.status(400).json({ error: "Pass either permit or county" });
+  const femaParam = String(queryParam(req, "fema") ?? "").toLowerCase();
+  const fema = femaParam ? !["0", "false", "no"].includes(femaParam) : !county;
+
+  try {
+    const parks = await loadReportParks({ permit, county });
+    if (!parks.length) {
+      return res.status(404).json({ error: permit ? "Park not found" : `No parks in county "${county}"` });
+    }
+    if (parks.length > MAX_REPORT_PARKS) {
+      return res.status(400).json({
+        error: `County reports are limited to ${MAX_REPORT_PARKS} parks; use scripts/park-reports.js for larger counties`,
+      });
+    }
+    if (fema && parks.length > MAX_FEMA_REPORT_PARKS) {
+      return res.status(400).json({
+        error: `Live FEMA lookups are limited to ${MAX_FEMA_REPORT_PARKS} parks; drop fema=1 or use scripts/park-reports.js`,
+      });
+    }
+
+    const entries = await buildReportEntries(parks, { fema });
+    const html = renderParkReports(entries, {
+      title: county ? `${county} County flood risk reports` : undefined,
+      source: "ParkWatch park inventory (fl_parks)",
+    });
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "public, s-maxage=300, stale-while-revalidate=3600");
+    return res.status(200).send(html);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Report failed" });
+  }
+}
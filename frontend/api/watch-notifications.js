@@ -0,0 +1,51 @@
+// frontend/api/watch-notifications.js
+// GET  /api/watch-notifications?user=NAME[&format=csv|json]
+//      flood_zone / flood_risk changes on the user's watched parks since they
+//      last acknowledged them; format=csv|json downloads the same as a digest
+// POST /api/watch-notifications   { user, permits? } acknowledge (all when omitted)
+import { applyCors, jsonBody, queryParam } from "./_lib/http.js";
+import { acknowledgeWatchChanges, listWatchChanges, normalizeUser } from "./_lib/watchlists.js";
+import { DIGEST_FORMATS, formatDigest, groupChanges } from "../src/watchDigest.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "GET,POST,OPTIONS" })) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "GET") {
+    const user = normalizeUser(queryParam(req, "user"));
+    if (!user) return res.status(400).json({ error: "user is required" });
+    const format = queryParam(req, "format");
+    if (format != null && !DIGEST_FORMATS[format]) return res.status(400).json({ error: "format must be csv or json" });
+
+    try {
+      const changes = groupChanges(await listWatchChanges(user));
+      if (!format) return res.status(200).json({ data: changes });
+
+      const { ext, mime } = DIGEST_FORMATS[format];
+      const day = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", `${mime}; charset=utf-8`);
+      res.setHeader("Content-Disposition", `attachment; filename="parkwatch-digest-${day}.${ext}"`);
+      return res.status(200).send(formatDigest(user, changes, format));
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Notification query failed" });
+    }
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST, OPTIONS");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const body = jsonBody(req);
+  const user = normalizeUser(body?.user);
+  if (!user) return res.status(400).json({ error: "user is required" });
+  const permits = Array.isArray(body?.permits) ? body.permits.map(String) : null;
+
+  try {
+    return res.status(200).json({ acknowledged: await acknowledgeWatchChanges(user, permits) });
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Acknowledge failed" });
+  }
+}
@@ -0,0 +1,68 @@
+// frontend/api/watchlists/[id].js
+// PATCH  /api/watchlists/:id           { user, name?, add?, remove? } rename and/or
+//                                      add / remove permits (a string or an array)
+// DELETE /api/watchlists/:id?user=NAME
+import { applyCors, jsonBody, queryParam } from "../_lib/http.js";
+import {
+  addToWatchlist,
+  deleteWatchlist,
+  normalizeListName,
+  normalizeUser,
+  ownsWatchlist,
+  removeFromWatchlist,
+  renameWatchlist,
+} from "../_lib/watchlists.js";
+
+function permitList(v) {
+  const list = v == null ? [] : Array.isArray(v) ? v : [v];
+  return list.map((p) => String(p).trim()).filter(Boolean);
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "PATCH,DELETE,OPTIONS" })) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  const id = Number(queryParam(req, "id"));
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: "Invalid watchlist id" });
+
+  if (req.method === "DELETE") {
+    const user = normalizeUser(queryParam(req, "user"));
+    if (!user) return res.status(400).json({ error: "user is required" });
+    try {
+      if (!(await deleteWatchlist(user, id))) return res.status(404).json({ error: "Watchlist not found" });
+      return res.status(204).end();
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Watchlist delete failed" });
+    }
+  }
+
+  if (req.method !== "PATCH") {
+    res.setHeader("Allow", "PATCH, DELETE, OPTIONS");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const body = jsonBody(req);
+  const user = normalizeUser(body?.user);
+  if (!user) return res.status(400).json({ error: "user is required" });
+  const name = body?.name != null ? normalizeListName(body.name) : null;
+  if (body?.name != null && !name) return res.status(400).json({ error: "Invalid name" });
+  const add = permitList(body?.add);
+  const remove = permitList(body?.remove);
+
+  try {
+    if (!(await ownsWatchlist(user, id))) return res.status(404).json({ error: "Watchlist not found" });
+    if (name) await renameWatchlist(user, id, name);
+    // Unknown permits are reported, not fatal: the rest of the batch still applies
+    const missing = [];
+    for (const permit of add) {
+      if (!(await addToWatchlist(user, id, permit))) missing.push(permit);
+    }
+    for (const permit of remove) await removeFromWatchlist(user, id, permit);
+    return res.status(200).json({ id, ...(name ? { name } : {}), ...(missing.length ? { missing } : {}) });
+  } catch (err) {
+    if (err?.code === "23505") return res.status(409).json({ error: `A watchlist named "${name}" already exists` });
+    console.error(err);
+    return res.status(500).json({ error: "Watchlist update failed" });
+  }
+}
@@ -0,0 +1,40 @@
+// frontend/api/watchlists/index.js
+// GET  /api/watchlists?user=NAME   the user's watchlists with their permits
+// POST /api/watchlists             { user, name } → the new (empty) list
+import { applyCors, jsonBody, queryParam } from "../_lib/http.js";
+import { createWatchlist, listWatchlists, normalizeListName, normalizeUser } from "../_lib/watchlists.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, { methods: "GET,POST,OPTIONS" })) return;
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "GET") {
+    const user = normalizeUser(queryParam(req, "user"));
+    if (!user) return res.status(400).json({ error: "user is required" });
+    try {
+      return res.status(200).json({ data: await listWatchlists(user) });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Watchlist query failed" });
+    }
+  }
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "GET, POST, OPTIONS");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const body = jsonBody(req);
+  const user = normalizeUser(body?.user);
+  const name = normalizeListName(body?.name);
+  if (!user || !name) return res.status(400).json({ error: "user and name are required (max 100 characters)" });
+
+  try {
+    const list = await createWatchlist(user, name);
+    if (!list) return res.status(409).json({ error: `A watchlist named "${name}" already exists` });
+    return res.status(201).json(list);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: "Watchlist create failed" });
+  }
+}
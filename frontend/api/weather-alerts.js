@@ -0,0 +1,33 @@
+// frontend/api/weather-alerts.js
+// GET /api/weather-alerts           - active flood / storm surge / hurricane warnings for Florida
+// GET /api/weather-alerts?parks=1   - plus the fl_parks under them and their total spaces
+// Alerts carry their polygon (when NWS issued one) and county names; the app
+// matches them against whatever park source it loaded (src/weatherAlerts.js).
+import { applyCors, queryParam } from "./_lib/http.js";
+import { alertedParks, resolveActiveAlerts } from "./_lib/weatherAlerts.js";
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  const withParks = ["1", "true", "yes"].includes(String(queryParam(req, "parks") ?? "").toLowerCase());
+
+  let body;
+  try {
+    body = await resolveActiveAlerts();
+  } catch (err) {
+    console.error(err);
+    return res.status(502).json({ error: "NWS alerts query failed", details: String(err?.message ?? err) });
+  }
+
+  if (withParks) {
+    try {
+      body = { ...body, ...(await alertedParks(body.alerts)) };
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Park query failed" });
+    }
+  }
+
+  res.setHeader("Cache-Control", "public, s-maxage=60, stale-while-revalidate=300");
+  return res.status(200).json(body);
+}
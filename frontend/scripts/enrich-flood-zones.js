@@ -0,0 +1,285 @@
+// frontend/scripts/enrich-flood-zones.js
+// Batch flood-zone enrichment for the park inventory.
+//
+//   node scripts/enrich-flood-zones.js --source geojson [--input public/FL_Parks_2025.geojson] [--out .enrich/parks.geojson]
+//   node scripts/enrich-flood-zones.js --source db [--dry-run]
+//
+// Each park goes through the same NFHL lookup as /api/fema-floodzone
+// (bypassing its cache), flood_risk is the scored tier from src/risk.js, and the
+// match method + distance are stored alongside. With --source db every
+// determination is also appended to flood_zone_history, together with the
+// FIRM panel and its effective date (--skip-panels saves that extra query).
+//
+// Resumable: every result is appended to --state (JSON lines) as soon as it
+// is known; re-running skips parks already in that file. Delete it (or pass
+// --fresh) to start over.
+//
+// Options: --concurrency N (2), --delay-ms N (250 per lookup per worker),
+//          --limit N, --county NAME, --state FILE, --report FILE
+import { appendFileSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { parseArgs } from "node:util";
+import { query } from "../api/_lib/db.js";
+import { lookupFirmPanel, lookupFloodZone } from "../api/_lib/floodzone.js";
+import { ensureFloodColumns, floodResult, writeParkFlood } from "../api/_lib/parkFlood.js";
+import { floodTier } from "../src/risk.js";
+
+const { values: opts } = parseArgs({
+  options: {
+    source: { type: "string", default: "geojson" },
+    input: { type: "string", default: "public/FL_Parks_2025.geojson" },
+    out: { type: "string", default: ".enrich/parks.geojson" },
+    state: { type: "string", default: ".enrich/state.jsonl" },
+    report: { type: "string", default: ".enrich/report.json" },
+    concurrency: { type: "string", default: "2" },
+    "delay-ms": { type: "string", default: "250" },
+    limit: { type: "string" },
+    county: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    fresh: { type: "boolean", default: false },
+    "skip-panels": { type: "boolean", default: false },
+  },
+});
+
+const CONCURRENCY = Math.max(1, Number(opts.concurrency) || 1);
+const DELAY_MS = Math.max(0, Number(opts["delay-ms"]) || 0);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function ensureDir(file) {
+  mkdirSync(dirname(file), { recursive: true });
+}
+
+// ---- Sources ------------------------------------------------------------
+
+// Parks as { key, lat, lon, spaces, prevZone, prevRisk, ref } where ref points back at the source record
+function parksFromGeojson(path) {
+  const fc = JSON.parse(readFileSync(path, "utf8"));
+  return (fc.features ?? []).map((f) => {
+    const p = f.properties ?? {};
+    const [lon, lat] = f.geometry?.coordinates ?? [p.longitude, p.latitude];
+    return {
+      key: String(p.permit ?? p.id),
+      name: p.park_name ?? p.name ?? null,
+      county: p.county ?? null,
+      lat: Number(lat),
+      lon: Number(lon),
+      spaces: p.billing_spaces ?? null,
+      prevZone: p.flood_zone ?? null,
+      prevRisk: p.flood_risk ?? null,
+      ref: f,
+    };
+  });
+}
+
+async function parksFromDb() {
+  const rows = await query(
+    `SELECT permit, park_name, county, latitude, longitude, billing_spaces, flood_zone, flood_risk
+     FROM fl_parks WHERE latitude IS NOT NULL AND longitude IS NOT NULL ORDER BY permit`
+  );
+  return rows.map((r) => ({
+    key: String(r.permit),
+    name: r.park_name,
+    county: r.county,
+    lat: Number(r.latitude),
+    lon: Number(r.longitude),
+    spaces: r.billing_spaces,
+    prevZone: r.flood_zone,
+    prevRisk: r.flood_risk,
+    ref: r,
+  }));
+}
+
+// ---- Resume state -------------------------------------------------------
+
+function loadState(path) {
+  const done = new Map();
+  if (!existsSync(path)) return done;
+  for (const line of readFileSync(path, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      done.set(r.key, r);
+    } catch {
+      // Partial last line from an interrupted run; that park is redone
+    }
+  }
+  return done;
+}
+
+// ---- Work ---------------------------------------------------------------
+
+async function enrichOne(park) {
+  if (!Number.isFinite(park.lat) || !Number.isFinite(park.lon)) {
+    return { key: park.key, error: "missing_coordinates" };
+  }
+
+  const gj = await lookupFloodZone(park.lat, park.lon);
+  // Panels only matter for the history table; a failure there isn't fatal
+  const panel =
+    opts.source === "db" && !opts["dry-run"] && !opts["skip-panels"]
+      ? await lookupFirmPanel(park.lat, park.lon).catch(() => null)
+      : null;
+  const r = floodResult({ billing_spaces: park.spaces }, gj, panel);
+
+  return {
+    key: park.key,
+    name: park.name,
+    county: park.county,
+    zone: r.zone,
+    subtype: r.subtype,
+    risk: r.risk,
+    score: r.score,
+    bfe: r.bfe,
+    dfirm_id: r.dfirm_id,
+    version_id: r.version_id,
+    firm_panel: r.firm_panel,
+    effective_date: r.effective_date,
+    method: r.method,
+    distance_m: r.distance_m,
+    confidence: r.confidence,
+    prev_zone: park.prevZone,
+    prev_risk: park.prevRisk,
+    checked_at: r.checked_at,
+  };
+}
+
+function buildReport(results, totalParks) {
+  const perZone = {};
+  const methodNone = [];
+  const tierChanged = [];
+  const errors = [];
+
+  for (const r of results) {
+    if (r.error) {
+      errors.push({ key: r.key, error: r.error });
+      continue;
+    }
+    const z = r.zone ?? "(none)";
+    perZone[z] = (perZone[z] ?? 0) + 1;
+
+    if (r.method === "none") methodNone.push({ key: r.key, name: r.name, county: r.county });
+
+    if (r.prev_risk != null && r.risk != null) {
+      const from = floodTier(r.prev_risk);
+      const to = floodTier(r.risk);
+      if (from !== to) {
+        tierChanged.push({ key: r.key, name: r.name, from, to, prev_zone: r.prev_zone, zone: r.zone });
+      }
+    }
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    parks_total: totalParks,
+    parks_processed: results.length,
+    per_zone: Object.fromEntries(Object.entries(perZone).sort((a, b) => b[1] - a[1])),
+    method_none: methodNone,
+    tier_changed: tierChanged,
+    errors,
+  };
+}
+
+async function main() {
+  if (opts.source !== "geojson" && opts.source !== "db") {
+    throw new Error(`--source must be "geojson" or "db", got "${opts.source}"`);
+  }
+
+  if (opts.fresh) rmSync(opts.state, { force: true });
+  ensureDir(opts.state);
+
+  let parks = opts.source === "db" ? await parksFromDb() : parksFromGeojson(opts.input);
+  if (opts.county) {
+    const c = opts.county.toLowerCase();
+    parks = parks.filter((p) => String(p.county ?? "").toLowerCase() === c);
+  }
+  if (opts.limit) parks = parks.slice(0, Number(opts.limit));
+
+  if (opts.source === "db" && !opts["dry-run"]) await ensureFloodColumns();
+
+  const done = loadState(opts.state);
+  const todo = parks.filter((p) => !done.has(p.key));
+  console.log(`${parks.length} parks, ${done.size} already done, ${todo.length} to go`);
+
+  let next = 0;
+  let finished = 0;
+
+  async function worker() {
+    while (next < todo.length) {
+      const park = todo[next++];
+      let result;
+      try {
+        result = await enrichOne(park);
+        if (opts.source === "db" && !opts["dry-run"] && !result.error) {
+          await writeParkFlood(result.key, result, { source: "enrich" });
+        }
+      } catch (err) {
+        // Lookup or database write failed: not written to state, so a re-run retries it
+        console.error(`${park.key}: ${err?.message ?? err}`);
+        continue;
+      } finally {
+        // Failures too: an upstream outage shouldn't turn into back-to-back retries
+        if (DELAY_MS) await sleep(DELAY_MS);
+      }
+      appendFileSync(opts.state, JSON.stringify(result) + "\n");
+      done.set(result.key, result);
+
+      finished++;
+      if (finished % 25 === 0 || finished === todo.length) {
+        console.log(`  ${finished}/${todo.length}`);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  const keys = new Set(parks.map((p) => p.key));
+  const results = [...done.values()].filter((r) => keys.has(r.key));
+
+  if (opts.source === "geojson") {
+    const byKey = new Map(results.map((r) => [r.key, r]));
+    const features = parks.map((p) => {
+      const r = byKey.get(p.key);
+      if (!r || r.error) return p.ref;
+      return {
+        ...p.ref,
+        properties: {
+          ...p.ref.properties,
+          // A miss keeps the zone the park already had, as the database write does
+          ...(r.method !== "none" && { flood_zone: r.zone, flood_risk: r.risk, flood_bfe: r.bfe }),
+          flood_match_method: r.method,
+          flood_match_distance_m: r.distance_m,
+          flood_checked_at: r.checked_at,
+        },
+      };
+    });
+    ensureDir(opts.out);
+    writeFileSync(opts.out, JSON.stringify({ type: "FeatureCollection", features }));
+    console.log(`Wrote ${opts.out}`);
+  }
+
+  const report = buildReport(results, parks.length);
+  ensureDir(opts.report);
+  writeFileSync(opts.report, JSON.stringify(report, null, 2));
+
+  console.log(`Per zone: ${JSON.stringify(report.per_zone)}`);
+  console.log(`Method "none": ${report.method_none.length}`);
+  console.log(`Tier changed: ${report.tier_changed.length}`);
+  console.log(`Report: ${opts.report}`);
+
+  const remaining = parks.length - results.length;
+  if (remaining > 0) {
+    console.log(`${remaining} parks failed; re-run to retry them`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  // pg pools keep the event loop alive
+  .finally(() => process.exit());
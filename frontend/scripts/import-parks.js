@@ -0,0 +1,122 @@
+// frontend/scripts/import-parks.js
+// Loads a park licensing extract (CSV or XLSX) into fl_parks.
+//
+//   node scripts/import-parks.js licenses.xlsx [--sheet NAME] [--geocoder census]
+//   node scripts/import-parks.js licenses.csv --map permit="License Number" --map park_name=DBA --dry-run
+//
+// Columns are matched to fl_parks fields by name (common spellings like
+// "License #", "Zip Code" or "Lat" are recognized); --map field=Header
+// settles anything else. Rows need a permit, a park name and a county, and
+// either an address or coordinates inside Florida. A permit that appears
+// twice keeps its last row. Existing permits are updated in place, new ones
+// inserted.
+//
+// Rows without coordinates go through --geocoder (GEOCODER, default none):
+// "census" for the Census Bureau geocoder, "fixture" for a local address
+// file (--geocoder-fixture, default scripts/fixtures/geocoder.json) so runs
+// are repeatable offline. geocode_status records the outcome: OK / APPROX
+// when placed, PENDING (no geocoder), NO_MATCH or FAILED when not.
+//
+// Every run writes --report (default .import/report.json): inserted,
+// updated, rejected and ungeocoded rows with their line numbers, plus the
+// permits whose point changed (re-run enrich:flood for those). --dry-run
+// does everything but the writes, and runs without DATABASE_URL too (every
+// row then counts as new). Exits 1 when any row was rejected.
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, extname } from "node:path";
+import { parseArgs } from "node:util";
+import { parse } from "csv-parse/sync";
+import readXlsxFile from "read-excel-file/node";
+import { createGeocoder } from "../api/_lib/geocoders.js";
+import { importParks } from "../api/_lib/parkImport.js";
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    sheet: { type: "string" },
+    map: { type: "string", multiple: true, default: [] },
+    geocoder: { type: "string", default: process.env.GEOCODER || "none" },
+    "geocoder-fixture": { type: "string" },
+    report: { type: "string", default: ".import/report.json" },
+    "dry-run": { type: "boolean", default: false },
+  },
+});
+
+function parseMappings(list) {
+  const out = {};
+  for (const m of list) {
+    const i = m.indexOf("=");
+    if (i <= 0) throw new Error(`--map expects field=Header, got "${m}"`);
+    out[m.slice(0, i).trim()] = m.slice(i + 1).trim();
+  }
+  return out;
+}
+
+// Header row + data rows, as arrays, from either format
+async function readTable(file) {
+  const ext = extname(file).toLowerCase();
+  if (ext === ".xlsx") {
+    const sheet = opts.sheet == null ? 1 : /^\d+$/.test(opts.sheet) ? Number(opts.sheet) : opts.sheet;
+    return readXlsxFile(file, { sheet });
+  }
+  if (ext === ".csv" || ext === ".txt") {
+    return parse(readFileSync(file), { bom: true, skip_empty_lines: true, relax_column_count: true });
+  }
+  throw new Error(`Unsupported file type "${ext}" (use .csv or .xlsx)`);
+}
+
+function toRecords([header = [], ...rows]) {
+  const headers = header.map((h) => String(h ?? "").trim());
+  const records = rows
+    .filter((r) => r.some((v) => v != null && String(v).trim() !== ""))
+    .map((r) => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? null])));
+  return { headers, records };
+}
+
+async function main() {
+  const file = positionals[0];
+  if (!file) throw new Error("usage: import-parks.js FILE [--sheet NAME] [--map field=Header] [--geocoder none|fixture|census]");
+
+  const geocoder = createGeocoder(opts.geocoder, { fixture: opts["geocoder-fixture"] });
+  const { headers, records } = toRecords(await readTable(file));
+  const useDb = !opts["dry-run"] || !!process.env.DATABASE_URL;
+  if (!useDb) console.log("DATABASE_URL not set: dry run against an empty table");
+
+  const report = await importParks(records, {
+    headers,
+    columns: parseMappings(opts.map),
+    geocoder,
+    dryRun: opts["dry-run"],
+    useDb,
+  });
+  report.file = file;
+
+  mkdirSync(dirname(opts.report), { recursive: true });
+  writeFileSync(opts.report, JSON.stringify(report, null, 2));
+
+  const c = report.counts;
+  console.log(`Columns: ${JSON.stringify(report.columns)}`);
+  if (report.unmapped_columns.length) console.log(`Ignored columns: ${report.unmapped_columns.join(", ")}`);
+  console.log(
+    `${c.rows} rows${opts["dry-run"] ? " (dry run)" : ""}: ${c.inserted} inserted, ${c.updated} updated, ` +
+      `${c.unchanged} unchanged, ${c.rejected} rejected, ${c.ungeocoded} ungeocoded, ${c.duplicates} duplicate permits`
+  );
+  for (const r of report.rejected.slice(0, 10)) {
+    console.log(`  line ${r.line}${r.permit ? ` (${r.permit})` : ""}: ${r.reasons.join("; ")}`);
+  }
+  if (report.rejected.length > 10) console.log(`  … ${report.rejected.length - 10} more in the report`);
+  if (report.flood_stale.length) {
+    console.log(`${report.flood_stale.length} parks have a new point; run enrich:flood --source db to refresh their flood zones`);
+  }
+  console.log(`Report: ${opts.report}`);
+
+  if (c.rejected > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  // pg pools keep the event loop alive
+  .finally(() => process.exit());
@@ -0,0 +1,77 @@
+// frontend/scripts/mock-nfhl-server.js
+// Minimal stand-in for an ArcGIS MapServer layer /query endpoint, for
+// exercising the flood-zone API offline:
+//
+//   node scripts/mock-nfhl-server.js [fixture.geojson]
+//   NFHL_BASE_URL=http://localhost:4010/query vercel dev
+//
+// Only bbox-level filtering is done (good enough: the API does the exact
+// geometry work). Failure modes for testing retries / stale fallback:
+//   MOCK_NFHL_DELAY_MS   - delay every response
+//   MOCK_NFHL_FAIL_RATE  - fraction of requests answered with 503
+//   GET /__mock/down?on=1|0 toggles a full outage at runtime
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.MOCK_NFHL_PORT ?? 4010);
+const DELAY_MS = Number(process.env.MOCK_NFHL_DELAY_MS ?? 0);
+const FAIL_RATE = Number(process.env.MOCK_NFHL_FAIL_RATE ?? 0);
+
+const fixturePath =
+  process.argv[2] ?? fileURLToPath(new URL("./fixtures/nfhl-zones.geojson", import.meta.url));
+const fixture = JSON.parse(readFileSync(fixturePath, "utf8"));
+
+let down = false;
+let requests = 0;
+
+function featureBbox(f) {
+  const pts = [];
+  const walk = (c) => (typeof c[0] === "number" ? pts.push(c) : c.forEach(walk));
+  walk(f.geometry.coordinates);
+  const xs = pts.map((p) => p[0]), ys = pts.map((p) => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+// Query geometry (esriGeometryPoint "x,y" or esriGeometryEnvelope "xmin,ymin,xmax,ymax") as a bbox
+function queryBbox(params) {
+  const nums = String(params.get("geometry") ?? "").split(",").map(Number);
+  if (nums.length === 2) return [nums[0], nums[1], nums[0], nums[1]];
+  if (nums.length === 4) return nums;
+  return null;
+}
+
+function overlaps(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+const boxes = fixture.features.map((f) => ({ f, bbox: featureBbox(f) }));
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  requests++;
+
+  if (url.pathname === "/__mock/down") {
+    down = url.searchParams.get("on") !== "0";
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ down, requests }));
+  }
+
+  setTimeout(() => {
+    if (down || Math.random() < FAIL_RATE) {
+      res.writeHead(503, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: { code: 503, message: "Service unavailable (mock)" } }));
+    }
+
+    const bbox = queryBbox(url.searchParams);
+    const limit = Number(url.searchParams.get("resultRecordCount") ?? 1000);
+    const features = bbox ? boxes.filter((b) => overlaps(b.bbox, bbox)).map((b) => b.f) : [];
+
+    res.writeHead(200, { "Content-Type": "application/geo+json" });
+    res.end(JSON.stringify({ type: "FeatureCollection", features: features.slice(0, limit) }));
+  }, DELAY_MS);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock NFHL listening on http://localhost:${PORT}/query (${fixture.features.length} features)`);
+});
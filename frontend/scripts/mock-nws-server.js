@@ -0,0 +1,73 @@
+// frontend/scripts/mock-nws-server.js
+// Minimal stand-in for api.weather.gov /alerts/active, for exercising the
+// weather-alert API offline:
+//
+//   node scripts/mock-nws-server.js [fixture.json]
+//   NWS_ALERTS_URL=http://localhost:4020/alerts/active?area=FL vercel dev
+//
+// The fixture is a recorded FeatureCollection. Every timestamp in it is
+// shifted so that its `updated` time is "now": warnings stay active and the
+// expired / test entries stay filtered, whenever the server is started.
+// Query parameters are ignored. For testing the stale fallback:
+//   MOCK_NWS_DELAY_MS    - delay every response
+//   GET /__mock/down?on=1|0 toggles a full outage at runtime
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.env.MOCK_NWS_PORT ?? 4020);
+const DELAY_MS = Number(process.env.MOCK_NWS_DELAY_MS ?? 0);
+
+const TIME_FIELDS = ["sent", "effective", "onset", "expires", "ends"];
+
+const fixturePath =
+  process.argv[2] ?? fileURLToPath(new URL("./fixtures/nws-alerts.json", import.meta.url));
+const fixture = JSON.parse(readFileSync(fixturePath, "utf8"));
+
+let down = false;
+let requests = 0;
+
+function rebased() {
+  const shift = Date.now() - Date.parse(fixture.updated);
+  const at = (t) => (t ? new Date(Date.parse(t) + shift).toISOString() : t);
+  return {
+    ...fixture,
+    updated: at(fixture.updated),
+    features: fixture.features.map((f) => ({
+      ...f,
+      properties: {
+        ...f.properties,
+        ...Object.fromEntries(TIME_FIELDS.filter((k) => k in f.properties).map((k) => [k, at(f.properties[k])])),
+      },
+    })),
+  };
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  requests++;
+
+  if (url.pathname === "/__mock/down") {
+    down = url.searchParams.get("on") !== "0";
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ down, requests }));
+  }
+
+  setTimeout(() => {
+    if (down) {
+      res.writeHead(503, { "Content-Type": "application/problem+json" });
+      return res.end(JSON.stringify({ title: "Service Unavailable (mock)", status: 503 }));
+    }
+    if (url.pathname !== "/alerts/active") {
+      res.writeHead(404, { "Content-Type": "application/problem+json" });
+      return res.end(JSON.stringify({ title: "Not Found", status: 404 }));
+    }
+
+    res.writeHead(200, { "Content-Type": "application/geo+json" });
+    res.end(JSON.stringify(rebased()));
+  }, DELAY_MS);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock NWS listening on http://localhost:${PORT}/alerts/active (${fixture.features.length} alerts)`);
+});
@@ -0,0 +1,123 @@
+// frontend/scripts/park-reports.js
+// Batch flood risk reports: one printable HTML page per park in a county,
+// plus an index.html linking them.
+//
+//   node scripts/park-reports.js --county Lee [--out .reports/lee]
+//   node scripts/park-reports.js --county Lee --source geojson [--input public/FL_Parks_2025.geojson]
+//
+// Same report as the "Print report" button and /api/parks/report. Each park
+// gets a live (cached) NFHL lookup for its polygon; --skip-fema reports the
+// stored flood_zone only, without network access. With --source db the
+// FIRM panel comes from flood_zone_history. Print the files from a browser
+// (or any HTML-to-PDF tool) to get PDFs.
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { buildReportEntries, loadReportParks } from "../api/_lib/parkReports.js";
+import { floodTier, tierLabel } from "../src/risk.js";
+import { renderParkReports, reportFileName } from "../src/parkReport.js";
+
+const { values: opts } = parseArgs({
+  options: {
+    county: { type: "string" },
+    source: { type: "string", default: "db" },
+    input: { type: "string", default: "public/FL_Parks_2025.geojson" },
+    out: { type: "string" },
+    "skip-fema": { type: "boolean", default: false },
+  },
+});
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// The snapshot has no permit; its id stands in, as in the app
+function parksFromGeojson(path) {
+  const fc = JSON.parse(readFileSync(path, "utf8"));
+  return (fc.features ?? []).map((f) => {
+    const p = f.properties ?? {};
+    const [lon, lat] = f.geometry?.coordinates ?? [p.longitude, p.latitude];
+    return { ...p, permit: String(p.permit ?? p.id), latitude: Number(lat), longitude: Number(lon) };
+  });
+}
+
+function indexPage(county, rows) {
+  const items = rows
+    .map(
+      ({ park, file }) =>
+        `<tr><td><a href="${esc(file)}">${esc(park.park_name ?? "Unnamed park")}</a></td><td>${esc(park.park_city)}</td>` +
+        `<td>${esc(park.billing_spaces)}</td><td>${esc(park.flood_zone)}</td><td>${tierLabel(floodTier(park.flood_risk))}</td></tr>`
+    )
+    .join("\n");
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${esc(county)} County flood risk reports</title>
+<style>body{font:13px/1.4 system-ui,sans-serif;margin:24px}table{border-collapse:collapse}td,th{padding:3px 10px;border-bottom:1px solid #e5e7eb;text-align:left}</style>
+</head>
+<body>
+<h1>${esc(county)} County flood risk reports</h1>
+<p>${rows.length} parks · generated ${new Date().toISOString().slice(0, 10)}</p>
+<table><thead><tr><th>Park</th><th>City</th><th>Spaces</th><th>Stored zone</th><th>Stored risk</th></tr></thead>
+<tbody>
+${items}
+</tbody></table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  if (!opts.county) throw new Error("--county is required");
+  if (opts.source !== "geojson" && opts.source !== "db") {
+    throw new Error(`--source must be "geojson" or "db", got "${opts.source}"`);
+  }
+
+  let parks;
+  let candidates = null;
+  let source;
+  if (opts.source === "db") {
+    parks = await loadReportParks({ county: opts.county });
+    source = "ParkWatch park inventory (fl_parks)";
+  } else {
+    candidates = parksFromGeojson(opts.input);
+    const c = opts.county.toLowerCase();
+    parks = candidates.filter((p) => String(p.county ?? "").toLowerCase() === c);
+    source = opts.input.split("/").pop();
+  }
+  if (!parks.length) throw new Error(`No parks in county "${opts.county}"`);
+
+  const out = opts.out ?? join(".reports", slug(opts.county));
+  mkdirSync(out, { recursive: true });
+  console.log(`${parks.length} parks in ${opts.county}`);
+
+  const entries = await buildReportEntries(parks, {
+    candidates,
+    fema: !opts["skip-fema"],
+    history: opts.source === "db",
+  });
+
+  const written = [];
+  const generatedAt = new Date();
+  for (const entry of entries) {
+    const file = reportFileName(entry.park);
+    writeFileSync(join(out, file), renderParkReports([entry], { source, generatedAt }));
+    written.push({ park: entry.park, file });
+  }
+  writeFileSync(join(out, "index.html"), indexPage(opts.county, written));
+
+  const noZone = entries.filter((e) => !e.floodZone && !opts["skip-fema"]).length;
+  console.log(`Wrote ${written.length} reports and index.html to ${out}`);
+  if (noZone) console.log(`${noZone} parks have no live flood-zone lookup (see errors above); their stored zone is shown`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  // pg pools keep the event loop alive
+  .finally(() => process.exit());
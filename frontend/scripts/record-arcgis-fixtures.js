@@ -0,0 +1,77 @@
+// frontend/scripts/record-arcgis-fixtures.js
+// Re-records scripts/fixtures/arcgis, the responses ARCGIS_FIXTURES=replay
+// answers from: flood-zone and FIRM panel lookups, hazard profiles (every
+// default layer) and the flood-zone tiles around the sample points below.
+//
+//   ARCGIS_FIXTURES=record node scripts/record-arcgis-fixtures.js
+//
+// records the live FEMA services. The committed set was recorded against
+// the mock NFHL server, one instance per layer fixture:
+//
+//   node scripts/mock-nfhl-server.js
+//   MOCK_NFHL_PORT=4011 node scripts/mock-nfhl-server.js scripts/fixtures/nfhl-panels.geojson
+//   MOCK_NFHL_PORT=4012 node scripts/mock-nfhl-server.js scripts/fixtures/nfhl-limwa.geojson
+//   MOCK_NFHL_PORT=4013 node scripts/mock-nfhl-server.js scripts/fixtures/nfhl-cross-sections.geojson
+//   MOCK_NFHL_PORT=4014 node scripts/mock-nfhl-server.js scripts/fixtures/hazard-surge.geojson
+//   MOCK_NFHL_PORT=4015 node scripts/mock-nfhl-server.js scripts/fixtures/hazard-evacuation.geojson
+//   MOCK_NFHL_PORT=4016 node scripts/mock-nfhl-server.js scripts/fixtures/hazard-chha.geojson
+//
+//   ARCGIS_FIXTURES=record \
+//   NFHL_BASE_URL=http://localhost:4010/arcgis/rest/services/public/NFHL/MapServer/28/query \
+//   NFHL_PANEL_URL=http://localhost:4011/arcgis/rest/services/public/NFHL/MapServer/3/query \
+//   HAZARD_LIMWA_URL=http://localhost:4012/arcgis/rest/services/public/NFHL/MapServer/19/query \
+//   HAZARD_CROSS_SECTIONS_URL=http://localhost:4013/arcgis/rest/services/public/NFHL/MapServer/14/query \
+//   HAZARD_SURGE_URL=http://localhost:4014/arcgis/rest/services/ParkWatch/StormSurge/FeatureServer/0/query \
+//   HAZARD_EVACUATION_URL=http://localhost:4015/arcgis/rest/services/ParkWatch/EvacuationZones/FeatureServer/0/query \
+//   HAZARD_CHHA_URL=http://localhost:4016/arcgis/rest/services/ParkWatch/CoastalHighHazardArea/FeatureServer/0/query \
+//     node scripts/record-arcgis-fixtures.js
+//
+// Fixture names depend on a query's path, not its host: keep FEMA's paths
+// on the mock URLs and the recordings replay against the default services.
+// The surge, evacuation and CHHA layers have no default service; replaying
+// them needs HAZARD_<ID>_URL set to a URL with the ParkWatch/... path above
+// (any host).
+import { lookupFirmPanel, lookupFloodZoneTile } from "../api/_lib/floodzone.js";
+import { resolveHazardProfile } from "../api/_lib/hazards.js";
+import { tilesForBounds } from "../src/floodTiles.js";
+
+// Around the parks in the mock fixtures (Lee County, one in Pinellas)
+const POINTS = [
+  { name: "zone X inside AE", lat: 26.65, lon: -81.85 },
+  { name: "edge of X and AE", lat: 26.66, lon: -81.86 },
+  { name: "AE", lat: 26.68, lon: -81.82 },
+  { name: "VE", lat: 26.55, lon: -82.0 },
+  { name: "between AE and VE", lat: 26.62, lon: -81.93 },
+  { name: "0.2% annual chance", lat: 27.9, lon: -82.75 },
+  { name: "no flood data", lat: 26.2, lon: -81.5 },
+];
+
+const TILE_ZOOM = 12;
+const TILE_BOUNDS = [-81.9, 26.6, -81.8, 26.7];
+
+async function main() {
+  if (process.env.ARCGIS_FIXTURES !== "record") {
+    throw new Error("Set ARCGIS_FIXTURES=record (see the header of this script)");
+  }
+
+  for (const { name, lat, lon } of POINTS) {
+    const { hazards } = await resolveHazardProfile(lat, lon);
+    const panel = await lookupFirmPanel(lat, lon);
+    const found = Object.entries(hazards)
+      .filter(([, h]) => h.found)
+      .map(([id]) => id);
+    console.log(`${name}: ${found.join(", ") || "nothing"}; panel ${panel?.panel ?? "none"}`);
+    for (const [id, h] of Object.entries(hazards)) {
+      if (h.status === "error") console.error(`  ${id}: ${h.error}`);
+    }
+  }
+
+  const tiles = tilesForBounds(TILE_BOUNDS, TILE_ZOOM);
+  for (const t of tiles) await lookupFloodZoneTile(t.z, t.x, t.y);
+  console.log(`${tiles.length} tiles at z${TILE_ZOOM}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,94 @@
+// frontend/scripts/watch-digest.js
+// Digest of watchlist notifications (flood_zone / flood_risk changes on
+// watched parks), typically run after enrich:flood or an NFHL revision.
+//
+//   node scripts/watch-digest.js [--user NAME] [--format json|csv] [--out FILE]
+//   node scripts/watch-digest.js --webhook http://localhost:9000/parkwatch [--ack]
+//
+// Without --user every user with pending changes gets a digest. --out writes
+// one file per user (NAME is substituted for {user}, e.g. .digest/{user}.csv);
+// without --out or --webhook the digest goes to stdout. --webhook POSTs each
+// user's JSON digest (WATCH_WEBHOOK_URL works too). --ack marks the changes
+// as seen once they have been delivered.
+import { mkdirSync, writeFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { parseArgs } from "node:util";
+import { acknowledgeWatchChanges, listWatchChanges, normalizeUser } from "../api/_lib/watchlists.js";
+import { DIGEST_FORMATS, formatDigest, groupChanges } from "../src/watchDigest.js";
+
+const { values: opts } = parseArgs({
+  options: {
+    user: { type: "string" },
+    format: { type: "string", default: "json" },
+    out: { type: "string" },
+    webhook: { type: "string", default: process.env.WATCH_WEBHOOK_URL },
+    ack: { type: "boolean", default: false },
+  },
+});
+
+if (!DIGEST_FORMATS[opts.format]) {
+  console.error("--format must be json or csv");
+  process.exit(1);
+}
+
+async function postWebhook(url, user, changes) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: formatDigest(user, changes, "json"),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!r.ok) throw new Error(`webhook answered ${r.status}`);
+}
+
+async function main() {
+  const only = opts.user != null ? normalizeUser(opts.user) : null;
+  if (opts.user != null && !only) throw new Error("invalid --user");
+
+  const rows = await listWatchChanges(only);
+  const byUser = new Map();
+  for (const r of rows) byUser.set(r.owner, [...(byUser.get(r.owner) ?? []), r]);
+
+  if (byUser.size === 0) {
+    console.error("No pending changes.");
+    return;
+  }
+
+  for (const [user, userRows] of byUser) {
+    const changes = groupChanges(userRows);
+    let delivered = true; // false once any requested delivery fails
+
+    if (opts.out) {
+      const file = opts.out.replaceAll("{user}", user.replace(/[^a-z0-9_-]+/g, "_"));
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, formatDigest(user, changes, opts.format));
+      console.error(`${user}: ${changes.length} change(s) → ${file}`);
+    }
+    if (opts.webhook) {
+      try {
+        await postWebhook(opts.webhook, user, changes);
+        console.error(`${user}: ${changes.length} change(s) → ${opts.webhook}`);
+      } catch (err) {
+        console.error(`${user}: webhook failed: ${err.message}`);
+        delivered = false;
+        process.exitCode = 1;
+      }
+    }
+    if (!opts.out && !opts.webhook) {
+      process.stdout.write(formatDigest(user, changes, opts.format) + "\n");
+    }
+
+    if (opts.ack && delivered) {
+      const n = await acknowledgeWatchChanges(user, changes.map((c) => c.permit));
+      console.error(`${user}: acknowledged ${n}`);
+    }
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  // pg pools keep the event loop alive
+  .finally(() => process.exit());
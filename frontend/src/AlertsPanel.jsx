@@ -0,0 +1,44 @@
+// src/AlertsPanel.jsx
+import { alertUntil } from "./weatherAlerts";
+
+/**
+ * Active NWS warnings above the Communities list: each alert with how many
+ * parks it covers, the total impacted, and a toggle that limits the list
+ * and map to those parks. Only shown while there are alerts. asOf is the
+ * feed's read time, given when it may be out of date.
+ */
+export default function AlertsPanel({ alerts, totals, onlyAlerted, asOf, onOnlyAlertedChange }) {
+  return (
+    <div className="pw-filters pw-alerts">
+      <div className="pw-countRow">
+        <span className="pw-sectionTitle">⚠ Active weather alerts</span>
+        <button
+          type="button"
+          className={`pw-chip ${onlyAlerted ? "isOn" : ""}`}
+          disabled={totals.parks === 0}
+          onClick={() => onOnlyAlertedChange(!onlyAlerted)}
+        >
+          Only impacted
+        </button>
+      </div>
+
+      <div className="pw-count">
+        {totals.parks.toLocaleString()} communities · {totals.spaces.toLocaleString()} spaces under{" "}
+        {alerts.length === 1 ? "1 alert" : `${alerts.length} alerts`}
+        {asOf && ` · feed as of ${new Date(asOf).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`}
+      </div>
+
+      <div className="pw-alertList">
+        {alerts.map((a) => {
+          const t = totals.byAlert[a.id];
+          return (
+            <div key={a.id} className="pw-alertItem" title={a.headline ?? undefined}>
+              <span className="pw-alertEvent">{a.event}</span> {a.area} {alertUntil(a)}
+              <span className="pw-alertParks">{t ? `${t.parks} parks` : "no parks"}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
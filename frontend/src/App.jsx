@@ -1,8 +1,36 @@
 // src/App.jsx
 import { useEffect, useMemo, useRef, useState } from "react";
 import MapView from "./MapView";
+import FilterPanel from "./FilterPanel";
+import ReconcileView from "./ReconcileView";
+import ExportMenu from "./ExportMenu";
+import ExposureView from "./ExposureView";
+import RegionPanel from "./RegionPanel";
+import HazardImport from "./HazardImport";
+import GeocodeReviewPanel from "./GeocodeReviewPanel";
+import WatchlistPanel from "./WatchlistPanel";
+import WatchNotifications from "./WatchNotifications";
+import RecentChangesView from "./RecentChangesView";
+import FloodTimeline from "./FloodTimeline";
+import CompareView from "./CompareView";
+import NearbyParks from "./NearbyParks";
+import AlertsPanel from "./AlertsPanel";
 import "./App.css";
-import { sql } from "./neonClient";
+import { loadParks } from "./parkSources";
+import { parkTier, scoreParkRisk, tierColor, tierLabel } from "./risk";
+import useFloodZone, { useFloodZones } from "./useFloodZone";
+import useWatchlists, { loadWatchUser, saveWatchUser } from "./useWatchlists";
+import useWeatherAlerts from "./useWeatherAlerts";
+import { DEFAULT_FILTERS, filterParks, sortParks } from "./parkFilters";
+import { summarizeExposure } from "./exposure";
+import { buildUrl, readUrlState } from "./urlState";
+import { hazardFlags, uniqueOverlayName } from "./hazards";
+import { deleteSavedRegion, loadSavedRegions, parksInRegion, saveRegion } from "./regions";
+import { MAX_COMPARE, compareColor, extendCompare, toggleCompare } from "./compare";
+import { nearbyParks, renderParkReports, reportFileName } from "./parkReport";
+import { DEFAULT_NEARBY_KM, createParkIndex, nearbyAnalysis } from "./nearby";
+import { openHtml } from "./download";
+import { ALERT_MATCH_LABELS, alertFlags, alertTotals, alertUntil } from "./weatherAlerts";
 
 /**
  * ParkWatch – Clean UI Restart
@@ -19,41 +47,41 @@ function getParkId(p) {
   return p?.permit ?? `${p?.park_name ?? ""}|${p?.park_address ?? ""}`;
 }
 
-/**
- * Flood risk → 3-tier mapping (green/yellow/red).
- * Adjust thresholds if your flood_risk scale differs.
- */
-function floodTier(flood_risk) {
-  const r = Number(flood_risk);
-  if (!Number.isFinite(r)) return "yellow"; // unknown -> caution
-  if (r >= 3) return "red";
-  if (r >= 2) return "yellow";
-  return "green";
-}
-
-function tierColor(tier) {
-  if (tier === "green") return "#22c55e";
-  if (tier === "red") return "#ef4444";
-  return "#eab308";
-}
-
-function tierLabel(tier) {
-  if (tier === "green") return "LOW";
-  if (tier === "red") return "HIGH";
-  return "MEDIUM";
-}
-
 export default function App() {
-  const [parks, setParks] = useState([]); // array of rows from Neon
-  const [selectedId, setSelectedId] = useState(null); // null until user selects
-  const [selectionSource, setSelectionSource] = useState(null); // "map" | "list" | null
+  const [parks, setParks] = useState([]); // normalized rows (see parkSources.js)
+  const [dataSource, setDataSource] = useState(null); // { source, fallbackReason? }
+  // What the page was opened with (?park=, z/c viewport, filters; or /park/:permit)
+  const [initialUrl] = useState(() => readUrlState());
+  const viewRef = useRef(initialUrl.view); // latest map viewport, for the URL
+  const urlParkIdRef = useRef(initialUrl.parkId); // park currently in the URL
+
+  const [selectedId, setSelectedId] = useState(null); // null until user selects (or the URL names a park)
+  const [selectionSource, setSelectionSource] = useState(null); // "map" | "list" | "url" | null
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(initialUrl.filters);
+  const [showReconcile, setShowReconcile] = useState(false);
+  const [showExposure, setShowExposure] = useState(false);
+  const [showRecentChanges, setShowRecentChanges] = useState(false);
+  const [region, setRegion] = useState(null); // drawn selection region (see regions.js)
+  const [savedRegions, setSavedRegions] = useState(() => loadSavedRegions());
+  const [hazardOverlays, setHazardOverlays] = useState([]); // imported files, this session only
+  const [reviewMode, setReviewMode] = useState(false); // geocode review replaces the list
+  const [moved, setMoved] = useState(null); // { id, latlng } unsaved marker drag in review mode
+  const [watchUser, setWatchUser] = useState(() => loadWatchUser());
+  const [activeListId, setActiveListId] = useState(null); // watchlist the ☆ buttons edit
+  const [onlyActiveList, setOnlyActiveList] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [compareIds, setCompareIds] = useState([]); // parks picked for side-by-side comparison
+  const [showCompare, setShowCompare] = useState(false);
+  const compareAnchorRef = useRef(null); // last ctrl/shift-clicked row, for shift ranges
+  const [nearbyKm, setNearbyKm] = useState(DEFAULT_NEARBY_KM); // radius of the Nearby section
+  const [onlyAlerted, setOnlyAlerted] = useState(false); // list + map limited to parks under an active alert
 
   // Refs so we can scroll the list to the selected park when user clicks a marker
   const itemRefs = useRef({}); // { [id]: HTMLElement }
 
-  // Load parks from Neon (serving DB)
+  // Load parks from the configured source (API, falling back to the bundled GeoJSON)
   useEffect(() => {
     let cancelled = false;
 
@@ -62,33 +90,24 @@ export default function App() {
         setLoading(true);
         setError(null);
 
-        // Keep query minimal: only what the UI needs now
-        const rows = await sql`
-          SELECT
-            permit,
-            park_name,
-            park_address,
-            park_city,
-            billing_spaces,
-            latitude,
-            longitude,
-            flood_zone,
-            flood_risk
-          FROM fl_parks
-          WHERE latitude IS NOT NULL
-            AND longitude IS NOT NULL;
-        `;
+        const { parks: rows, source, fallbackReason } = await loadParks();
 
         if (cancelled) return;
 
         setParks(rows ?? []);
-
-        // CRITICAL: start with NO selection to avoid zooming on refresh
-        setSelectedId(null);
-        setSelectionSource(null);
+        setDataSource({ source, fallbackReason });
+
+        // CRITICAL: start with NO selection to avoid zooming on refresh,
+        // unless the URL explicitly asks for a park
+        const linked = initialUrl.parkId
+          ? (rows ?? []).find((p) => getParkId(p) === initialUrl.parkId)
+          : null;
+        if (!linked) urlParkIdRef.current = null; // unknown permit: just drop it from the URL
+        setSelectedId(linked ? initialUrl.parkId : null);
+        setSelectionSource(linked ? "url" : null);
       } catch (e) {
-        console.error("Neon load error:", e);
-        if (!cancelled) setError("Failed to load parks from Neon.");
+        console.error("Parks load error:", e);
+        if (!cancelled) setError("Failed to load parks (API and static data both unavailable).");
       } finally {
         if (!cancelled) setLoading(false);
       }
@@ -98,7 +117,7 @@ export default function App() {
     return () => {
       cancelled = true;
     };
-  }, []);
+  }, [initialUrl]);
 
   // Selected park object (derived)
   const selectedPark = useMemo(() => {
@@ -106,16 +125,77 @@ export default function App() {
     return parks.find((p) => getParkId(p) === selectedId) ?? null;
   }, [parks, selectedId]);
 
-  // Sort parks A–Z for a clean, predictable list (add sort controls later if desired)
-  const sortedParks = useMemo(() => {
-    const copy = [...parks];
-    copy.sort((a, b) =>
-      String(a.park_name ?? "").localeCompare(String(b.park_name ?? ""), undefined, {
-        sensitivity: "base",
-      })
+  // Watchlists live in the database: only with the API as the data source
+  const canWatch = dataSource?.source === "api";
+  const watch = useWatchlists(canWatch ? watchUser || null : null);
+  const activeList = watch.lists.find((l) => l.id === activeListId) ?? null;
+  const watchFilter = onlyActiveList ? activeList : null;
+
+  // Active NWS warnings (see weatherAlerts.js) and the parks under them
+  const weather = useWeatherAlerts();
+  const alertsById = useMemo(() => alertFlags(parks, weather.alerts, getParkId), [parks, weather.alerts]);
+  const alertSummary = useMemo(() => alertTotals(parks, alertsById, getParkId), [parks, alertsById]);
+  const alertFilter = onlyAlerted && alertsById.size > 0; // off by itself once every alert has expired
+
+  // Filter + chosen watchlist / active alerts, before the drawn region: the heat
+  // layer bins these so its hexbins stay put after one of them becomes the region
+  const filteredParks = useMemo(() => {
+    let rows = filterParks(parks, filters);
+    const watched = watchFilter ? new Set(watchFilter.permits) : null;
+    if (watched) rows = rows.filter((p) => watched.has(p.permit));
+    if (alertFilter) rows = rows.filter((p) => alertsById.has(getParkId(p)));
+    return rows;
+  }, [parks, filters, watchFilter, alertFilter, alertsById]);
+
+  // Filtered + sorted set (within the drawn region / chosen watchlist, if any): drives BOTH the list and the map markers
+  const visibleParks = useMemo(
+    () => sortParks(parksInRegion(filteredParks, region), filters.sort, filters.sortDir),
+    [filteredParks, region, filters.sort, filters.sortDir]
+  );
+
+  // Whole-inventory exposure per county (dashboard + choropleth)
+  const countyStats = useMemo(
+    () => new Map(summarizeExposure(parks, "county").map((r) => [r.key, r])),
+    [parks]
+  );
+
+  // parkId → imported overlays the park falls inside (list badge + details)
+  const hazardsById = useMemo(() => hazardFlags(parks, hazardOverlays, getParkId), [parks, hazardOverlays]);
+
+  function addHazardOverlays(added) {
+    setHazardOverlays((prev) =>
+      added.reduce((list, o) => [...list, { ...o, name: uniqueOverlayName(o.name, list) }], prev)
     );
-    return copy;
-  }, [parks]);
+  }
+
+  // Narrow the Communities list to one county (or one city within it)
+  function filterToGroup({ county, city }) {
+    setFilters((f) => ({ ...DEFAULT_FILTERS, sort: f.sort, sortDir: f.sortDir, county, city: city ?? "" }));
+    setShowExposure(false);
+  }
+
+  // FEMA polygon + zone summary for the selection (map overlay + risk breakdown)
+  const floodZone = useFloodZone(selectedPark);
+
+  // Neighbours of the selection across the whole inventory (not just the
+  // filtered list); the grid index is rebuilt only when the parks change
+  const parkIndex = useMemo(() => createParkIndex(parks, getParkId), [parks]);
+  const nearby = useMemo(
+    () =>
+      selectedPark
+        ? nearbyAnalysis(parkIndex, selectedPark, { radiusKm: nearbyKm, floodZone, getId: getParkId })
+        : null,
+    [parkIndex, selectedPark, nearbyKm, floodZone]
+  );
+  const nearbyIds = useMemo(() => new Set(nearby?.neighbors.map((n) => n.id)), [nearby]);
+  const alertedIds = useMemo(() => new Set(alertsById.keys()), [alertsById]);
+
+  const comparedParks = useMemo(
+    () => compareIds.map((id) => parks.find((p) => getParkId(p) === id)).filter(Boolean),
+    [parks, compareIds]
+  );
+  // Every compared park's polygon, overlaid together on the map
+  const compareZones = useFloodZones(comparedParks, getParkId);
 
   // Unified selection handler
   function selectPark(park, source) {
@@ -124,9 +204,119 @@ export default function App() {
     setSelectionSource(source);
   }
 
-  // If selection originated from the map, scroll list to the selected park
+  // Saved geocode correction: move the row and take the fresh flood result
+  function applyCorrection(park, { correction, flood }) {
+    const id = getParkId(park);
+    setParks((prev) =>
+      prev.map((p) =>
+        getParkId(p) !== id
+          ? p
+          : {
+              ...p,
+              latitude: correction.new_latitude,
+              longitude: correction.new_longitude,
+              geocode_status: "MANUAL",
+              // A miss keeps the stored zone, as the server does
+              ...(flood?.error
+                ? { flood_match_method: null }
+                : flood.method === "none"
+                  ? { flood_match_method: flood.method }
+                  : { flood_zone: flood.zone, flood_risk: flood.risk, flood_bfe: flood.bfe, flood_match_method: flood.method }),
+            }
+      )
+    );
+    setMoved(null);
+  }
+
+  // Select a park coming from another view (same record shape, maybe another source)
+  function selectParkFromView(park) {
+    const id = getParkId(park);
+    const loaded = parks.find((p) => getParkId(p) === id);
+    if (!loaded) return;
+    // "map" so the list scrolls to it, exactly like a marker click
+    selectPark(loaded, "map");
+    setShowReconcile(false);
+    setShowNotifications(false);
+    setShowRecentChanges(false);
+    setShowCompare(false);
+  }
+
+  // Ctrl/⌘-click toggles a row in the comparison, shift-click adds a range;
+  // a plain click selects as usual
+  function handleRowClick(e, park) {
+    const id = getParkId(park);
+    if (e.shiftKey && compareAnchorRef.current) {
+      setCompareIds((ids) => extendCompare(ids, visibleParks.map(getParkId), compareAnchorRef.current, id));
+    } else if (e.ctrlKey || e.metaKey || e.shiftKey) {
+      setCompareIds((ids) => toggleCompare(ids, id));
+    } else {
+      selectPark(park, "list");
+      return;
+    }
+    compareAnchorRef.current = id;
+  }
+
+  function changeWatchUser(name) {
+    if (name === watchUser) return;
+    saveWatchUser(name);
+    setWatchUser(name);
+    setActiveListId(null);
+    setOnlyActiveList(false);
+  }
+
+  // Printable report from what the app already has: the loaded parks and
+  // the selection's flood-zone lookup (without it, the stored zone is shown)
+  function printReport(park) {
+    const nearbyInReport = nearbyParks(park, parkIndex, { radiusKm: nearbyKm, getId: getParkId });
+    const html = renderParkReports([{ park, floodZone, nearby: nearbyInReport }], {
+      source: dataSource?.source === "api" ? "ParkWatch park inventory (fl_parks)" : "FL_Parks_2025.geojson snapshot",
+      nearbyKm,
+    });
+    openHtml(reportFileName(park), html);
+  }
+
+  // List / details toggles: failures stay in watch.error, shown by WatchlistPanel
+  function toggleWatched(list, park) {
+    watch.toggle(list, park.permit).catch(() => {});
+  }
+
+  // ---- URL sync ----------------------------------------------------------
+  // Selections push a history entry (back/forward step through them);
+  // filter and viewport changes only replace the current one.
+  const urlFor = (parkId) => buildUrl({ parkId, view: viewRef.current, filters });
+
+  useEffect(() => {
+    if (loading) return; // don't drop ?park= before parks exist
+
+    const url = urlFor(selectedId);
+    if (selectedId !== urlParkIdRef.current && selectionSource !== "history") {
+      window.history.pushState(null, "", url);
+    } else if (`${window.location.pathname}${window.location.search}` !== url) {
+      window.history.replaceState(null, "", url);
+    }
+    urlParkIdRef.current = selectedId;
+  });
+
+  useEffect(() => {
+    function onPopState() {
+      const state = readUrlState();
+      urlParkIdRef.current = state.parkId;
+      setSelectedId(state.parkId);
+      setSelectionSource("history");
+      setFilters(state.filters);
+    }
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  function handleViewChange(view) {
+    viewRef.current = view;
+    window.history.replaceState(null, "", urlFor(selectedId));
+  }
+
+  // If selection originated from the map (or a link), scroll list to the selected park
   useEffect(() => {
-    if (!selectedId || selectionSource !== "map") return;
+    if (!selectedId || (selectionSource !== "map" && selectionSource !== "url")) return;
 
     const el = itemRefs.current[selectedId];
     if (el?.scrollIntoView) {
@@ -144,6 +334,44 @@ export default function App() {
           <div className="pw-title">ParkWatch</div>
           <div className="pw-subtitle">Florida Mobile Home Community Risk Visualization</div>
         </div>
+
+        <div className="pw-topActions">
+          <button type="button" className="pw-chip" onClick={() => setShowExposure(true)}>
+            Exposure
+          </button>
+          <button type="button" className="pw-chip" onClick={() => setShowReconcile(true)}>
+            Inventory changes
+          </button>
+          <button type="button" className="pw-chip" onClick={() => setShowRecentChanges(true)}>
+            Recently changed
+          </button>
+          <button
+            type="button"
+            className={`pw-chip ${reviewMode ? "isOn" : ""}`}
+            onClick={() => {
+              setReviewMode((on) => !on);
+              setMoved(null);
+            }}
+          >
+            Geocode review
+          </button>
+          <HazardImport
+            overlays={hazardOverlays}
+            onAdd={addHazardOverlays}
+            onRemove={(id) => setHazardOverlays((prev) => prev.filter((o) => o.id !== id))}
+          />
+        </div>
+
+        {dataSource?.source === "static" && (
+          <div
+            className="pw-sourceNote"
+            title={dataSource.fallbackReason ?? "VITE_PARKS_SOURCE=static"}
+          >
+            {dataSource.fallbackReason
+              ? "Offline data: parks API unreachable, showing the bundled 2025 snapshot"
+              : "Static data: bundled 2025 snapshot"}
+          </div>
+        )}
       </header>
 
       <main className="pw-grid">
@@ -156,56 +384,206 @@ export default function App() {
 
           {!loading && !error && (
             <MapView
-              parks={parks}
+              parks={visibleParks}
+              heatParks={filteredParks}
               selectedId={selectedId}
+              floodZone={floodZone}
+              initialView={initialUrl.view}
+              initialSelectedId={initialUrl.parkId}
+              onViewChange={handleViewChange}
+              countyStats={countyStats}
+              region={region}
+              hazardOverlays={hazardOverlays}
+              compareIds={compareIds}
+              compareZones={compareZones}
+              nearbyIds={nearbyIds}
+              nearbyRadiusKm={nearby ? nearbyKm : null}
+              weatherAlerts={weather.alerts}
+              alertedIds={alertedIds}
+              editableId={reviewMode ? selectedId : null}
+              movedTo={moved?.id === selectedId ? moved.latlng : null}
+              onMove={(latlng) => setMoved({ id: selectedId, latlng })}
+              onRegionChange={setRegion}
+              onCountyClick={(key) => {
+                const row = countyStats.get(key);
+                if (row) filterToGroup(row);
+              }}
               // MapView should only zoom when selection was user-driven:
               // Because we never set selectedId on load, the first selection is always user action.
-              onSelect={(park) => selectPark(park, "map")}
+              onSelect={(park, ev) => {
+                if (ev?.ctrlKey || ev?.metaKey) setCompareIds((ids) => toggleCompare(ids, getParkId(park)));
+                else selectPark(park, "map");
+              }}
             />
           )}
         </section>
 
         {/* LIST */}
         <section className="pw-panel pw-list">
-          <div className="pw-panelHeader">Communities</div>
-
-          <div className="pw-listBody">
-            {sortedParks.map((p) => {
-              const id = getParkId(p);
-              const isSelected = selectedId === id;
-              const tier = floodTier(p.flood_risk);
-
-              return (
-                <button
-                  key={id}
-                  ref={(el) => {
-                    if (el) itemRefs.current[id] = el;
-                    else delete itemRefs.current[id];
+          <div className="pw-panelHeader">{reviewMode ? "Geocode review" : "Communities"}</div>
+
+          {reviewMode ? (
+            !loading &&
+            !error && (
+              <GeocodeReviewPanel
+                parks={parks}
+                selectedPark={selectedPark}
+                selectedId={selectedId}
+                getId={getParkId}
+                floodZone={floodZone}
+                movedTo={moved?.id === selectedId ? moved.latlng : null}
+                canSave={dataSource?.source === "api"}
+                onSelect={(p) => {
+                  setMoved(null);
+                  selectPark(p, "list");
+                }}
+                onReset={() => setMoved(null)}
+                onSaved={applyCorrection}
+              />
+            )
+          ) : (
+            <>
+              {!loading && !error && weather.alerts.length > 0 && (
+                <AlertsPanel
+                  alerts={weather.alerts}
+                  totals={alertSummary}
+                  onlyAlerted={alertFilter}
+                  asOf={weather.error || weather.meta?.stale ? weather.meta?.fetched_at : null}
+                  onOnlyAlertedChange={setOnlyAlerted}
+                />
+              )}
+
+              {!loading && !error && (
+                <WatchlistPanel
+                  user={watchUser}
+                  watch={watch}
+                  activeList={activeList}
+                  onlyActive={!!watchFilter}
+                  canUse={canWatch}
+                  onUserChange={changeWatchUser}
+                  onActiveChange={(id) => {
+                    setActiveListId(id);
+                    if (id == null) setOnlyActiveList(false);
                   }}
-                  className={`pw-row ${isSelected ? "isSelected" : ""}`}
-                  onClick={() => selectPark(p, "list")}
-                >
-                  <div className="pw-rowMain">
-                    {/*} <div className="pw-rowName">{p.park_name ?? "Unnamed park"}</div>*/}
-                    <div className="pw-rowName" style={{ color: tierColor(tier) }}>
-                      {p.park_name ?? "Unnamed park"}
-                    </div>
-                    <div className="pw-rowSub">
-                      {p.park_city ?? ""}
-                      {p.park_city && (p.park_address ? " • " : "")}
-                      {p.park_address ?? ""}
+                  onOnlyActiveChange={setOnlyActiveList}
+                  onShowNotifications={() => setShowNotifications(true)}
+                />
+              )}
+
+              {!loading && !error && (region || savedRegions.length > 0) && (
+                <RegionPanel
+                  region={region}
+                  parks={visibleParks}
+                  getId={getParkId}
+                  savedRegions={savedRegions}
+                  onSave={(name) => {
+                    setSavedRegions(saveRegion(name, region));
+                    setRegion({ ...region, name: name.trim() });
+                  }}
+                  onLoad={setRegion}
+                  onDelete={(name) => setSavedRegions(deleteSavedRegion(name))}
+                  onClear={() => setRegion(null)}
+                />
+              )}
+
+              {!loading && !error && (
+                <FilterPanel
+                  parks={parks}
+                  filters={filters}
+                  onChange={setFilters}
+                  shownCount={visibleParks.length}
+                  totalCount={parks.length}
+                  actions={<ExportMenu parks={visibleParks} getId={getParkId} />}
+                />
+              )}
+
+              {!loading && !error && compareIds.length > 0 && (
+                <div className="pw-filters pw-compareBar">
+                  <span className="pw-count">
+                    {compareIds.length} of {MAX_COMPARE} picked · ctrl/shift-click to add
+                  </span>
+                  <button type="button" className="pw-chip" onClick={() => setShowCompare(true)}>
+                    Compare
+                  </button>
+                  <button type="button" className="pw-chip" onClick={() => setCompareIds([])}>
+                    Clear
+                  </button>
+                </div>
+              )}
+
+              <div className="pw-listBody">
+                {visibleParks.map((p) => {
+                  const id = getParkId(p);
+                  const isSelected = selectedId === id;
+                  const compareC = compareColor(compareIds, id);
+                  const tier = parkTier(p);
+                  const hazards = hazardsById.get(id);
+                  const alerts = alertsById.get(id);
+                  const watched = activeList?.permits.includes(p.permit);
+
+                  const row = (
+                    <button
+                      key={id}
+                      ref={(el) => {
+                        if (el) itemRefs.current[id] = el;
+                        else delete itemRefs.current[id];
+                      }}
+                      className={`pw-row ${isSelected ? "isSelected" : ""}`}
+                      style={compareC ? { boxShadow: `inset 3px 0 0 ${compareC}` } : undefined}
+                      onClick={(e) => handleRowClick(e, p)}
+                    >
+                      <div className="pw-rowMain">
+                        {/*} <div className="pw-rowName">{p.park_name ?? "Unnamed park"}</div>*/}
+                        <div className="pw-rowName" style={{ color: tierColor(tier) }}>
+                          {p.park_name ?? "Unnamed park"}
+                        </div>
+                        <div className="pw-rowSub">
+                          {p.park_city ?? ""}
+                          {p.park_city && (p.park_address ? " • " : "")}
+                          {p.park_address ?? ""}
+                        </div>
+                      </div>
+
+                      {/*<div className={`pw-badge ${tier}`}>{tier.toUpperCase()}</div>*/}
+                      {alerts && (
+                        <div className="pw-alertBadge" title={alerts.map((h) => h.alert.headline ?? h.alert.event).join("\n")}>
+                          ⚠ {alerts.length === 1 ? alerts[0].alert.event : `${alerts.length} alerts`}
+                        </div>
+                      )}
+                      {hazards && (
+                        <div className="pw-hazardBadge" title={hazards.map((h) => h.overlay).join(", ")}>
+                          {hazards.length === 1 ? hazards[0].overlay : `${hazards.length} hazards`}
+                        </div>
+                      )}
+                    </button>
+                  );
+
+                  // Star as a sibling: buttons can't nest
+                  return !activeList || !p.permit ? (
+                    row
+                  ) : (
+                    <div key={id} className="pw-rowWrap">
+                      {row}
+                      <button
+                        type="button"
+                        className={`pw-watchStar ${watched ? "isOn" : ""}`}
+                        title={watched ? `Remove from ${activeList.name}` : `Add to ${activeList.name}`}
+                        onClick={() => toggleWatched(activeList, p)}
+                      >
+                        {watched ? "★" : "☆"}
+                      </button>
                     </div>
-                  </div>
+                  );
+                })}
 
-                  {/*<div className={`pw-badge ${tier}`}>{tier.toUpperCase()}</div>*/}
-                </button>
-              );
-            })}
-
-            {!loading && !error && sortedParks.length === 0 && (
-              <div className="pw-status">No parks found.</div>
-            )}
-          </div>
+                {!loading && !error && visibleParks.length === 0 && (
+                  <div className="pw-status">
+                    {parks.length === 0 ? "No parks found." : "No communities match these filters."}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
         </section>
 
         {/* DETAILS */}
@@ -217,16 +595,98 @@ export default function App() {
               Select a community from the map or list.
             </div>
           ) : (
-            <ParkDetails park={selectedPark} />
+            <ParkDetails
+              park={selectedPark}
+              floodZone={floodZone}
+              hazards={hazardOverlays.length ? hazardsById.get(selectedId) ?? [] : null}
+              weatherAlerts={alertsById.get(selectedId) ?? null}
+              showHistory={dataSource?.source === "api" && !!selectedPark.permit}
+              watchlists={watchUser && canWatch && selectedPark.permit ? watch.lists : null}
+              onToggleWatch={(list) => toggleWatched(list, selectedPark)}
+              compared={compareIds.includes(selectedId)}
+              canCompare={compareIds.length < MAX_COMPARE}
+              onToggleCompare={() => setCompareIds((ids) => toggleCompare(ids, selectedId))}
+              onPrintReport={() => printReport(selectedPark)}
+              nearby={nearby}
+              nearbyKm={nearbyKm}
+              onNearbyKmChange={setNearbyKm}
+              onSelectNearby={(park) => selectPark(park, "map")}
+            />
           )}
         </section>
       </main>
+
+      {showExposure && (
+        <ExposureView
+          parks={parks}
+          onClose={() => setShowExposure(false)}
+          onSelectGroup={filterToGroup}
+        />
+      )}
+
+      {showNotifications && (
+        <WatchNotifications
+          user={watchUser}
+          changes={watch.changes}
+          onAcknowledge={(permits) => watch.acknowledge(permits).catch(() => {})}
+          onSelectPermit={(permit) => selectParkFromView({ permit })}
+          onClose={() => setShowNotifications(false)}
+        />
+      )}
+
+      {showCompare && comparedParks.length > 0 && (
+        <CompareView
+          parks={comparedParks}
+          ids={compareIds}
+          getId={getParkId}
+          floodZones={compareZones}
+          onRemove={(id) => setCompareIds((ids) => ids.filter((x) => x !== id))}
+          onSelectPark={selectParkFromView}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
+
+      {showRecentChanges && (
+        <RecentChangesView
+          parks={parks}
+          canLoad={dataSource?.source === "api"}
+          onClose={() => setShowRecentChanges(false)}
+          onSelectPark={selectParkFromView}
+        />
+      )}
+
+      {showReconcile && (
+        <ReconcileView
+          onClose={() => setShowReconcile(false)}
+          onSelectPark={selectParkFromView}
+        />
+      )}
     </div>
   );
 }
 
-function ParkDetails({ park }) {
-  const tier = floodTier(park.flood_risk);
+function ParkDetails({
+  park,
+  floodZone,
+  hazards,
+  weatherAlerts,
+  showHistory,
+  watchlists,
+  onToggleWatch,
+  compared,
+  canCompare,
+  onToggleCompare,
+  onPrintReport,
+  nearby,
+  nearbyKm,
+  onNearbyKmChange,
+  onSelectNearby,
+}) {
+  // With the FEMA response loaded, the live zone and boundary distance join
+  // the score; the list and markers score the stored zone and BFE
+  const risk = scoreParkRisk(park, floodZone);
+  const tier = risk.tier;
+  const storedTier = parkTier(park);
 
   return (
     <div className="pw-detailBody">
@@ -235,23 +695,194 @@ function ParkDetails({ park }) {
         {/*<div className={`pw-badge ${tier}`}>{tier.toUpperCase()}</div>*/}
         <div className={`pw-badge ${tier}`}>{tierLabel(tier)}</div>
       </div>
+      {floodZone && tier !== storedTier && (
+        <div className="pw-rowSub">
+          Live FEMA re-score. The list and map show {tierLabel(storedTier)}, from the stored flood zone.
+        </div>
+      )}
+
+      <div className="pw-filterRow">
+        <button
+          type="button"
+          className={`pw-chip ${compared ? "isOn" : ""}`}
+          disabled={!compared && !canCompare}
+          onClick={onToggleCompare}
+        >
+          {compared ? "In comparison" : "Compare"}
+        </button>
+        <button type="button" className="pw-chip" onClick={onPrintReport} title="Printable report (print or save as PDF)">
+          Print report
+        </button>
+      </div>
+
+      {weatherAlerts && <WeatherAlerts hits={weatherAlerts} />}
 
       <div className="pw-kv">
         <div className="pw-k">Park address</div>
         <div className="pw-v">{park.park_address ?? "—"}</div>
 
         <div className="pw-k">Park city</div>
-        <div className="pw-v">{park.park_city ?? "—"}</div>
+        <div className="pw-v">
+          {park.park_city ?? "—"}
+          {park.park_zip ? ` ${park.park_zip}` : ""}
+        </div>
+
+        <div className="pw-k">County</div>
+        <div className="pw-v">{park.county ?? "—"}</div>
+
+        <div className="pw-k">Park type</div>
+        <div className="pw-v">{park.park_type ?? "—"}</div>
 
         <div className="pw-k">Billing spaces</div>
         <div className="pw-v">{park.billing_spaces ?? "—"}</div>
 
+        <div className="pw-k">MH / RV spaces</div>
+        <div className="pw-v">
+          {park.mh_spaces ?? "—"} / {park.rv_spaces ?? "—"}
+        </div>
+
         <div className="pw-k">Flood zone</div>
-        <div className="pw-v">{park.flood_zone ?? "—"}</div>
+        <div className="pw-v">{floodZone?.summary?.zone ?? park.flood_zone ?? "—"}</div>
 
         <div className="pw-k">Flood risk</div>
         <div className="pw-v">{park.flood_risk ?? "—"}</div>
       </div>
+
+      <RiskBreakdown risk={risk} />
+
+      {nearby && (
+        <NearbyParks
+          analysis={nearby}
+          radiusKm={nearbyKm}
+          onRadiusChange={onNearbyKmChange}
+          zone={floodZone?.summary?.zone ?? null}
+          onSelect={onSelectNearby}
+        />
+      )}
+
+      {showHistory && <FloodTimeline permit={park.permit} />}
+
+      {hazards && <ImportedHazards hazards={hazards} />}
+
+      {watchlists && <Watchlists permit={park.permit} lists={watchlists} onToggle={onToggleWatch} />}
+    </div>
+  );
+}
+
+// The user's watchlists, each a toggle for this park
+function Watchlists({ permit, lists, onToggle }) {
+  return (
+    <div className="pw-section">
+      <div className="pw-sectionTitle">Watchlists</div>
+
+      {lists.length === 0 ? (
+        <div className="pw-rowSub">Create a watchlist above the Communities list to follow this park.</div>
+      ) : (
+        <div className="pw-filterRow">
+          {lists.map((l) => (
+            <button
+              key={l.id}
+              type="button"
+              className={`pw-chip ${l.permits.includes(permit) ? "isOn" : ""}`}
+              onClick={() => onToggle(l)}
+            >
+              {l.permits.includes(permit) ? "★" : "☆"} {l.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Active NWS warnings covering the park, with their full text
+function WeatherAlerts({ hits }) {
+  return (
+    <div className="pw-section pw-weatherAlerts">
+      <div className="pw-sectionTitle">⚠ Active weather alerts</div>
+
+      <div className="pw-factors">
+        {hits.map(({ alert, match }) => (
+          <div key={alert.id} className="pw-factor">
+            <div className="pw-factorHead">
+              <span className="pw-alertEvent">{alert.event}</span>
+              <span className="pw-rowSub">{alertUntil(alert)}</span>
+            </div>
+            {alert.headline && <div className="pw-rowSub">{alert.headline}</div>}
+            <div className="pw-rowSub">
+              {alert.area} · {ALERT_MATCH_LABELS[match]}
+            </div>
+            <details>
+              <summary className="pw-rowSub">Alert text</summary>
+              {alert.description && <div className="pw-alertText">{alert.description}</div>}
+              {alert.instruction && <div className="pw-alertText pw-alertInstruction">{alert.instruction}</div>}
+              {alert.sender && <div className="pw-rowSub">{alert.sender}</div>}
+            </details>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Imported overlays (storm cone, surge, evacuation zones…) containing the park
+function ImportedHazards({ hazards }) {
+  return (
+    <div className="pw-section">
+      <div className="pw-sectionTitle">Imported hazards</div>
+
+      {hazards.length === 0 ? (
+        <div className="pw-rowSub">Outside every imported overlay.</div>
+      ) : (
+        <div className="pw-factors">
+          {hazards.map((h) => (
+            <div key={h.overlayId} className="pw-factor">
+              <div className="pw-factorHead">
+                <span>{h.overlay}</span>
+              </div>
+              {h.features.length > 0 && <div className="pw-rowSub">{h.features.join(", ")}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// "Why this park is HIGH": points per factor against the tier cutoffs
+function RiskBreakdown({ risk }) {
+  return (
+    <div className="pw-section">
+      <div className="pw-sectionTitle">
+        Why {tierLabel(risk.tier)} · score {risk.score}
+      </div>
+
+      <div className="pw-factors">
+        {risk.factors.map((f) => (
+          <div key={f.key} className="pw-factor">
+            <div className="pw-factorHead">
+              <span>{f.label}</span>
+              <span className="pw-factorPts">
+                {f.points > 0 ? "+" : ""}
+                {f.points}
+              </span>
+            </div>
+            <div className="pw-factorBar">
+              <div
+                className="pw-factorFill"
+                style={{
+                  width: `${f.max > 0 ? Math.min(100, (f.points / f.max) * 100) : 0}%`,
+                  background: tierColor(risk.tier),
+                }}
+              />
+            </div>
+            <div className="pw-rowSub">
+              {f.value != null ? `${f.value} · ` : ""}
+              {f.note}
+            </div>
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,130 @@
+// src/CompareView.jsx
+import { compareColor, milesBetween } from "./compare";
+import { scoreParkRisk, tierLabel } from "./risk";
+
+/**
+ * Side-by-side comparison: one column per picked park with the Community
+ * Details fields, risk tier and score, the live NFHL attributes and the
+ * distances between the parks.
+ */
+
+function yesNo(v) {
+  return v == null ? "—" : v ? "Yes" : "No";
+}
+
+function num(v, digits = 0) {
+  const n = Number(v);
+  return v == null || !Number.isFinite(n) ? "—" : n.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
+// [label, (park, nfhl, risk) → cell]
+const SECTIONS = [
+  [
+    "Risk",
+    [
+      ["Tier", (p, gj, r) => <span className={`pw-td-${r.tier}`}>{tierLabel(r.tier)}</span>],
+      ["Score", (p, gj, r) => r.score],
+    ],
+  ],
+  [
+    "Community",
+    [
+      ["Park address", (p) => p.park_address ?? "—"],
+      ["Park city", (p) => [p.park_city, p.park_zip].filter(Boolean).join(" ") || "—"],
+      ["County", (p) => p.county ?? "—"],
+      ["Park type", (p) => p.park_type ?? "—"],
+    ],
+  ],
+  [
+    "Spaces",
+    [
+      ["Billing spaces", (p) => num(p.billing_spaces)],
+      ["MH spaces", (p) => num(p.mh_spaces)],
+      ["RV spaces", (p) => num(p.rv_spaces)],
+    ],
+  ],
+  [
+    "Flood zone",
+    [
+      ["Stored zone", (p) => p.flood_zone ?? "—"],
+      ["Stored risk", (p) => p.flood_risk ?? "—"],
+      ["NFHL zone", (p, gj) => (gj === undefined ? "Loading…" : gj?.summary?.zone ?? "—")],
+      ["Subtype", (p, gj) => gj?.summary?.subtype ?? "—"],
+      ["In SFHA", (p, gj) => yesNo(gj?.summary?.sfha)],
+      ["Static BFE (ft)", (p, gj) => num(gj?.summary?.bfe, 1)],
+      ["Match", (p, gj) => gj?.meta?.method ?? "—"],
+      ["Confidence", (p, gj) => (gj?.meta?.confidence != null ? `${Math.round(gj.meta.confidence * 100)}%` : "—")],
+      ["Distance to zone (m)", (p, gj) => (gj?.meta?.inside ? "inside" : num(gj?.meta?.distance_m))],
+    ],
+  ],
+];
+
+export default function CompareView({ parks, ids, getId, floodZones, onRemove, onSelectPark, onClose }) {
+  const columns = parks.map((p) => {
+    const id = getId(p);
+    const gj = floodZones.has(id) ? floodZones.get(id) : undefined;
+    return { park: p, id, gj, risk: scoreParkRisk(p, gj ?? null), color: compareColor(ids, id) };
+  });
+
+  return (
+    <div className="pw-modalBackdrop" onClick={onClose}>
+      <section className="pw-panel pw-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="pw-panelHeader pw-modalHeader">
+          <span>Comparing {columns.length} communities</span>
+          <button type="button" className="pw-chip" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="pw-tableWrap pw-compare">
+          <table className="pw-table">
+            <thead>
+              <tr>
+                <th className="pw-th" />
+                {columns.map((c) => (
+                  <th key={c.id} className="pw-th" style={{ borderTop: `3px solid ${c.color}` }}>
+                    <button type="button" className="pw-linkButton" onClick={() => onSelectPark(c.park)}>
+                      {c.park.park_name ?? "Unnamed park"}
+                    </button>
+                    <button type="button" className="pw-linkButton" title="Remove" onClick={() => onRemove(c.id)}>
+                      ×
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {SECTIONS.map(([section, rows]) => [
+                <tr key={section}>
+                  <td className="pw-compareSection" colSpan={columns.length + 1}>{section}</td>
+                </tr>,
+                ...rows.map(([label, cell]) => (
+                  <tr key={`${section}:${label}`}>
+                    <td>{label}</td>
+                    {columns.map((c) => (
+                      <td key={c.id}>{cell(c.park, c.gj, c.risk)}</td>
+                    ))}
+                  </tr>
+                )),
+              ])}
+
+              <tr>
+                <td className="pw-compareSection" colSpan={columns.length + 1}>Distance (miles)</td>
+              </tr>
+              {columns.map((row) => (
+                <tr key={`dist:${row.id}`}>
+                  <td>
+                    <span className="pw-compareSwatch" style={{ background: row.color }} />
+                    {row.park.park_name ?? "Unnamed park"}
+                  </td>
+                  {columns.map((c) => {
+                    const mi = c.id === row.id ? null : milesBetween(row.park, c.park);
+                    return <td key={c.id}>{c.id === row.id ? "·" : num(mi, 1)}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+}
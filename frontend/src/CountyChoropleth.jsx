@@ -0,0 +1,90 @@
+// src/CountyChoropleth.jsx
+import { useEffect, useRef, useState } from "react";
+import { GeoJSON, useMapEvents } from "react-leaflet";
+import { loadFloridaCounties } from "./counties";
+
+/**
+ * County exposure overlay, shaded by the share of billing spaces in HIGH-tier
+ * parks. Lives inside a LayersControl.Overlay; boundaries are only loaded
+ * the first time that overlay is switched on.
+ *
+ * Drawn on MapView's shared canvas (`renderer`) and sent to the back as it
+ * is added, so the markers on the same canvas stay on top and win clicks.
+ */
+
+export const COUNTY_OVERLAY_NAME = "County exposure";
+
+function pct(share) {
+  return share == null ? "—" : `${Math.round(share * 100)}%`;
+}
+
+function choroplethStyle(row) {
+  if (!row || row.total.parks === 0) {
+    return { color: "#94a3b8", weight: 0.6, opacity: 0.4, fillColor: "#94a3b8", fillOpacity: 0.02 };
+  }
+  return {
+    color: "#94a3b8",
+    weight: 0.8,
+    opacity: 0.6,
+    fillColor: "#ef4444",
+    fillOpacity: 0.06 + 0.5 * row.high_share,
+  };
+}
+
+export default function CountyChoropleth({ renderer, countyStats, onCountyClick }) {
+  const [counties, setCounties] = useState(null);
+  const [active, setActive] = useState(false);
+
+  // Tooltip / click handlers are bound once per feature; read current stats via ref
+  const statsRef = useRef(countyStats);
+  const clickRef = useRef(onCountyClick);
+  useEffect(() => {
+    statsRef.current = countyStats;
+    clickRef.current = onCountyClick;
+  });
+
+  useMapEvents({
+    overlayadd(e) {
+      if (e.name === COUNTY_OVERLAY_NAME) setActive(true);
+    },
+  });
+
+  useEffect(() => {
+    if (!active || counties) return;
+    let cancelled = false;
+    loadFloridaCounties()
+      .then((fc) => {
+        if (!cancelled) setCounties(fc);
+      })
+      .catch((err) => console.error("County boundaries failed to load:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [active, counties]);
+
+  if (!counties) return null;
+
+  return (
+    <GeoJSON
+      data={counties}
+      renderer={renderer}
+      style={(f) => choroplethStyle(countyStats?.get(f.properties.key))}
+      onEachFeature={(f, layer) => {
+        layer.bindTooltip(
+          () => {
+            const row = statsRef.current?.get(f.properties.key);
+            if (!row) return `<b>${f.properties.name}</b><br/>No parks`;
+            return (
+              `<b>${f.properties.name}</b><br/>` +
+              `${row.total.parks.toLocaleString()} parks · ${row.total.billing_spaces.toLocaleString()} spaces<br/>` +
+              `HIGH: ${pct(row.high_share)} of spaces · SFHA: ${pct(row.sfha_share)}`
+            );
+          },
+          { sticky: true }
+        );
+        layer.on("click", () => clickRef.current?.(f.properties.key));
+        layer.on("add", () => layer.bringToBack());
+      }}
+    />
+  );
+}
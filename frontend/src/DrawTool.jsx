@@ -0,0 +1,178 @@
+// src/DrawTool.jsx
+import { useEffect, useState } from "react";
+import { Circle, Polygon, Polyline, Rectangle, useMap, useMapEvents } from "react-leaflet";
+import { METERS_PER_MILE, distanceMeters } from "./geo";
+import { REGION_TYPES } from "./regions";
+
+/**
+ * Region drawing for MapView.
+ * - Rectangle: click two opposite corners.
+ * - Circle: click the center, then a point on the edge (or type a radius
+ *   in miles first and a single click places it).
+ * - Polygon: click each vertex; double-click or Enter finishes, Esc cancels.
+ * Shapes live in the "regionShape" pane and never capture clicks.
+ */
+
+const SHAPE_STYLE = {
+  color: "#60a5fa",
+  weight: 2,
+  dashArray: "6 4",
+  fillColor: "#60a5fa",
+  fillOpacity: 0.08,
+};
+const PREVIEW_STYLE = { ...SHAPE_STYLE, opacity: 0.7, fillOpacity: 0.04 };
+
+function toLatLng(e) {
+  return [e.latlng.lat, e.latlng.lng];
+}
+
+function rectBounds(a, b) {
+  return [
+    [Math.min(a[0], b[0]), Math.min(a[1], b[1])],
+    [Math.max(a[0], b[0]), Math.max(a[1], b[1])],
+  ];
+}
+
+// The finished (or reloaded) region
+export function RegionShape({ region }) {
+  if (!region) return null;
+  const common = { pane: "regionShape", interactive: false, pathOptions: SHAPE_STYLE };
+  if (region.type === "rectangle") return <Rectangle bounds={region.bounds} {...common} />;
+  if (region.type === "circle") return <Circle center={region.center} radius={region.radius_m} {...common} />;
+  return <Polygon positions={region.coordinates} {...common} />;
+}
+
+// Map-side half: collects clicks for the active mode and draws a preview.
+// Keyed on the mode by MapView, so switching tools starts a fresh shape.
+export function RegionDrawer({ mode, radiusMiles, onDone, onCancel }) {
+  const map = useMap();
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // Double-click finishes polygons, so it must not zoom while drawing
+  useEffect(() => {
+    if (!mode) return;
+    const container = map.getContainer();
+    map.doubleClickZoom.disable();
+    container.classList.add("pw-drawing");
+    return () => {
+      map.doubleClickZoom.enable();
+      container.classList.remove("pw-drawing");
+    };
+  }, [map, mode]);
+
+  function finishPolygon(pts) {
+    // A double-click also delivers two clicks; drop the repeated vertex
+    const ring = pts.filter((p, i) => i === 0 || distanceMeters(p[0], p[1], pts[i - 1][0], pts[i - 1][1]) > 1);
+    if (ring.length >= 3) onDone({ type: "polygon", coordinates: ring });
+    setPoints([]);
+  }
+
+  useEffect(() => {
+    if (!mode) return;
+    function onKey(e) {
+      if (e.key === "Escape") {
+        setPoints([]);
+        onCancel();
+      } else if (e.key === "Enter" && mode === "polygon") {
+        finishPolygon(points);
+      }
+    }
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  });
+
+  useMapEvents({
+    click(e) {
+      if (!mode) return;
+      const pt = toLatLng(e);
+
+      if (mode === "polygon") {
+        setPoints((pts) => [...pts, pt]);
+      } else if (mode === "rectangle") {
+        if (points.length === 0) setPoints([pt]);
+        else {
+          onDone({ type: "rectangle", bounds: rectBounds(points[0], pt) });
+          setPoints([]);
+        }
+      } else if (mode === "circle") {
+        const fixed = Number(radiusMiles) > 0 ? Number(radiusMiles) * METERS_PER_MILE : null;
+        if (fixed) {
+          onDone({ type: "circle", center: pt, radius_m: fixed });
+        } else if (points.length === 0) {
+          setPoints([pt]);
+        } else {
+          const radius = distanceMeters(points[0][0], points[0][1], pt[0], pt[1]);
+          if (radius > 0) onDone({ type: "circle", center: points[0], radius_m: radius });
+          setPoints([]);
+        }
+      }
+    },
+    dblclick() {
+      if (mode === "polygon") finishPolygon(points);
+    },
+    mousemove(e) {
+      if (mode) setCursor(toLatLng(e));
+    },
+  });
+
+  if (!mode || points.length === 0 || !cursor) return null;
+
+  const preview = { pane: "regionShape", interactive: false, pathOptions: PREVIEW_STYLE };
+  if (mode === "rectangle") return <Rectangle bounds={rectBounds(points[0], cursor)} {...preview} />;
+  if (mode === "circle") {
+    const r = distanceMeters(points[0][0], points[0][1], cursor[0], cursor[1]);
+    return <Circle center={points[0]} radius={Math.max(r, 1)} {...preview} />;
+  }
+  return <Polyline positions={[...points, cursor]} {...preview} />;
+}
+
+// Toolbar half: sits over the map, outside the Leaflet container
+export function DrawToolbar({ mode, onModeChange, radiusMiles, onRadiusChange, hasRegion, onClear }) {
+  return (
+    <div className="pw-drawBar">
+      {Object.entries(REGION_TYPES).map(([key, t]) => (
+        <button
+          key={key}
+          type="button"
+          className={`pw-chip ${mode === key ? "isOn" : ""}`}
+          title={`Draw a ${t.label.toLowerCase()} to select the parks inside it`}
+          onClick={() => onModeChange(mode === key ? null : key)}
+        >
+          {t.label}
+        </button>
+      ))}
+
+      {mode === "circle" && (
+        <input
+          className="pw-input pw-drawRadius"
+          type="number"
+          min="0"
+          step="0.5"
+          placeholder="mi"
+          title="Radius in miles (blank: click the edge instead)"
+          value={radiusMiles}
+          onChange={(e) => onRadiusChange(e.target.value)}
+        />
+      )}
+
+      {mode && (
+        <span className="pw-drawHint">
+          {mode === "polygon"
+            ? "Click points · double-click or Enter to finish · Esc cancels"
+            : mode === "rectangle"
+              ? "Click two opposite corners · Esc cancels"
+              : Number(radiusMiles) > 0
+                ? "Click the center · Esc cancels"
+                : "Click the center, then the edge · Esc cancels"}
+        </span>
+      )}
+
+      {hasRegion && !mode && (
+        <button type="button" className="pw-chip" onClick={onClear}>
+          Clear region
+        </button>
+      )}
+    </div>
+  );
+}
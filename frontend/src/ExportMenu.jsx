@@ -0,0 +1,86 @@
+// src/ExportMenu.jsx
+import { useState } from "react";
+import { downloadText } from "./download";
+import { EXPORT_FORMATS, exportRows, formatParks } from "./parkExport";
+import { fetchFloodZone } from "./useFloodZone";
+
+// FEMA lookups are one request per park; keep browser exports reasonable
+const MAX_FEMA_ROWS = 250;
+const FEMA_CONCURRENCY = 4;
+
+/**
+ * Exports the given (currently visible) parks as CSV / GeoJSON / KML.
+ * Optionally looks up FEMA zone attributes for each row first.
+ */
+export default function ExportMenu({ parks, getId, filename = "parkwatch-communities" }) {
+  const [format, setFormat] = useState("csv");
+  const [withFema, setWithFema] = useState(false);
+  const [progress, setProgress] = useState(null); // "12/80" while fetching FEMA
+
+  const femaAllowed = parks.length <= MAX_FEMA_ROWS;
+
+  async function loadFema() {
+    const femaById = new Map();
+    let next = 0;
+    let done = 0;
+
+    async function worker() {
+      while (next < parks.length) {
+        const p = parks[next++];
+        try {
+          const gj = await fetchFloodZone(Number(p.latitude), Number(p.longitude));
+          if (gj) femaById.set(getId(p), gj);
+        } catch {
+          // Row is exported without fema_* values
+        }
+        setProgress(`${++done}/${parks.length}`);
+      }
+    }
+
+    await Promise.all(Array.from({ length: FEMA_CONCURRENCY }, worker));
+    return femaById;
+  }
+
+  async function runExport() {
+    try {
+      const femaById = withFema && femaAllowed ? await loadFema() : null;
+      const rows = exportRows(parks, { femaById, getId });
+      const { ext, mime } = EXPORT_FORMATS[format];
+      downloadText(`${filename}.${ext}`, formatParks(rows, format), mime);
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  return (
+    <div className="pw-filterRow">
+      <select className="pw-input" value={format} onChange={(e) => setFormat(e.target.value)}>
+        {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+          <option key={key} value={key}>{f.label}</option>
+        ))}
+      </select>
+
+      <label
+        className="pw-filterLabel"
+        title={femaAllowed ? "Look up FEMA zone attributes for each row" : `Narrow to ${MAX_FEMA_ROWS} or fewer communities`}
+      >
+        <input
+          type="checkbox"
+          checked={withFema && femaAllowed}
+          disabled={!femaAllowed}
+          onChange={(e) => setWithFema(e.target.checked)}
+        />
+        FEMA
+      </label>
+
+      <button
+        type="button"
+        className="pw-chip"
+        disabled={progress != null || parks.length === 0}
+        onClick={runExport}
+      >
+        {progress ? `FEMA ${progress}…` : `Export ${parks.length.toLocaleString()}`}
+      </button>
+    </div>
+  );
+}
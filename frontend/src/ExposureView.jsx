@@ -0,0 +1,138 @@
+// src/ExposureView.jsx
+import { useMemo, useState } from "react";
+import { exposureTotals, summarizeExposure } from "./exposure";
+import { tierLabel } from "./risk";
+import Stat from "./Stat";
+
+/**
+ * County / city exposure summary: parks and spaces per risk tier and the
+ * share of spaces in the SFHA. Clicking a row filters the Communities list.
+ */
+
+const METRICS = [
+  { value: "billing_spaces", label: "Billing spaces" },
+  { value: "mh_spaces", label: "MH spaces" },
+  { value: "rv_spaces", label: "RV spaces" },
+];
+
+const TIER_ORDER = ["red", "yellow", "green"];
+
+function pct(share) {
+  return share == null ? "—" : `${Math.round(share * 100)}%`;
+}
+
+export default function ExposureView({ parks, onClose, onSelectGroup }) {
+  const [by, setBy] = useState("county");
+  const [metric, setMetric] = useState("billing_spaces");
+  const [sort, setSort] = useState({ key: "red", dir: "desc" });
+
+  const rows = useMemo(() => summarizeExposure(parks, by), [parks, by]);
+
+  const sorted = useMemo(() => {
+    const value = (r) => {
+      if (sort.key === "label") return r.label;
+      if (sort.key === "parks") return r.total.parks;
+      if (sort.key === "total") return r.total[metric];
+      if (sort.key === "sfha") return r.sfha_share ?? -1;
+      return r.tiers[sort.key][metric];
+    };
+    const sign = sort.dir === "desc" ? -1 : 1;
+    return [...rows].sort((a, b) => {
+      const va = value(a), vb = value(b);
+      const d = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+      return sign * d || a.label.localeCompare(b.label);
+    });
+  }, [rows, sort, metric]);
+
+  const totals = useMemo(() => exposureTotals(parks), [parks]);
+
+  function header(key, label) {
+    const active = sort.key === key;
+    return (
+      <th
+        className={`pw-th ${active ? "isSorted" : ""}`}
+        onClick={() =>
+          setSort({ key, dir: active && sort.dir === "desc" ? "asc" : key === "label" ? "asc" : "desc" })
+        }
+      >
+        {label}
+        {active ? (sort.dir === "desc" ? " ↓" : " ↑") : ""}
+      </th>
+    );
+  }
+
+  return (
+    <div className="pw-modalBackdrop" onClick={onClose}>
+      <section className="pw-panel pw-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="pw-panelHeader pw-modalHeader">
+          <span>Exposure by {by}</span>
+          <button type="button" className="pw-chip" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="pw-filterRow pw-tabs" style={{ paddingTop: 10 }}>
+          {["county", "city"].map((b) => (
+            <button
+              key={b}
+              type="button"
+              className={`pw-chip ${by === b ? "isOn" : ""}`}
+              onClick={() => setBy(b)}
+            >
+              By {b}
+            </button>
+          ))}
+
+          <select className="pw-input" value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {METRICS.map((m) => (
+              <option key={m.value} value={m.value}>{m.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {totals && (
+          <div className="pw-statGrid">
+            <Stat label="Parks" value={totals.total.parks} />
+            {TIER_ORDER.map((t) => (
+              <Stat key={t} label={`${tierLabel(t)} ${metricLabel(metric)}`} value={totals.tiers[t][metric]} />
+            ))}
+            <Stat label="Spaces in SFHA" value={pct(totals.sfha_share)} />
+          </div>
+        )}
+
+        <div className="pw-tableWrap">
+          <table className="pw-table">
+            <thead>
+              <tr>
+                {header("label", by === "county" ? "County" : "City")}
+                {header("parks", "Parks")}
+                {header("total", "Total")}
+                {TIER_ORDER.map((t) => header(t, tierLabel(t)))}
+                {header("sfha", "In SFHA")}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((r) => (
+                <tr key={r.key} className="pw-tr" onClick={() => onSelectGroup?.(r)}>
+                  <td>{r.label}</td>
+                  <td>{r.total.parks.toLocaleString()}</td>
+                  <td>{r.total[metric].toLocaleString()}</td>
+                  {TIER_ORDER.map((t) => (
+                    <td key={t} className={`pw-td-${t}`}>
+                      {r.tiers[t][metric].toLocaleString()}
+                    </td>
+                  ))}
+                  <td title={`${r.sfha_spaces.toLocaleString()} of ${r.zoned_spaces.toLocaleString()} zoned billing spaces`}>
+                    {pct(r.sfha_share)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+function metricLabel(metric) {
+  return METRICS.find((m) => m.value === metric)?.label.toLowerCase() ?? metric;
+}
@@ -0,0 +1,148 @@
+// src/FilterPanel.jsx
+import { useMemo } from "react";
+import { tierLabel } from "./risk";
+import {
+  DEFAULT_FILTERS,
+  SORT_OPTIONS,
+  TIERS,
+  filterOptions,
+  hasActiveFilters,
+} from "./parkFilters";
+
+/**
+ * Search + filter + sort controls for the Communities list.
+ * Controlled component: App owns `filters`, we only report changes.
+ */
+export default function FilterPanel({ parks, filters, onChange, shownCount, totalCount, actions = null }) {
+  const options = useMemo(() => filterOptions(parks, filters.county), [parks, filters.county]);
+
+  function set(patch) {
+    onChange({ ...filters, ...patch });
+  }
+
+  function toggleTier(tier) {
+    const tiers = filters.tiers.includes(tier)
+      ? filters.tiers.filter((t) => t !== tier)
+      : [...filters.tiers, tier];
+    set({ tiers });
+  }
+
+  return (
+    <div className="pw-filters">
+      <input
+        className="pw-input pw-search"
+        type="search"
+        placeholder="Search name, address or city…"
+        value={filters.text}
+        onChange={(e) => set({ text: e.target.value })}
+      />
+
+      <div className="pw-filterRow">
+        <select
+          className="pw-input"
+          value={filters.county}
+          // Changing county invalidates the city choice
+          onChange={(e) => set({ county: e.target.value, city: "" })}
+        >
+          <option value="">All counties</option>
+          {options.counties.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+
+        <select
+          className="pw-input"
+          value={filters.city}
+          onChange={(e) => set({ city: e.target.value })}
+        >
+          <option value="">All cities</option>
+          {options.cities.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+
+        <select
+          className="pw-input"
+          value={filters.zone}
+          onChange={(e) => set({ zone: e.target.value })}
+        >
+          <option value="">All flood zones</option>
+          {options.zones.map((z) => (
+            <option key={z} value={z}>{z}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="pw-filterRow">
+        {TIERS.map((tier) => (
+          <button
+            key={tier}
+            type="button"
+            className={`pw-chip ${tier} ${filters.tiers.includes(tier) ? "isOn" : ""}`}
+            onClick={() => toggleTier(tier)}
+          >
+            {tierLabel(tier)}
+          </button>
+        ))}
+
+        <input
+          className="pw-input pw-num"
+          type="number"
+          min="0"
+          placeholder="Min spaces"
+          value={filters.minSpaces}
+          onChange={(e) => set({ minSpaces: e.target.value })}
+        />
+        <input
+          className="pw-input pw-num"
+          type="number"
+          min="0"
+          placeholder="Max spaces"
+          value={filters.maxSpaces}
+          onChange={(e) => set({ maxSpaces: e.target.value })}
+        />
+      </div>
+
+      <div className="pw-filterRow">
+        <label className="pw-filterLabel">
+          Sort
+          <select
+            className="pw-input"
+            value={filters.sort}
+            onChange={(e) => set({ sort: e.target.value })}
+          >
+            {SORT_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          type="button"
+          className="pw-chip"
+          title="Toggle sort direction"
+          onClick={() => set({ sortDir: filters.sortDir === "asc" ? "desc" : "asc" })}
+        >
+          {filters.sortDir === "asc" ? "↑ Asc" : "↓ Desc"}
+        </button>
+
+        {hasActiveFilters(filters) && (
+          <button
+            type="button"
+            className="pw-chip"
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, sortDir: filters.sortDir })}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="pw-countRow">
+        <div className="pw-count">
+          {shownCount.toLocaleString()} of {totalCount.toLocaleString()} communities shown
+        </div>
+        {actions}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+// src/FloodTimeline.jsx
+import { useEffect, useState } from "react";
+import { fetchFloodHistory } from "./parksApi";
+import { floodTier, tierColor } from "./risk";
+
+function day(ts) {
+  return ts ? new Date(ts).toLocaleDateString() : "—";
+}
+
+function zoneText(zone, subtype) {
+  return zone ? (subtype ? `${zone} (${subtype})` : zone) : "no zone";
+}
+
+/**
+ * When the park's stored flood zone / risk changed, from flood_zone_history.
+ * Only remappings are listed; repeat determinations just count.
+ */
+export default function FloodTimeline({ permit }) {
+  const [history, setHistory] = useState(null); // { permit, rows } or { permit, error }
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    fetchFloodHistory(permit, { signal: ctrl.signal })
+      .then((rows) => setHistory({ permit, rows }))
+      .catch((e) => {
+        if (!ctrl.signal.aborted) setHistory({ permit, error: String(e?.message ?? e) });
+      });
+    return () => ctrl.abort();
+  }, [permit]);
+
+  const current = history?.permit === permit ? history : null;
+  const rows = current?.rows ?? [];
+  const first = rows[rows.length - 1];
+  const events = rows.filter((r) => r.changed);
+
+  return (
+    <div className="pw-section">
+      <div className="pw-sectionTitle">Flood zone history</div>
+
+      {!current && <div className="pw-rowSub">Loading…</div>}
+      {current?.error && <div className="pw-rowSub">History unavailable: {current.error}</div>}
+      {current && !current.error && rows.length === 0 && (
+        <div className="pw-rowSub">No determinations recorded yet (run enrich:flood against the database).</div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="pw-timeline">
+          {events.map((r) => (
+            <div key={r.id} className="pw-timelineItem">
+              <span className="pw-timelineDot" style={{ background: tierColor(floodTier(r.flood_risk)) }} />
+              <div>
+                <div className="pw-factorHead">
+                  <span>
+                    {zoneText(r.previous_zone)} → {zoneText(r.flood_zone, r.flood_subtype)}
+                  </span>
+                  <span className="pw-factorPts">{day(r.checked_at)}</span>
+                </div>
+                <div className="pw-rowSub">
+                  {r.previous_risk !== r.flood_risk ? `risk ${r.previous_risk ?? "—"} → ${r.flood_risk ?? "—"} · ` : ""}
+                  {r.firm_panel ? `panel ${r.firm_panel}` : r.dfirm_id ? `DFIRM ${r.dfirm_id}` : "panel unknown"}
+                  {r.effective_date ? `, effective ${r.effective_date}` : ""} · {r.match_method ?? "—"} · {r.source}
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <div className="pw-timelineItem">
+            <span className="pw-timelineDot" style={{ background: tierColor(floodTier(first.flood_risk)) }} />
+            <div>
+              <div className="pw-factorHead">
+                <span>First recorded: {zoneText(first.flood_zone, first.flood_subtype)}</span>
+                <span className="pw-factorPts">{day(first.checked_at)}</span>
+              </div>
+              <div className="pw-rowSub">
+                {events.length === 0 ? "No changes since" : `${events.length} change${events.length === 1 ? "" : "s"}`} ·{" "}
+                {rows.length} determination{rows.length === 1 ? "" : "s"}, last {day(rows[0].checked_at)}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,142 @@
+// src/FloodZoneTiles.jsx
+import { useEffect, useMemo, useRef, useState } from "react";
+import { GeoJSON, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { ZONE_CLASS_COLORS, tileZoomFor, tilesForBounds } from "./floodTiles";
+import { zoneClass } from "./risk";
+
+/**
+ * Every NFHL flood zone in the viewport, colored by zone class. Lives inside
+ * a LayersControl.Overlay and only fetches while that overlay is on and the
+ * map is zoomed in far enough; tiles come from /api/fema-floodzones.
+ *
+ * Drawn on one canvas in its own pane below the selected park's polygon and
+ * the markers, and never interactive, so it can't slow down or steal clicks.
+ * A zone crossing tile edges comes back whole in every tile it touches, so
+ * the tiles in view are merged into one collection with each zone once;
+ * drawn per tile, its fill would stack darker with every tile.
+ */
+
+export const FLOOD_ZONES_OVERLAY_NAME = "Flood zones (zoom 11+)";
+
+const MAX_CACHED_TILES = 150;
+
+function tileKey({ z, x, y }) {
+  return `${z}/${x}/${y}`;
+}
+
+function zoneStyle(f) {
+  const c = ZONE_CLASS_COLORS[zoneClass(f.properties.zone, f.properties.subtype)];
+  return { color: c, weight: 0.6, opacity: 0.6, fillColor: c, fillOpacity: 0.22 };
+}
+
+async function fetchTile({ z, x, y }, signal) {
+  const r = await fetch(`/api/fema-floodzones?z=${z}&x=${x}&y=${y}`, {
+    headers: { Accept: "application/json" },
+    signal,
+  });
+  if (!r.ok) throw new Error(`Flood zone tile ${z}/${x}/${y} failed: ${r.status}`);
+  return r.json();
+}
+
+function visibleTiles(map) {
+  const z = tileZoomFor(map.getZoom());
+  if (z == null) return [];
+  const b = map.getBounds();
+  return tilesForBounds([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], z);
+}
+
+export default function FloodZoneTiles() {
+  const [active, setActive] = useState(false);
+  const [tiles, setTiles] = useState([]); // { z, x, y } in view
+  const [loaded, setLoaded] = useState(() => new Map()); // tileKey → FeatureCollection (oldest first)
+
+  useMapEvents({
+    overlayadd(e) {
+      if (e.name !== FLOOD_ZONES_OVERLAY_NAME) return;
+      setActive(true);
+      setTiles(visibleTiles(e.target));
+    },
+    overlayremove(e) {
+      if (e.name === FLOOD_ZONES_OVERLAY_NAME) setActive(false);
+    },
+    moveend(e) {
+      if (active) setTiles(visibleTiles(e.target));
+    },
+  });
+
+  // One canvas for every tile: thousands of polygons stay cheap to draw
+  const renderer = useMemo(() => L.canvas({ pane: "floodZones", padding: 0.3 }), []);
+  useEffect(() => () => renderer.remove(), [renderer]);
+
+  // Keyed by the tile list so a pan that needs nothing new fetches nothing
+  const missingKey = active
+    ? tiles.filter((t) => !loaded.has(tileKey(t))).map(tileKey).join(",")
+    : "";
+
+  // In-flight tiles survive re-renders; everything is aborted on unmount
+  const pendingRef = useRef(new Set());
+  const ctrlRef = useRef(null);
+  useEffect(() => {
+    const ctrl = new AbortController();
+    ctrlRef.current = ctrl;
+    return () => ctrl.abort();
+  }, []);
+
+  useEffect(() => {
+    if (!missingKey) return;
+    const ctrl = ctrlRef.current;
+    for (const key of missingKey.split(",")) {
+      if (pendingRef.current.has(key)) continue;
+      pendingRef.current.add(key);
+      const [z, x, y] = key.split("/").map(Number);
+      fetchTile({ z, x, y }, ctrl.signal)
+        .then((fc) =>
+          setLoaded((prev) => {
+            const next = new Map(prev);
+            next.set(key, fc);
+            // Drop the oldest tiles once the cache is full
+            for (const k of next.keys()) {
+              if (next.size <= MAX_CACHED_TILES) break;
+              next.delete(k);
+            }
+            return next;
+          })
+        )
+        .catch((err) => {
+          if (!ctrl.signal.aborted) console.warn(err);
+        })
+        .finally(() => pendingRef.current.delete(key));
+    }
+  }, [missingKey]);
+
+  const inView = active ? tiles.map(tileKey).filter((k) => loaded.has(k)) : [];
+  const viewKey = inView.join(",");
+  const merged = useMemo(() => {
+    const seen = new Set();
+    const features = [];
+    for (const key of viewKey ? viewKey.split(",") : []) {
+      for (const f of loaded.get(key).features ?? []) {
+        const id = f.properties?.id;
+        if (id != null && seen.has(id)) continue;
+        if (id != null) seen.add(id);
+        features.push(f);
+      }
+    }
+    return { type: "FeatureCollection", features };
+  }, [loaded, viewKey]);
+
+  if (!inView.length) return null;
+
+  return (
+    <GeoJSON
+      // GeoJSON data is read once; a new set of tiles means a new layer
+      key={viewKey}
+      data={merged}
+      pane="floodZones"
+      renderer={renderer}
+      interactive={false}
+      style={zoneStyle}
+    />
+  );
+}
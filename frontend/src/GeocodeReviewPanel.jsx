@@ -0,0 +1,196 @@
+// src/GeocodeReviewPanel.jsx
+import { useEffect, useMemo, useState } from "react";
+import { cityCenters, reviewFlags, reviewQueue } from "./geocodeReview";
+import { fetchGeocodeCorrections, saveGeocodeCorrection } from "./parksApi";
+
+const REVIEWER_KEY = "parkwatch.reviewer";
+const TOKEN_KEY = "parkwatch.reviewToken"; // session only
+
+function readStorage(storage, key) {
+  try {
+    return storage.getItem(key) ?? "";
+  } catch {
+    return "";
+  }
+}
+
+function writeStorage(storage, key, value) {
+  try {
+    storage.setItem(key, value);
+  } catch {
+    // Private mode / quota: the field just isn't remembered
+  }
+}
+
+function fmt(lat, lon) {
+  return lat == null || lon == null ? "—" : `${Number(lat).toFixed(5)}, ${Number(lon).toFixed(5)}`;
+}
+
+/**
+ * Geocode review mode (replaces the Communities list): parks whose
+ * coordinates look wrong, and a correction form for the selected park.
+ * The marker itself is dragged on the map (MapView editableId / movedTo).
+ */
+export default function GeocodeReviewPanel({
+  parks,
+  selectedPark,
+  selectedId,
+  getId,
+  floodZone,
+  movedTo,
+  canSave, // false on the static data source: there is nothing to write to
+  onSelect,
+  onReset,
+  onSaved,
+}) {
+  const centers = useMemo(() => cityCenters(parks), [parks]);
+  const queue = useMemo(() => reviewQueue(parks, centers), [parks, centers]);
+
+  const [reviewer, setReviewer] = useState(() => readStorage(window.localStorage, REVIEWER_KEY));
+  const [token, setToken] = useState(() => readStorage(window.sessionStorage, TOKEN_KEY));
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [history, setHistory] = useState(null); // { permit, rows } or { permit, error }
+
+  const permit = selectedPark?.permit ?? null;
+
+  useEffect(() => {
+    if (!permit || !canSave) return;
+    const ctrl = new AbortController();
+    fetchGeocodeCorrections(permit, { signal: ctrl.signal })
+      .then((rows) => setHistory({ permit, rows }))
+      .catch((e) => {
+        if (!ctrl.signal.aborted) setHistory({ permit, error: String(e?.message ?? e) });
+      });
+    return () => ctrl.abort();
+  }, [permit, canSave]);
+
+  // Live flags: the session's own flood lookup can add "off-point" matches
+  const selectedFlags = selectedPark
+    ? reviewFlags(selectedPark, { centers, floodMethod: floodZone?.meta?.method ?? null })
+    : [];
+
+  const trail = history?.permit === permit ? history : null;
+  const ready = canSave && movedTo && reviewer.trim() && reason.trim() && token && !saving;
+
+  async function save() {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await saveGeocodeCorrection(
+        { permit, latitude: movedTo[0], longitude: movedTo[1], reviewer: reviewer.trim(), reason: reason.trim() },
+        token
+      );
+      writeStorage(window.localStorage, REVIEWER_KEY, reviewer.trim());
+      writeStorage(window.sessionStorage, TOKEN_KEY, token);
+      setReason("");
+      setHistory((h) => ({ permit, rows: [result.correction, ...(h?.permit === permit ? h.rows ?? [] : [])] }));
+      onSaved(selectedPark, result);
+    } catch (e) {
+      setError(String(e?.message ?? e));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="pw-review">
+      <div className="pw-filters">
+        <div className="pw-count">
+          {queue.length.toLocaleString()} of {parks.length.toLocaleString()} communities flagged for review
+        </div>
+        {!canSave && (
+          <div className="pw-count">Corrections need the parks API; the bundled snapshot is read-only.</div>
+        )}
+      </div>
+
+      {selectedPark && (
+        <div className="pw-filters pw-reviewForm">
+          <div className="pw-sectionTitle">{selectedPark.park_name ?? "Unnamed park"}</div>
+
+          {selectedFlags.length > 0 && (
+            <div className="pw-filterRow">
+              {selectedFlags.map((f) => (
+                <span key={f.key} className="pw-reviewFlag">{f.label}</span>
+              ))}
+            </div>
+          )}
+
+          <div className="pw-kv">
+            <div className="pw-k">Current</div>
+            <div className="pw-v">{fmt(selectedPark.latitude, selectedPark.longitude)}</div>
+            <div className="pw-k">New</div>
+            <div className="pw-v">{movedTo ? fmt(movedTo[0], movedTo[1]) : "Drag the marker on the map"}</div>
+          </div>
+
+          <input
+            className="pw-input"
+            placeholder="Reason (e.g. matched to park entrance on aerial)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <div className="pw-filterRow">
+            <input
+              className="pw-input"
+              placeholder="Your name"
+              value={reviewer}
+              onChange={(e) => setReviewer(e.target.value)}
+            />
+            <input
+              className="pw-input"
+              type="password"
+              placeholder="Review token"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+            />
+          </div>
+          <div className="pw-filterRow">
+            <button type="button" className="pw-chip" disabled={!ready} onClick={save}>
+              {saving ? "Saving…" : "Save correction"}
+            </button>
+            <button type="button" className="pw-chip" disabled={!movedTo || saving} onClick={onReset}>
+              Reset
+            </button>
+          </div>
+          {error && <div className="pw-error pw-count">{error}</div>}
+
+          {trail?.rows?.length > 0 && (
+            <div className="pw-reviewHistory">
+              {trail.rows.map((h) => (
+                <div key={h.id} className="pw-rowSub">
+                  {new Date(h.created_at).toLocaleString()} · {h.reviewer}: {fmt(h.old_latitude, h.old_longitude)} →{" "}
+                  {fmt(h.new_latitude, h.new_longitude)} · {h.reason}
+                  {h.flood_zone ? ` · zone ${h.flood_zone}` : ""}
+                </div>
+              ))}
+            </div>
+          )}
+          {trail?.error && <div className="pw-rowSub">Audit trail unavailable: {trail.error}</div>}
+        </div>
+      )}
+
+      <div className="pw-listBody">
+        {queue.map(({ park, flags }) => {
+          const id = getId(park);
+          return (
+            <button
+              key={id}
+              className={`pw-row ${selectedId === id ? "isSelected" : ""}`}
+              onClick={() => onSelect(park)}
+            >
+              <div className="pw-rowMain">
+                <div className="pw-rowName">{park.park_name ?? "Unnamed park"}</div>
+                <div className="pw-rowSub">
+                  {[park.park_city, park.county].filter(Boolean).join(", ")} · {flags.map((f) => f.label).join(" · ")}
+                </div>
+              </div>
+            </button>
+          );
+        })}
+
+        {queue.length === 0 && <div className="pw-status">Nothing to review.</div>}
+      </div>
+    </div>
+  );
+}
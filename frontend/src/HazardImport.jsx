@@ -0,0 +1,74 @@
+// src/HazardImport.jsx
+import { useRef, useState } from "react";
+import { HAZARD_FILE_ACCEPT, readHazardFile } from "./hazards";
+
+/**
+ * Header control: pick GeoJSON / KML / zipped Shapefile files (read locally,
+ * nothing is uploaded) and list the imported overlays with a remove button.
+ */
+export default function HazardImport({ overlays, onAdd, onRemove }) {
+  const inputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function importFiles(files) {
+    setBusy(true);
+    setError(null);
+    const failures = [];
+    for (const file of files) {
+      try {
+        onAdd(await readHazardFile(file));
+      } catch (e) {
+        console.error("Hazard import error:", e);
+        failures.push(e.message);
+      }
+    }
+    if (failures.length) setError(failures.join("\n"));
+    setBusy(false);
+  }
+
+  return (
+    <div className="pw-hazardImport">
+      <button
+        type="button"
+        className="pw-chip"
+        disabled={busy}
+        title="GeoJSON, KML or zipped Shapefile; files stay in this browser"
+        onClick={() => inputRef.current?.click()}
+      >
+        {busy ? "Importing…" : "Import hazard"}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={HAZARD_FILE_ACCEPT}
+        multiple
+        hidden
+        onChange={(e) => {
+          const files = [...e.target.files];
+          e.target.value = ""; // allow re-importing the same file
+          if (files.length) importFiles(files);
+        }}
+      />
+
+      {overlays.map((o) => (
+        <button
+          key={o.id}
+          type="button"
+          className="pw-chip pw-hazardChip"
+          style={{ borderColor: o.color }}
+          title={`${o.fileName} · ${o.polygonCount} polygons · click to remove`}
+          onClick={() => onRemove(o.id)}
+        >
+          {o.name} ×
+        </button>
+      ))}
+
+      {error && (
+        <span className="pw-hazardError" title={error}>
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+// src/HeatLayer.jsx
+import { Polygon, Tooltip, useMapEvents } from "react-leaflet";
+import { HEAT_FIELDS, HEX_SIZES_KM, heatClassColor, heatColor } from "./hexbin";
+import { tierLabel, tierWeight } from "./risk";
+
+/**
+ * "Spaces at risk" overlay: hexbins weighted by spaces × tier weight (see
+ * hexbin.js). Lives inside a LayersControl.Overlay and reports when it is
+ * switched on or off, so MapView only bins parks while it is visible.
+ *
+ * Drawn on MapView's shared canvas (`renderer`) and sent to the back as each
+ * bin is added, so park markers stay on top and still win their clicks.
+ * Clicking a bin hands it to onBinClick (MapView turns it into a selection
+ * region); bins ignore clicks while a drawing tool is active.
+ */
+
+export const HEAT_OVERLAY_NAME = "Spaces at risk";
+
+function fmt(n) {
+  return Math.round(n).toLocaleString();
+}
+
+export default function HeatLayer({ bins, breaks, field, renderer, interactive, onActiveChange, onBinClick }) {
+  useMapEvents({
+    overlayadd(e) {
+      if (e.name === HEAT_OVERLAY_NAME) onActiveChange(true);
+    },
+    overlayremove(e) {
+      if (e.name === HEAT_OVERLAY_NAME) onActiveChange(false);
+    },
+  });
+
+  return bins.map((bin) => {
+    const c = heatColor(bin.weight, breaks);
+    return (
+      <Polygon
+        // Leaflet reads `interactive` only when a layer is created
+        key={`${bin.key}|${interactive}`}
+        positions={bin.ring}
+        renderer={renderer}
+        interactive={interactive}
+        pathOptions={{ color: c, weight: 0.6, opacity: 0.7, fillColor: c, fillOpacity: 0.45 }}
+        eventHandlers={{
+          add: (e) => e.target.bringToBack(),
+          click: () => onBinClick(bin),
+        }}
+      >
+        {interactive && (
+          <Tooltip sticky>
+            <b>{fmt(bin.weight)} weighted spaces</b>
+            <br />
+            {bin.parks.length.toLocaleString()} parks · {fmt(bin.spaces)} {HEAT_FIELDS[field].toLowerCase()}
+            <br />
+            {["red", "yellow", "green"]
+              .filter((t) => bin.tierMix[t] > 0)
+              .map((t) => `${tierLabel(t)} ${bin.tierMix[t]}`)
+              .join(" · ")}
+            <br />
+            Click to list these parks
+          </Tooltip>
+        )}
+      </Polygon>
+    );
+  });
+}
+
+// Legend + bin size / weighting controls, shown over the map while the layer is on
+export function HeatLegend({ breaks, sizeKm, field, onChange }) {
+  function classLabel(i) {
+    if (!breaks.length) return "All bins";
+    if (i === 0) return `under ${fmt(breaks[0])}`;
+    return i < breaks.length ? `${fmt(breaks[i - 1])} – ${fmt(breaks[i])}` : `${fmt(breaks[i - 1])}+`;
+  }
+
+  return (
+    <div className="pw-heatLegend">
+      <div className="pw-heatLegendTitle">{HEAT_OVERLAY_NAME}</div>
+
+      <div className="pw-heatControls">
+        <select
+          className="pw-input"
+          value={sizeKm}
+          onChange={(e) => onChange({ sizeKm: Number(e.target.value) })}
+          title="Hexagon size, flat to flat"
+        >
+          {HEX_SIZES_KM.map((km) => (
+            <option key={km} value={km}>{km} km bins</option>
+          ))}
+        </select>
+        <select className="pw-input" value={field} onChange={(e) => onChange({ field: e.target.value })}>
+          {Object.entries(HEAT_FIELDS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {[0, ...breaks].map((_, i) => (
+        <div key={i} className="pw-heatClass">
+          <span className="pw-heatSwatch" style={{ background: heatClassColor(i, breaks) }} />
+          {classLabel(i)}
+        </div>
+      ))}
+
+      <div className="pw-heatNote">
+        Weighted spaces = {HEAT_FIELDS[field].toLowerCase()} ×{" "}
+        {["red", "yellow", "green"].map((t) => `${tierLabel(t)} ${tierWeight(t)}`).join(" / ")}
+      </div>
+    </div>
+  );
+}
@@ -4,26 +4,39 @@ import {
   MapContainer,
   TileLayer,
   LayersControl,
+  Circle,
   CircleMarker,
   Tooltip,
   GeoJSON,
+  LayerGroup,
   Pane,
+  Polyline,
   useMap,
+  useMapEvents,
 } from "react-leaflet";
+import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { parkTier, scoreParkRisk, tierColor } from "./risk";
+import CountyChoropleth, { COUNTY_OVERLAY_NAME } from "./CountyChoropleth";
+import FloodZoneTiles, { FLOOD_ZONES_OVERLAY_NAME } from "./FloodZoneTiles";
+import { DrawToolbar, RegionDrawer, RegionShape } from "./DrawTool";
+import ParkMarkers from "./ParkMarkers";
+import HeatLayer, { HEAT_OVERLAY_NAME, HeatLegend } from "./HeatLayer";
+import { DEFAULT_HEX_KM, heatBreaks, hexRegion, hexbinParks } from "./hexbin";
+import { compareColor } from "./compare";
 
 /**
  * FIXES INCLUDED:
- * 1) Overlay fetch happens ONLY on selection.
+ * 1) Overlay fetch happens ONLY on selection (App's useFloodZone).
  * 2) Overlay is cleared immediately on selection change (no stale outlines).
  * 3) Overlay does NOT block marker clicks:
  *    - Render polygon in a lower pane
  *    - Set interactive={false} so it doesn't capture pointer events
  * 4) Overlay styling matches the selected park's flood-risk tier.
  *
- * IMPORTANT:
- * For "wrong polygon" or "missing polygon" issues, you must also improve the API
- * selection logic (see recommended /api changes below).
+ * The API picks the polygon that actually contains the park (holes and
+ * MultiPolygons handled), falling back to the nearest edge; see
+ * gj.meta.confidence / gj.meta.candidates when a polygon looks wrong.
  */
 
 function getParkId(p) {
@@ -37,98 +50,117 @@ function parkLatLng(p) {
   return [lat, lon];
 }
 
-// Adjust these thresholds to your real scale
-function floodTier(flood_risk) {
-  const r = Number(flood_risk);
-  if (!Number.isFinite(r)) return "yellow";
-  if (r >= 3) return "red";
-  if (r >= 2) return "yellow";
-  return "green";
-}
-
-function tierColor(tier) {
-  if (tier === "green") return "#22c55e";
-  if (tier === "red") return "#ef4444";
-  return "#eab308";
-}
+// County-wide alerts have no polygon; their parks are only outlined
+const ALERTS_OVERLAY_NAME = "Weather alert polygons";
 
 const FL_BOUNDS = [
   [24.35, -87.65],
   [31.1, -79.8],
 ];
 
-export default function MapView({ parks, selectedId, onSelect }) {
+export default function MapView({
+  parks,
+  heatParks = null, // what the heat layer bins (default: parks); App passes them before the region filter
+  selectedId,
+  floodZone,
+  initialView = null, // { center, zoom } from a shared link
+  initialSelectedId = null,
+  countyStats = null, // Map countyKey → exposure row (see exposure.js)
+  region = null, // drawn selection region (see regions.js)
+  hazardOverlays = [], // imported hazard files (see hazards.js)
+  compareIds = [], // parks picked for comparison (see compare.js)
+  compareZones = null, // Map id → their /api/fema-floodzone responses
+  nearbyIds = null, // Set of ids near the selection (see nearby.js), outlined lightly
+  nearbyRadiusKm = null, // the Nearby section's radius, drawn around the selection
+  weatherAlerts = [], // active NWS alerts (see weatherAlerts.js); polygons drawn as an overlay
+  alertedIds = null, // Set of ids under an active alert, outlined in magenta
+  editableId = null, // geocode review: this park's marker can be dragged
+  movedTo = null, // [lat, lon] the editable park was dragged to, not yet saved
+  onSelect,
+  onRegionChange,
+  onMove, // ([lat, lon]) after a drag ends
+  onViewChange,
+  onCountyClick,
+}) {
   const markerData = useMemo(() => {
     return (parks ?? [])
       .map((p) => ({ park: p, id: getParkId(p), latlng: parkLatLng(p) }))
       .filter((x) => x.latlng);
   }, [parks]);
 
+  // The park being moved in geocode review is drawn by DraggableParkMarker instead
+  const editable = editableId != null ? markerData.find((m) => m.id === editableId) ?? null : null;
+  const clusterable = useMemo(
+    () => (editableId != null ? markerData.filter((m) => m.id !== editableId) : markerData),
+    [markerData, editableId]
+  );
+
+  // Compared parks: ring color per marker, one outlined polygon each
+  const highlighted = useMemo(
+    () => new Map(compareIds.map((id) => [id, compareColor(compareIds, id)])),
+    [compareIds]
+  );
+
   const selectedPark = useMemo(() => {
     if (!selectedId) return null;
     return (parks ?? []).find((p) => getParkId(p) === selectedId) ?? null;
   }, [parks, selectedId]);
 
+  // Same scoring as ParkDetails so the outline matches the badge
   const selectedTier = useMemo(() => {
     if (!selectedPark) return null;
-    return floodTier(selectedPark.flood_risk);
-  }, [selectedPark]);
+    return scoreParkRisk(selectedPark, floodZone).tier;
+  }, [selectedPark, floodZone]);
 
   // Exactly one overlay at a time
-  const [overlayGeoJson, setOverlayGeoJson] = useState(null);
-  const activeRequestIdRef = useRef(0);
-
-  // Fetch overlay ONLY on selection
-  useEffect(() => {
-    let cancelled = false;
-
-    async function fetchOverlay() {
-      // Always clear overlay immediately when selection changes
-      setOverlayGeoJson(null);
-
-      if (!selectedPark) return;
-
-      const lat = Number(selectedPark.latitude);
-      const lon = Number(selectedPark.longitude);
-      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
-
-      const requestId = ++activeRequestIdRef.current;
-
-      try {
-        const r = await fetch(`/api/fema-floodzone?lat=${lat}&lon=${lon}`, {
-          headers: { Accept: "application/json" },
-        });
-
-        if (cancelled) return;
-        // Ignore stale responses
-        if (requestId !== activeRequestIdRef.current) return;
-
-        if (!r.ok) {
-          setOverlayGeoJson(null);
-          return;
-        }
-
-        const gj = await r.json();
-        const hasFeatures = Array.isArray(gj?.features) && gj.features.length > 0;
-
-        setOverlayGeoJson(hasFeatures ? gj : null);
-      } catch {
-        if (!cancelled && requestId === activeRequestIdRef.current) {
-          setOverlayGeoJson(null);
-        }
-      }
-    }
-
-    fetchOverlay();
-
-    return () => {
-      cancelled = true;
-    };
-  }, [selectedPark]);
+  const overlayGeoJson = floodZone;
+
+  // Every clickable vector layer (park markers, county shading, heat bins) is
+  // drawn on this one canvas. A canvas catches all events over its area and
+  // hit-tests only its own layers, so a second one in a higher pane would
+  // block these. Fill layers push themselves to the back when added, so the
+  // markers stay on top.
+  const vectorRenderer = useMemo(() => L.canvas({ pane: "parkMarkers", padding: 0.2 }), []);
+  useEffect(() => () => vectorRenderer.remove(), [vectorRenderer]);
+
+  // Active drawing tool; marker clicks are ignored while one is on
+  const [drawMode, setDrawMode] = useState(null); // "polygon" | "rectangle" | "circle" | null
+  const [radiusMiles, setRadiusMiles] = useState("");
+
+  // "Spaces at risk" hexbins, only computed while that overlay is on
+  const [heat, setHeat] = useState({ on: false, sizeKm: DEFAULT_HEX_KM, field: "billing_spaces" });
+  const heatBins = useMemo(
+    () => (heat.on ? hexbinParks(heatParks ?? parks ?? [], heat) : []),
+    [heat, heatParks, parks]
+  );
+  const heatClassBreaks = useMemo(() => heatBreaks(heatBins), [heatBins]);
 
   return (
     <div className="pw-mapWrap">
-      <MapContainer className="pw-leaflet" center={[27.8, -81.7]} zoom={6} scrollWheelZoom>
+      <DrawToolbar
+        mode={drawMode}
+        onModeChange={setDrawMode}
+        radiusMiles={radiusMiles}
+        onRadiusChange={setRadiusMiles}
+        hasRegion={!!region}
+        onClear={() => onRegionChange?.(null)}
+      />
+
+      {heat.on && (
+        <HeatLegend
+          breaks={heatClassBreaks}
+          sizeKm={heat.sizeKm}
+          field={heat.field}
+          onChange={(change) => setHeat((h) => ({ ...h, ...change }))}
+        />
+      )}
+
+      <MapContainer
+        className="pw-leaflet"
+        center={initialView?.center ?? [27.8, -81.7]}
+        zoom={initialView?.zoom ?? 6}
+        scrollWheelZoom
+      >
         <LayersControl position="topright">
           <LayersControl.BaseLayer checked name="Dark">
             <TileLayer
@@ -143,13 +175,74 @@ export default function MapView({ parks, selectedId, onSelect }) {
               attribution="Tiles &copy; Esri"
             />
           </LayersControl.BaseLayer>
-        </LayersControl>
 
-        <FitFloridaOnce />
-        <ZoomToSelection parks={parks} selectedId={selectedId} />
+          <LayersControl.Overlay name={COUNTY_OVERLAY_NAME}>
+            <LayerGroup>
+              <CountyChoropleth renderer={vectorRenderer} countyStats={countyStats} onCountyClick={onCountyClick} />
+            </LayerGroup>
+          </LayersControl.Overlay>
+
+          <LayersControl.Overlay name={FLOOD_ZONES_OVERLAY_NAME}>
+            <LayerGroup>
+              <FloodZoneTiles />
+            </LayerGroup>
+          </LayersControl.Overlay>
+
+          <LayersControl.Overlay name={HEAT_OVERLAY_NAME}>
+            <LayerGroup>
+              <HeatLayer
+                bins={heatBins}
+                breaks={heatClassBreaks}
+                field={heat.field}
+                renderer={vectorRenderer}
+                interactive={!drawMode}
+                onActiveChange={(on) => setHeat((h) => ({ ...h, on }))}
+                onBinClick={(bin) => onRegionChange?.(hexRegion(bin, heat.sizeKm))}
+              />
+            </LayerGroup>
+          </LayersControl.Overlay>
+
+          {weatherAlerts.length > 0 && (
+            <LayersControl.Overlay checked name={ALERTS_OVERLAY_NAME}>
+              <LayerGroup>
+                {weatherAlerts
+                  .filter((a) => a.geometry)
+                  .map((a) => (
+                    <GeoJSON
+                      key={a.id}
+                      data={a.geometry}
+                      pane="alertPolygons"
+                      interactive={false}
+                      style={() => ({ color: "#e879f9", weight: 2, opacity: 0.9, dashArray: "8 4", fillColor: "#e879f9", fillOpacity: 0.08 })}
+                    />
+                  ))}
+              </LayerGroup>
+            </LayersControl.Overlay>
+          )}
+
+          {hazardOverlays.map((o) => (
+            <LayersControl.Overlay key={o.id} checked name={o.name}>
+              <HazardLayer overlay={o} />
+            </LayersControl.Overlay>
+          ))}
+        </LayersControl>
 
-        {/* Pane order: polygon BELOW markers so it cannot block clicks */}
-        <Pane name="floodPolygon" style={{ zIndex: 300 }} />
+        {!initialView && <FitFloridaOnce />}
+        <ZoomToSelection
+          parks={parks}
+          selectedId={selectedId}
+          // A shared link already carries its viewport; don't override it
+          restoredId={initialView ? initialSelectedId : null}
+        />
+        <ViewportReporter onViewChange={onViewChange} />
+
+        {/* Pane order: polygons BELOW markers. Display-only panes take no
+            pointer events, so their canvas / svg never blocks a click */}
+        <Pane name="floodZones" style={{ zIndex: 290, pointerEvents: "none" }} />
+        <Pane name="floodPolygon" style={{ zIndex: 300, pointerEvents: "none" }} />
+        <Pane name="hazardOverlays" style={{ zIndex: 320, pointerEvents: "none" }} />
+        <Pane name="alertPolygons" style={{ zIndex: 330, pointerEvents: "none" }} />
+        <Pane name="regionShape" style={{ zIndex: 350, pointerEvents: "none" }} />
         <Pane name="parkMarkers" style={{ zIndex: 500 }} />
 
         {/* Single selected flood zone overlay */}
@@ -172,44 +265,190 @@ export default function MapView({ parks, selectedId, onSelect }) {
           />
         ) : null}
 
-        {/* Markers always above polygon */}
-        {markerData.map(({ park, id, latlng }) => {
-          const tier = floodTier(park.flood_risk);
-          const c = tierColor(tier);
-          const isSelected = selectedId != null && id === selectedId;
-
+        {/* Compared parks' zones together, each outlined in its compare color */}
+        {compareIds.map((id) => {
+          const gj = compareZones?.get(id);
+          if (!gj || id === selectedId) return null;
+          const c = highlighted.get(id);
           return (
-            <CircleMarker
-              key={id}
-              center={latlng}
-              pane="parkMarkers"
-              radius={isSelected ? 8 : 5}
-              pathOptions={{
-                color: isSelected ? "#e5e7eb" : c,
-                weight: isSelected ? 2.5 : 1.5,
-                fillColor: c,
-                fillOpacity: isSelected ? 0.95 : 0.75,
-              }}
-              eventHandlers={{
-                click: () => onSelect?.(park),
-              }}
-            >
-              <Tooltip direction="top" offset={[0, -6]} opacity={0.95}>
-                <div style={{ fontSize: 12 }}>
-                  <div style={{ fontWeight: 650 }}>{park.park_name ?? "Unnamed community"}</div>
-                  <div>
-                    {park.flood_zone ?? "—"} • risk {park.flood_risk ?? "—"}
-                  </div>
-                </div>
-              </Tooltip>
-            </CircleMarker>
+            <GeoJSON
+              key={`compare:${id}`}
+              data={gj}
+              pane="floodPolygon"
+              interactive={false}
+              style={() => ({ color: c, weight: 2, opacity: 0.9, dashArray: "6 4", fillColor: c, fillOpacity: 0.06 })}
+            />
           );
         })}
+
+        {selectedPark && nearbyRadiusKm && parkLatLng(selectedPark) && (
+          <Circle
+            center={parkLatLng(selectedPark)}
+            radius={nearbyRadiusKm * 1000}
+            pane="floodPolygon"
+            interactive={false}
+            pathOptions={{ color: "#bfdbfe", weight: 1, opacity: 0.6, dashArray: "4 6", fill: false }}
+          />
+        )}
+
+        <RegionShape region={region} />
+        <RegionDrawer
+          key={drawMode ?? "off"}
+          mode={drawMode}
+          radiusMiles={radiusMiles}
+          onDone={(r) => {
+            setDrawMode(null);
+            onRegionChange?.(r);
+          }}
+          onCancel={() => setDrawMode(null)}
+        />
+
+        {/* Markers always above polygon */}
+        <ParkMarkers
+          markers={clusterable}
+          renderer={vectorRenderer}
+          selectedId={selectedId}
+          highlighted={highlighted}
+          nearby={nearbyIds}
+          alerted={alertedIds}
+          clicksDisabled={!!drawMode}
+          onSelect={onSelect}
+        />
+
+        {editable && (
+          <DraggableParkMarker
+            key={editable.id}
+            original={editable.latlng}
+            movedTo={movedTo}
+            renderer={vectorRenderer}
+            color={tierColor(parkTier(editable.park))}
+            onMove={onMove}
+          />
+        )}
       </MapContainer>
     </div>
   );
 }
 
+// One imported hazard file; like the flood polygon it never captures clicks
+function HazardLayer({ overlay }) {
+  const c = overlay.color;
+  return (
+    <GeoJSON
+      data={overlay.data}
+      pane="hazardOverlays"
+      interactive={false}
+      style={() => ({ color: c, weight: 1.5, opacity: 0.8, fillColor: c, fillOpacity: 0.1 })}
+      // Track points etc.: small dots instead of Leaflet's default image markers
+      pointToLayer={(_, latlng) =>
+        L.circleMarker(latlng, { pane: "hazardOverlays", interactive: false, radius: 3 })
+      }
+    />
+  );
+}
+
+// Geocode review: the selected park's marker follows the pointer (mouse, pen
+// or touch) while held down; a dashed line links it to where the record
+// currently puts it.
+const DRAG_HANDLE_RADIUS = 9;
+
+function DraggableParkMarker({ original, movedTo, renderer, color, onMove }) {
+  const map = useMap();
+  const [dragPos, setDragPos] = useState(null); // live position during a drag
+  const pos = dragPos ?? movedTo ?? original;
+
+  // The pointer listeners are bound once; read the latest values via refs
+  const posRef = useRef(pos);
+  const onMoveRef = useRef(onMove);
+  useEffect(() => {
+    posRef.current = pos;
+    onMoveRef.current = onMove;
+  });
+
+  // Canvas markers get no pointer events of their own: presses are caught on
+  // the map container (capture phase, before Leaflet's map drag) and kept
+  // when they land on the marker
+  useEffect(() => {
+    const container = map.getContainer();
+    let stopDrag = null; // ends the drag in progress
+
+    function startDrag(e) {
+      if (stopDrag || !e.isPrimary || e.button !== 0) return;
+      const at = map.mouseEventToContainerPoint(e);
+      if (at.distanceTo(map.latLngToContainerPoint(posRef.current)) > DRAG_HANDLE_RADIUS + 2) return;
+      // No map pan, and no compatibility mousedown for Leaflet to act on
+      e.preventDefault();
+      e.stopPropagation();
+      map.dragging.disable();
+      let last = null;
+
+      const move = (ev) => {
+        if (ev.pointerId !== e.pointerId) return;
+        const ll = map.mouseEventToLatLng(ev);
+        last = [ll.lat, ll.lng];
+        setDragPos(last);
+      };
+      const drop = (ev) => {
+        if (ev.pointerId !== e.pointerId) return;
+        stopDrag();
+        if (!last) return;
+        // The click that follows the release would select the park under it
+        const swallow = (c) => c.stopPropagation();
+        container.addEventListener("click", swallow, { capture: true, once: true });
+        setTimeout(() => container.removeEventListener("click", swallow, { capture: true }), 0);
+        onMoveRef.current?.(last);
+      };
+      const cancel = (ev) => {
+        if (ev.pointerId === e.pointerId) stopDrag();
+      };
+
+      stopDrag = () => {
+        document.removeEventListener("pointermove", move);
+        document.removeEventListener("pointerup", drop);
+        document.removeEventListener("pointercancel", cancel);
+        map.dragging.enable();
+        setDragPos(null);
+        stopDrag = null;
+      };
+      document.addEventListener("pointermove", move);
+      document.addEventListener("pointerup", drop);
+      document.addEventListener("pointercancel", cancel);
+    }
+
+    container.addEventListener("pointerdown", startDrag, { capture: true });
+    return () => {
+      container.removeEventListener("pointerdown", startDrag, { capture: true });
+      stopDrag?.(); // unmounted mid-drag: drop the listeners, keep the record as it was
+    };
+  }, [map]);
+
+  return (
+    <>
+      {(movedTo || dragPos) && (
+        <Polyline
+          positions={[original, pos]}
+          pane="parkMarkers"
+          renderer={renderer}
+          interactive={false}
+          pathOptions={{ color: "#e5e7eb", weight: 1.5, dashArray: "4 4" }}
+        />
+      )}
+      <CircleMarker
+        center={pos}
+        pane="parkMarkers"
+        renderer={renderer}
+        radius={DRAG_HANDLE_RADIUS}
+        bubblingMouseEvents={false}
+        pathOptions={{ color: "#f8fafc", weight: 3, fillColor: color, fillOpacity: 0.95 }}
+      >
+        <Tooltip direction="top" offset={[0, -8]} opacity={0.95}>
+          <div style={{ fontSize: 12 }}>Drag to the correct location</div>
+        </Tooltip>
+      </CircleMarker>
+    </>
+  );
+}
+
 function FitFloridaOnce() {
   const map = useMap();
   const didFit = useRef(false);
@@ -223,18 +462,37 @@ function FitFloridaOnce() {
   return null;
 }
 
-function ZoomToSelection({ parks, selectedId }) {
+function ZoomToSelection({ parks, selectedId, restoredId }) {
   const map = useMap();
+  // parks changes whenever the filters do; only zoom when the selection itself changes
+  const zoomedIdRef = useRef(restoredId);
 
   useEffect(() => {
-    if (!selectedId) return;
+    if (!selectedId) {
+      zoomedIdRef.current = null;
+      return;
+    }
+    if (zoomedIdRef.current === selectedId) return;
 
     const selected = (parks ?? []).find((p) => getParkId(p) === selectedId);
     const latlng = selected ? parkLatLng(selected) : null;
     if (!latlng) return;
 
+    zoomedIdRef.current = selectedId;
     map.setView(latlng, Math.max(map.getZoom(), 11), { animate: true });
   }, [parks, selectedId, map]);
 
   return null;
 }
+
+// Reports the viewport after every pan/zoom (for the shareable URL)
+function ViewportReporter({ onViewChange }) {
+  useMapEvents({
+    moveend(e) {
+      const map = e.target;
+      const c = map.getCenter();
+      onViewChange?.({ center: [c.lat, c.lng], zoom: map.getZoom() });
+    },
+  });
+  return null;
+}
@@ -0,0 +1,102 @@
+// src/NearbyParks.jsx
+import { useMemo, useState } from "react";
+import { NEARBY_RADII_KM, sortNeighbors } from "./nearby";
+import { tierColor, tierLabel } from "./risk";
+
+const TIERS = ["red", "yellow", "green"];
+const MAX_ROWS = 50;
+
+function km(m) {
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Details "Nearby" section: parks within the chosen radius of the
+ * selection (see nearby.js), their tier mix, how many share its NFHL
+ * polygon, and a sortable list; clicking a row selects that park.
+ */
+export default function NearbyParks({ analysis, radiusKm, onRadiusChange, zone, onSelect }) {
+  const [sort, setSort] = useState({ key: "distance", dir: "asc" });
+  const { neighbors, tierMix, spaces, sameZoneCount } = analysis;
+
+  const rows = useMemo(() => sortNeighbors(neighbors, sort.key, sort.dir), [neighbors, sort]);
+
+  function header(key, label) {
+    const active = sort.key === key;
+    return (
+      <th
+        className={`pw-th ${active ? "isSorted" : ""}`}
+        onClick={() =>
+          setSort({ key, dir: active ? (sort.dir === "asc" ? "desc" : "asc") : key === "distance" ? "asc" : "desc" })
+        }
+      >
+        {label}
+        {active ? (sort.dir === "desc" ? " ↓" : " ↑") : ""}
+      </th>
+    );
+  }
+
+  return (
+    <div className="pw-section">
+      <div className="pw-sectionTitle pw-nearbyTitle">
+        <span>Nearby</span>
+        <select className="pw-input" value={radiusKm} onChange={(e) => onRadiusChange(Number(e.target.value))}>
+          {NEARBY_RADII_KM.map((r) => (
+            <option key={r} value={r}>within {r} km</option>
+          ))}
+        </select>
+      </div>
+
+      {neighbors.length === 0 ? (
+        <div className="pw-rowSub">No other parks within {radiusKm} km.</div>
+      ) : (
+        <>
+          <div className="pw-rowSub">
+            {neighbors.length.toLocaleString()} parks · {spaces.toLocaleString()} spaces
+            {" · "}
+            {sameZoneCount == null
+              ? "flood polygon not loaded"
+              : `${sameZoneCount} in the same ${zone ?? "NFHL"} polygon`}
+          </div>
+
+          <div className="pw-tierMix" title="Tier mix of the nearby parks">
+            {TIERS.filter((t) => tierMix[t] > 0).map((t) => (
+              <div key={t} style={{ flex: tierMix[t], background: tierColor(t) }}>
+                {tierLabel(t)} {tierMix[t]}
+              </div>
+            ))}
+          </div>
+
+          <table className="pw-table pw-nearbyTable">
+            <thead>
+              <tr>
+                <th className="pw-th">Park</th>
+                {header("distance", "Distance")}
+                {header("tier", "Tier")}
+                {header("spaces", "Spaces")}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, MAX_ROWS).map((n) => (
+                <tr key={n.id} className="pw-tr" onClick={() => onSelect(n.park)}>
+                  <td title={n.park.park_city ?? undefined}>
+                    {n.sameZone && <span className="pw-nearbySame" title="Same NFHL polygon">◆ </span>}
+                    {n.park.park_name ?? "Unnamed park"}
+                  </td>
+                  <td>{km(n.distance_m)}</td>
+                  <td className={`pw-td-${n.tier}`}>{tierLabel(n.tier)}</td>
+                  <td>{n.spaces?.toLocaleString() ?? "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > MAX_ROWS && (
+            <div className="pw-rowSub">
+              Showing {MAX_ROWS} of {rows.length.toLocaleString()}; narrow the radius to see the rest.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+// src/ParkMarkers.jsx
+import { useMemo, useState } from "react";
+import { CircleMarker, Marker, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { clusterRadius, clustersInView, createParkClusters } from "./parkClusters";
+import { parkTier, tierColor } from "./risk";
+
+/**
+ * Park markers for the whole inventory: clusters at low zoom (colored by
+ * their worst tier, sized by total spaces; click to zoom in), single parks
+ * drawn on MapView's shared canvas (`renderer`). Only what is in the viewport
+ * is rendered.
+ *
+ * The selected park and the compared ones (`highlighted`: id → ring color)
+ * are always drawn on top as their own markers, even while their
+ * neighbours are still clustered. Parks in `nearby` (the selection's
+ * neighbours) get a light outline; parks in `alerted` (under an active
+ * weather alert) a magenta one, and clusters holding any of them a ⚠ badge.
+ */
+
+// Cluster icons are reused across renders so Leaflet doesn't rebuild them
+const iconCache = new Map();
+
+const ALERT_COLOR = "#f0abfc";
+
+function clusterIcon({ count, tier, spaces, alerted }) {
+  const d = clusterRadius(spaces) * 2;
+  const key = `${tier}|${count}|${d}|${alerted > 0}`;
+  if (!iconCache.has(key)) {
+    iconCache.set(
+      key,
+      L.divIcon({
+        className: "pw-cluster",
+        html:
+          `<div style="width:${d}px;height:${d}px;background:${tierColor(tier)}">${count.toLocaleString()}` +
+          `${alerted > 0 ? '<span class="pw-clusterAlert">⚠</span>' : ""}</div>`,
+        iconSize: [d, d],
+      })
+    );
+  }
+  return iconCache.get(key);
+}
+
+function viewOf(map) {
+  const b = map.getBounds();
+  return { bounds: [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], zoom: map.getZoom() };
+}
+
+export default function ParkMarkers({ markers, renderer, selectedId, highlighted, nearby, alerted, clicksDisabled, onSelect }) {
+  const map = useMap();
+  const [view, setView] = useState(() => viewOf(map));
+
+  useMapEvents({
+    moveend: (e) => setView(viewOf(e.target)),
+  });
+
+  const index = useMemo(() => createParkClusters(markers, alerted), [markers, alerted]);
+  const visible = useMemo(() => clustersInView(index, markers, view.bounds, view.zoom), [index, markers, view]);
+
+  const selected = selectedId != null ? markers.find((m) => m.id === selectedId) : null;
+  const pinned = highlighted?.size ? markers.filter((m) => highlighted.has(m.id) && m.id !== selectedId) : [];
+  const onTop = (id) => id === selectedId || !!highlighted?.has(id);
+
+  // ring: outline color for a selected / compared park
+  function parkMarker({ park, id, latlng }, ring = null) {
+    const c = tierColor(parkTier(park));
+    const warned = !ring && !!alerted?.has(id);
+    const near = !ring && !warned && !!nearby?.has(id);
+    return (
+      <CircleMarker
+        key={id}
+        center={latlng}
+        pane="parkMarkers"
+        renderer={renderer}
+        radius={ring ? 8 : 5}
+        pathOptions={{
+          color: ring ?? (warned ? ALERT_COLOR : near ? "#e0f2fe" : c),
+          weight: ring || warned ? 2.5 : near ? 2 : 1.5,
+          fillColor: c,
+          fillOpacity: ring ? 0.95 : 0.75,
+        }}
+        eventHandlers={{
+          // The click event goes along so ctrl/⌘-click can mean "compare"
+          click: (e) => {
+            if (!clicksDisabled) onSelect?.(park, e.originalEvent);
+          },
+        }}
+      >
+        <Tooltip direction="top" offset={[0, -6]} opacity={0.95}>
+          <div style={{ fontSize: 12 }}>
+            <div style={{ fontWeight: 650 }}>{park.park_name ?? "Unnamed community"}</div>
+            <div>
+              {park.flood_zone ?? "—"} • risk {park.flood_risk ?? "—"}
+            </div>
+            {alerted?.has(id) && <div style={{ color: ALERT_COLOR }}>⚠ Under an active weather alert</div>}
+          </div>
+        </Tooltip>
+      </CircleMarker>
+    );
+  }
+
+  return (
+    <>
+      {visible.map((v) =>
+        v.cluster ? (
+          <Marker
+            key={v.key}
+            position={v.latlng}
+            pane="parkMarkers"
+            icon={clusterIcon(v)}
+            eventHandlers={{
+              click: () => {
+                if (!clicksDisabled) map.flyTo(v.latlng, Math.min(v.expansionZoom(), map.getMaxZoom()));
+              },
+            }}
+          >
+            <Tooltip direction="top" offset={[0, -clusterRadius(v.spaces)]} opacity={0.95}>
+              <div style={{ fontSize: 12 }}>
+                {v.count.toLocaleString()} parks · {v.spaces.toLocaleString()} spaces
+                {v.alerted > 0 && ` · ⚠ ${v.alerted.toLocaleString()} under alert`}
+              </div>
+            </Tooltip>
+          </Marker>
+        ) : onTop(v.id) ? null : (
+          parkMarker(v)
+        )
+      )}
+
+      {/* Drawn last so they sit above their neighbours */}
+      {pinned.map((m) => parkMarker(m, highlighted.get(m.id)))}
+      {selected && parkMarker(selected, highlighted?.get(selected.id) ?? "#e5e7eb")}
+    </>
+  );
+}
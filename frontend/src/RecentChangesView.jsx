@@ -0,0 +1,129 @@
+// src/RecentChangesView.jsx
+import { useEffect, useMemo, useState } from "react";
+import { downloadText, toCsv } from "./download";
+import { filterOptions } from "./parkFilters";
+import { fetchTierChanges } from "./parksApi";
+import { tierLabel } from "./risk";
+
+const DEFAULT_DAYS = 90;
+
+const CSV_COLUMNS = [
+  "permit",
+  "park_name",
+  "park_city",
+  "county",
+  "billing_spaces",
+  "from_zone",
+  "to_zone",
+  { key: "from_tier", get: (r) => tierLabel(r.from_tier) },
+  { key: "to_tier", get: (r) => tierLabel(r.to_tier) },
+  "effective_date",
+  "changed_at",
+];
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Statewide list of parks whose risk tier moved since a date, from the
+ * flood-zone history. Clicking a row selects the park.
+ */
+export default function RecentChangesView({ parks, canLoad, onClose, onSelectPark }) {
+  const [since, setSince] = useState(() => daysAgo(DEFAULT_DAYS));
+  const [county, setCounty] = useState("");
+  const [result, setResult] = useState(null); // { key, rows } or { key, error }
+
+  const counties = useMemo(() => filterOptions(parks, "").counties, [parks]);
+  const key = `${since}|${county}`;
+
+  useEffect(() => {
+    if (!canLoad || !since) return;
+    const ctrl = new AbortController();
+    fetchTierChanges({ since, county, signal: ctrl.signal })
+      .then((rows) => setResult({ key, rows }))
+      .catch((e) => {
+        if (!ctrl.signal.aborted) setResult({ key, error: String(e?.message ?? e) });
+      });
+    return () => ctrl.abort();
+  }, [canLoad, since, county, key]);
+
+  const current = result?.key === key ? result : null;
+  const rows = current?.rows ?? [];
+
+  return (
+    <div className="pw-modalBackdrop" onClick={onClose}>
+      <section className="pw-panel pw-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="pw-panelHeader pw-modalHeader">
+          <span>Risk tier changes since {since || "…"}</span>
+          <button type="button" className="pw-chip" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="pw-filterRow pw-tabs" style={{ paddingTop: 10 }}>
+          <input className="pw-input" type="date" value={since} onChange={(e) => setSince(e.target.value)} />
+          <select className="pw-input" value={county} onChange={(e) => setCounty(e.target.value)}>
+            <option value="">All counties</option>
+            {counties.map((c) => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="pw-chip"
+            disabled={!rows.length}
+            onClick={() => downloadText(`parkwatch-tier-changes-${since}.csv`, toCsv(rows, CSV_COLUMNS), "text/csv")}
+          >
+            CSV
+          </button>
+          {current && !current.error && (
+            <span className="pw-count">{rows.length.toLocaleString()} parks changed tier</span>
+          )}
+        </div>
+
+        {!canLoad && <div className="pw-status">Flood-zone history needs the parks API.</div>}
+        {canLoad && !current && since && <div className="pw-status">Loading…</div>}
+        {current?.error && <div className="pw-status pw-error">{current.error}</div>}
+
+        {rows.length > 0 && (
+          <div className="pw-tableWrap">
+            <table className="pw-table">
+              <thead>
+                <tr>
+                  <th className="pw-th">Park</th>
+                  <th className="pw-th">County</th>
+                  <th className="pw-th">Zone</th>
+                  <th className="pw-th">Tier</th>
+                  <th className="pw-th">Spaces</th>
+                  <th className="pw-th">Panel effective</th>
+                  <th className="pw-th">Changed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={r.permit} className="pw-tr" onClick={() => onSelectPark(r)}>
+                    <td>{r.park_name ?? r.permit}</td>
+                    <td>{r.county ?? "—"}</td>
+                    <td>
+                      {r.from_zone ?? "—"} → {r.to_zone ?? "—"}
+                    </td>
+                    <td>
+                      <span className={`pw-td-${r.from_tier}`}>{tierLabel(r.from_tier)}</span> →{" "}
+                      <span className={`pw-td-${r.to_tier}`}>{tierLabel(r.to_tier)}</span>
+                    </td>
+                    <td>{r.billing_spaces?.toLocaleString() ?? "—"}</td>
+                    <td>{r.effective_date ?? "—"}</td>
+                    <td>{r.changed_at ? new Date(r.changed_at).toLocaleDateString() : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {current && !current.error && rows.length === 0 && (
+          <div className="pw-status">No park changed tier since {since}.</div>
+        )}
+      </section>
+    </div>
+  );
+}
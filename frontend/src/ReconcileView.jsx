@@ -0,0 +1,193 @@
+// src/ReconcileView.jsx
+import { useEffect, useMemo, useState } from "react";
+import { parksFromFeatureCollection } from "./parkSources";
+import { diffInventories } from "./reconcile";
+import { downloadText, toCsv } from "./download";
+import Stat from "./Stat";
+
+/**
+ * Year-over-year inventory diff: the older parks.geojson against
+ * FL_Parks_2025.geojson. Loaded lazily when the view opens.
+ */
+
+const OLD_URL = "/parks.geojson";
+const NEW_URL = "/FL_Parks_2025.geojson";
+
+const TABS = [
+  { key: "added", label: "Added" },
+  { key: "removed", label: "Disappeared" },
+  { key: "lotChanges", label: "Lot changes" },
+  { key: "moved", label: "Moved" },
+  { key: "statuses", label: "Statuses" },
+];
+
+async function loadFc(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`${url} failed: ${r.status}`);
+  return parksFromFeatureCollection(await r.json());
+}
+
+// One flat row per change, for CSV export
+function changeRows(diff) {
+  const rows = [];
+  const side = (p, prefix) => ({
+    [`${prefix}_name`]: p?.park_name ?? null,
+    [`${prefix}_address`]: p?.park_address ?? null,
+    [`${prefix}_city`]: p?.park_city ?? null,
+    [`${prefix}_spaces`]: p?.billing_spaces ?? null,
+  });
+
+  for (const p of diff.added) rows.push({ change: "added", ...side(null, "old"), ...side(p, "new"), permit: p.permit });
+  for (const p of diff.removed) rows.push({ change: "removed", ...side(p, "old"), ...side(null, "new") });
+  for (const m of diff.lotChanges) {
+    rows.push({ change: "lots", ...side(m.old, "old"), ...side(m.new, "new"), permit: m.new.permit, delta: m.delta, score: m.score });
+  }
+  for (const m of diff.moved) {
+    rows.push({ change: "moved", ...side(m.old, "old"), ...side(m.new, "new"), permit: m.new.permit, distance_m: m.distance_m, score: m.score });
+  }
+  for (const m of diff.statuses) {
+    rows.push({ change: "status", ...side(m.old, "old"), ...side(m.new, "new"), permit: m.new.permit, status: m.old.status, score: m.score });
+  }
+  return rows;
+}
+
+const CSV_COLUMNS = [
+  "change", "permit",
+  "old_name", "old_address", "old_city", "old_spaces",
+  "new_name", "new_address", "new_city", "new_spaces",
+  "delta", "distance_m", "status", "score",
+];
+
+export default function ReconcileView({ onClose, onSelectPark }) {
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [tab, setTab] = useState("added");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function run() {
+      try {
+        const [oldParks, newParks] = await Promise.all([loadFc(OLD_URL), loadFc(NEW_URL)]);
+        if (!cancelled) setDiff(diffInventories(oldParks, newParks));
+      } catch (e) {
+        console.error("Reconcile error:", e);
+        if (!cancelled) setError("Failed to load the park inventories.");
+      }
+    }
+
+    run();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const rows = useMemo(() => (diff ? diff[tab] : []), [diff, tab]);
+
+  function exportCsv() {
+    downloadText("park-inventory-changes.csv", toCsv(changeRows(diff), CSV_COLUMNS), "text/csv");
+  }
+
+  function exportJson() {
+    const { summary, added, removed, lotChanges, moved, statuses } = diff;
+    downloadText(
+      "park-inventory-changes.json",
+      JSON.stringify({ summary, added, removed, lotChanges, moved, statuses }, null, 2),
+      "application/json"
+    );
+  }
+
+  return (
+    <div className="pw-modalBackdrop" onClick={onClose}>
+      <section className="pw-panel pw-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="pw-panelHeader pw-modalHeader">
+          <span>Inventory changes · parks.geojson → FL_Parks_2025.geojson</span>
+          <span className="pw-filterRow">
+            {diff && (
+              <>
+                <button type="button" className="pw-chip" onClick={exportCsv}>Export CSV</button>
+                <button type="button" className="pw-chip" onClick={exportJson}>Export JSON</button>
+              </>
+            )}
+            <button type="button" className="pw-chip" onClick={onClose}>Close</button>
+          </span>
+        </div>
+
+        {error && <div className="pw-status pw-error">{error}</div>}
+        {!error && !diff && <div className="pw-status">Matching inventories…</div>}
+
+        {diff && (
+          <>
+            <div className="pw-statGrid">
+              <Stat label="Old inventory" value={diff.summary.old_total} />
+              <Stat label="New inventory" value={diff.summary.new_total} />
+              <Stat label="Matched" value={diff.summary.matched} />
+              <Stat
+                label="Spaces"
+                value={`${diff.summary.spaces_old.toLocaleString()} → ${diff.summary.spaces_new.toLocaleString()}`}
+              />
+            </div>
+
+            <div className="pw-filterRow pw-tabs">
+              {TABS.map((t) => (
+                <button
+                  key={t.key}
+                  type="button"
+                  className={`pw-chip ${tab === t.key ? "isOn" : ""}`}
+                  onClick={() => setTab(t.key)}
+                >
+                  {t.label} ({diff[t.key].length.toLocaleString()})
+                </button>
+              ))}
+            </div>
+
+            <div className="pw-listBody">
+              {rows.map((r, i) => (
+                <ChangeRow key={i} tab={tab} item={r} onSelectPark={onSelectPark} />
+              ))}
+              {rows.length === 0 && <div className="pw-status">Nothing in this category.</div>}
+            </div>
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function parkLine(p) {
+  return [p?.park_address, p?.park_city].filter(Boolean).join(" • ");
+}
+
+function ChangeRow({ tab, item, onSelectPark }) {
+  // added/removed are bare parks; the rest are { old, new, ... } matches
+  const isMatch = tab !== "added" && tab !== "removed";
+  const current = isMatch ? item.new : tab === "added" ? item : null;
+  const shown = current ?? item;
+
+  let detail = null;
+  if (tab === "lotChanges") detail = `${item.old.billing_spaces} → ${item.new.billing_spaces} (${item.delta > 0 ? "+" : ""}${item.delta})`;
+  if (tab === "moved") detail = `${item.distance_m.toLocaleString()} m`;
+  if (tab === "statuses") detail = item.old.status;
+  if (tab === "removed") detail = item.billing_spaces != null ? `${item.billing_spaces} lots` : null;
+  if (tab === "added") detail = item.billing_spaces != null ? `${item.billing_spaces} spaces` : null;
+
+  return (
+    <button
+      type="button"
+      className="pw-row"
+      disabled={!current}
+      onClick={() => current && onSelectPark?.(current)}
+    >
+      <div className="pw-rowMain">
+        <div className="pw-rowName">{shown.park_name ?? "Unnamed park"}</div>
+        <div className="pw-rowSub">{parkLine(shown)}</div>
+        {isMatch && (
+          <div className="pw-rowSub">
+            was {item.old.park_name} · {parkLine(item.old)} · match {item.score}
+          </div>
+        )}
+      </div>
+      {detail && <div className="pw-badge">{detail}</div>}
+    </button>
+  );
+}
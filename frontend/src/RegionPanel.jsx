@@ -0,0 +1,90 @@
+// src/RegionPanel.jsx
+import { useState } from "react";
+import ExportMenu from "./ExportMenu";
+import Stat from "./Stat";
+import { exposureTotals } from "./exposure";
+import { describeRegion } from "./regions";
+import { tierLabel } from "./risk";
+
+/**
+ * The drawn region as a set: totals and tier breakdown for the parks inside
+ * it, export of just those parks, and the named shapes saved in this browser.
+ */
+export default function RegionPanel({ region, parks, getId, savedRegions, onSave, onLoad, onDelete, onClear }) {
+  const [name, setName] = useState("");
+
+  const totals = region ? exposureTotals(parks) : null;
+  const saved = region?.name ? savedRegions.find((r) => r.name === region.name) : null;
+
+  function save() {
+    if (!name.trim()) return;
+    onSave(name);
+    setName("");
+  }
+
+  return (
+    <div className="pw-filters pw-region">
+      <div className="pw-countRow">
+        <span className="pw-sectionTitle">
+          {region ? region.name ?? "Drawn region" : "Saved regions"}
+        </span>
+        {savedRegions.length > 0 && (
+          <select
+            className="pw-input"
+            value=""
+            onChange={(e) => {
+              const r = savedRegions.find((s) => s.name === e.target.value);
+              if (r) onLoad(r);
+            }}
+          >
+            <option value="">Load saved…</option>
+            {savedRegions.map((r) => (
+              <option key={r.name} value={r.name}>{r.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {region && (
+        <>
+          <div className="pw-count">{describeRegion(region)}</div>
+
+          <div className="pw-statGrid">
+            <Stat label="Parks" value={totals.total.parks} />
+            <Stat label="Billing spaces" value={totals.total.billing_spaces} />
+            {["red", "yellow", "green"].map((t) => (
+              <Stat key={t} label={`${tierLabel(t)} parks`} value={totals.tiers[t].parks} />
+            ))}
+            <Stat
+              label="Spaces in SFHA"
+              value={totals.sfha_share == null ? "—" : `${Math.round(totals.sfha_share * 100)}%`}
+            />
+          </div>
+
+          <ExportMenu parks={parks} getId={getId} filename="parkwatch-region" />
+
+          <div className="pw-filterRow">
+            <input
+              className="pw-input"
+              placeholder="Name this region"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && save()}
+            />
+            <button type="button" className="pw-chip" disabled={!name.trim()} onClick={save}>
+              Save
+            </button>
+            {saved && (
+              <button type="button" className="pw-chip" onClick={() => onDelete(saved.name)}>
+                Delete saved
+              </button>
+            )}
+            <button type="button" className="pw-chip" onClick={onClear}>
+              Clear
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+// src/Stat.jsx
+// Small labelled figure used in summary grids.
+export default function Stat({ label, value }) {
+  return (
+    <div className="pw-stat">
+      <div className="pw-k">{label}</div>
+      <div className="pw-statValue">{typeof value === "number" ? value.toLocaleString() : value}</div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+// src/WatchNotifications.jsx
+import { downloadText } from "./download";
+import { DIGEST_FORMATS, describeChange, formatDigest } from "./watchDigest";
+
+/**
+ * Flood zone / risk changes on the user's watched parks since they last
+ * marked them read, with the same digest the server script produces.
+ */
+export default function WatchNotifications({ user, changes, onAcknowledge, onSelectPermit, onClose }) {
+  function download(format) {
+    const { ext, mime } = DIGEST_FORMATS[format];
+    const day = new Date().toISOString().slice(0, 10);
+    downloadText(`parkwatch-digest-${day}.${ext}`, formatDigest(user, changes, format), mime);
+  }
+
+  return (
+    <div className="pw-modalBackdrop" onClick={onClose}>
+      <section className="pw-panel pw-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="pw-panelHeader pw-modalHeader">
+          <span>Risk changes on your watchlists</span>
+          <button type="button" className="pw-chip" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="pw-filterRow pw-tabs" style={{ paddingTop: 10 }}>
+          <button type="button" className="pw-chip" disabled={!changes.length} onClick={() => onAcknowledge(null)}>
+            Mark all read
+          </button>
+          {Object.keys(DIGEST_FORMATS).map((f) => (
+            <button key={f} type="button" className="pw-chip" disabled={!changes.length} onClick={() => download(f)}>
+              Digest ({f.toUpperCase()})
+            </button>
+          ))}
+        </div>
+
+        <div className="pw-listBody">
+          {changes.map((c) => (
+            <div key={c.permit} className="pw-rowWrap">
+              <button type="button" className="pw-row" onClick={() => onSelectPermit(c.permit)}>
+                <div className="pw-rowMain">
+                  <div className="pw-rowName">{c.park_name ?? c.permit}</div>
+                  <div className="pw-rowSub">
+                    {describeChange(c)} · {c.county ?? "—"} · {c.watchlists.join(", ")}
+                  </div>
+                </div>
+              </button>
+              <button type="button" className="pw-chip" onClick={() => onAcknowledge([c.permit])}>
+                Mark read
+              </button>
+            </div>
+          ))}
+
+          {changes.length === 0 && <div className="pw-status">Nothing new since you last looked.</div>}
+        </div>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+// src/WatchlistPanel.jsx
+import { useState } from "react";
+
+/**
+ * Named watchlists above the Communities list: who is watching, which list
+ * the ☆ buttons add to, and whether the list and map show only that list.
+ */
+export default function WatchlistPanel({
+  user,
+  watch, // useWatchlists()
+  activeList,
+  onlyActive,
+  canUse, // false on the static data source: nowhere to keep the lists
+  onUserChange,
+  onActiveChange,
+  onOnlyActiveChange,
+  onShowNotifications,
+}) {
+  const [draftUser, setDraftUser] = useState(user);
+  const [name, setName] = useState("");
+
+  // Failures show up in watch.error
+  async function act(fn) {
+    try {
+      return await fn();
+    } catch {
+      return null;
+    }
+  }
+
+  async function create() {
+    const list = await act(() => watch.create(name.trim()));
+    if (list) {
+      setName("");
+      onActiveChange(list.id);
+    }
+  }
+
+  async function rename() {
+    if ((await act(() => watch.rename(activeList.id, name.trim()))) !== null) setName("");
+  }
+
+  async function remove() {
+    if (!window.confirm(`Delete the watchlist "${activeList.name}"?`)) return;
+    await act(() => watch.remove(activeList.id));
+    onActiveChange(null);
+  }
+
+  if (!canUse) {
+    return (
+      <div className="pw-filters">
+        <div className="pw-count">Watchlists need the parks API; the bundled snapshot is read-only.</div>
+      </div>
+    );
+  }
+
+  const commitUser = () => onUserChange(draftUser.trim());
+
+  return (
+    <div className="pw-filters pw-watch">
+      <div className="pw-countRow">
+        <span className="pw-sectionTitle">Watchlists</span>
+        {user && (
+          <button
+            type="button"
+            className={`pw-chip ${watch.changes.length ? "pw-watchAlert" : ""}`}
+            onClick={onShowNotifications}
+          >
+            {watch.changes.length ? `${watch.changes.length} risk changes` : "No new changes"}
+          </button>
+        )}
+      </div>
+
+      <input
+        className="pw-input"
+        placeholder="Your name (lists are kept per name)"
+        value={draftUser}
+        onChange={(e) => setDraftUser(e.target.value)}
+        onBlur={commitUser}
+        onKeyDown={(e) => e.key === "Enter" && commitUser()}
+      />
+
+      {user && (
+        <>
+          <div className="pw-filterRow">
+            <select
+              className="pw-input"
+              value={activeList?.id ?? ""}
+              onChange={(e) => onActiveChange(e.target.value ? Number(e.target.value) : null)}
+            >
+              <option value="">{watch.lists.length ? "Choose a watchlist…" : "No watchlists yet"}</option>
+              {watch.lists.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.name} ({l.permits.length})
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className={`pw-chip ${onlyActive ? "isOn" : ""}`}
+              disabled={!activeList}
+              onClick={() => onOnlyActiveChange(!onlyActive)}
+            >
+              Only this list
+            </button>
+          </div>
+
+          <div className="pw-filterRow">
+            <input
+              className="pw-input"
+              placeholder="List name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && name.trim() && create()}
+            />
+            <button type="button" className="pw-chip" disabled={!name.trim()} onClick={create}>
+              New
+            </button>
+            {activeList && (
+              <>
+                <button type="button" className="pw-chip" disabled={!name.trim()} onClick={rename}>
+                  Rename
+                </button>
+                <button type="button" className="pw-chip" onClick={remove}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+
+          {activeList && <div className="pw-count">☆ beside a community adds it to “{activeList.name}”.</div>}
+        </>
+      )}
+
+      {watch.error && <div className="pw-error pw-count">{watch.error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+// src/compare.js
+// The set of parks picked for side-by-side comparison (ids in pick order).
+
+import { distanceMeters, METERS_PER_MILE } from "./geo";
+
+export const MAX_COMPARE = 6;
+
+// One per compared park: map outline, marker ring and column header
+export const COMPARE_COLORS = ["#38bdf8", "#f472b6", "#a3e635", "#fb923c", "#c084fc", "#facc15"];
+
+export function compareColor(ids, id) {
+  const i = ids.indexOf(id);
+  return i < 0 ? null : COMPARE_COLORS[i % COMPARE_COLORS.length];
+}
+
+/** Ctrl/⌘-click: add or remove one park. */
+export function toggleCompare(ids, id) {
+  if (ids.includes(id)) return ids.filter((x) => x !== id);
+  return ids.length >= MAX_COMPARE ? ids : [...ids, id];
+}
+
+/**
+ * Shift-click: add every park between the anchor (last clicked) and `id`
+ * in list order, up to MAX_COMPARE in total.
+ */
+export function extendCompare(ids, orderedIds, anchorId, id) {
+  const a = orderedIds.indexOf(anchorId);
+  const b = orderedIds.indexOf(id);
+  if (a < 0 || b < 0) return toggleCompare(ids, id);
+  const range = orderedIds.slice(Math.min(a, b), Math.max(a, b) + 1);
+  const next = [...ids];
+  for (const x of range) {
+    if (next.length >= MAX_COMPARE) break;
+    if (!next.includes(x)) next.push(x);
+  }
+  return next;
+}
+
+/** Miles between two parks, or null when either has no coordinates. */
+export function milesBetween(a, b) {
+  // Number(null) is 0: an unplaced park would be thousands of miles away
+  if (a.latitude == null || a.longitude == null || b.latitude == null || b.longitude == null) return null;
+  const [lat1, lon1, lat2, lon2] = [a.latitude, a.longitude, b.latitude, b.longitude].map(Number);
+  if (![lat1, lon1, lat2, lon2].every(Number.isFinite)) return null;
+  return distanceMeters(lat1, lon1, lat2, lon2) / METERS_PER_MILE;
+}
@@ -0,0 +1,35 @@
+// src/counties.js
+// Florida county boundaries (U.S. Census via us-atlas), loaded on demand.
+
+const FLORIDA_FIPS = "12";
+
+/**
+ * Join key for county names across sources:
+ * "St. Johns" / "ST JOHNS", "DeSoto" / "Desoto", "Dade" / "Miami-Dade".
+ */
+export function countyKey(name) {
+  const k = String(name ?? "").toLowerCase().replace(/[^a-z]/g, "");
+  return k === "dade" ? "miamidade" : k;
+}
+
+let countiesPromise = null;
+
+/** FeatureCollection of the 67 counties; properties: { name, key, fips }. */
+export function loadFloridaCounties() {
+  countiesPromise ??= Promise.all([
+    import("topojson-client"),
+    import("us-atlas/counties-10m.json"),
+  ]).then(([{ feature }, { default: topo }]) => {
+    const fc = feature(topo, topo.objects.counties);
+    return {
+      type: "FeatureCollection",
+      features: fc.features
+        .filter((f) => String(f.id).startsWith(FLORIDA_FIPS))
+        .map((f) => ({
+          ...f,
+          properties: { name: f.properties.name, key: countyKey(f.properties.name), fips: f.id },
+        })),
+    };
+  });
+  return countiesPromise;
+}
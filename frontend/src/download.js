@@ -0,0 +1,45 @@
+// src/download.js
+// Client-side file export helpers.
+
+// Quote a CSV cell when it contains a delimiter, quote or newline
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * rows: array of objects; columns: [{ key, label? }] or plain key strings.
+ * Each column may have get(row) instead of reading row[key].
+ */
+export function toCsv(rows, columns) {
+  const cols = columns.map((c) => (typeof c === "string" ? { key: c } : c));
+  const header = cols.map((c) => csvCell(c.label ?? c.key)).join(",");
+  const body = rows.map((r) =>
+    cols.map((c) => csvCell(c.get ? c.get(r) : r[c.key])).join(",")
+  );
+  return [header, ...body].join("\r\n");
+}
+
+// Triggers a browser download of `text` as `filename`
+export function downloadText(filename, text, mime = "text/plain") {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Opens an HTML document (e.g. a printable report) in a new tab; when
+// pop-ups are blocked it is downloaded instead
+export function openHtml(filename, html) {
+  const url = URL.createObjectURL(new Blob([html], { type: "text/html;charset=utf-8" }));
+  const w = window.open(url, "_blank");
+  if (!w) downloadText(filename, html, "text/html");
+  // The new tab keeps its own copy once loaded
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
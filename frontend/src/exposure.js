@@ -0,0 +1,86 @@
+// src/exposure.js
+// Aggregate exposure by county or city: parks and spaces per risk tier,
+// and the share of spaces inside the FEMA Special Flood Hazard Area.
+
+import { countyKey } from "./counties";
+import { parkTier, zoneClass } from "./risk";
+
+const SPACE_FIELDS = ["billing_spaces", "mh_spaces", "rv_spaces"];
+
+function emptyBucket() {
+  return { parks: 0, billing_spaces: 0, mh_spaces: 0, rv_spaces: 0 };
+}
+
+function addPark(bucket, p) {
+  bucket.parks += 1;
+  for (const f of SPACE_FIELDS) bucket[f] += Number(p[f]) || 0;
+}
+
+function groupOf(p, by) {
+  if (by === "all") return { key: "all", label: "All", county: null, city: null };
+  const county = p.county ?? "Unknown";
+  if (by === "city") {
+    const city = p.park_city ?? "Unknown";
+    return { key: `${countyKey(county)}|${city.toLowerCase()}`, label: `${city}, ${county}`, county, city };
+  }
+  return { key: countyKey(county), label: county, county, city: null };
+}
+
+/**
+ * @param {object[]} parks
+ * @param {"county"|"city"|"all"} by
+ * @returns {Array<{ key, label, county, city, total, tiers: { red, yellow, green },
+ *   sfha_spaces, zoned_spaces, sfha_share, high_share }>}
+ *   sfha_share is over spaces with a known flood zone (null if none known);
+ *   high_share is the share of billing spaces in the HIGH tier.
+ */
+export function summarizeExposure(parks, by = "county") {
+  const groups = new Map();
+
+  for (const p of parks) {
+    const g = groupOf(p, by);
+    let row = groups.get(g.key);
+    if (!row) {
+      row = {
+        ...g,
+        total: emptyBucket(),
+        tiers: { red: emptyBucket(), yellow: emptyBucket(), green: emptyBucket() },
+        sfha_spaces: 0,
+        zoned_spaces: 0,
+      };
+      groups.set(g.key, row);
+    }
+
+    addPark(row.total, p);
+    addPark(row.tiers[parkTier(p)], p);
+
+    const cls = zoneClass(p.flood_zone);
+    if (cls !== "UNKNOWN") {
+      const spaces = Number(p.billing_spaces) || 0;
+      row.zoned_spaces += spaces;
+      if (cls === "A" || cls === "V") row.sfha_spaces += spaces;
+    }
+  }
+
+  return [...groups.values()].map((row) => ({
+    ...row,
+    sfha_share: row.zoned_spaces > 0 ? row.sfha_spaces / row.zoned_spaces : null,
+    high_share:
+      row.total.billing_spaces > 0 ? row.tiers.red.billing_spaces / row.total.billing_spaces : 0,
+  }));
+}
+
+// One exposure row covering every park given (e.g. a drawn region)
+export function exposureTotals(parks) {
+  return (
+    summarizeExposure(parks, "all")[0] ?? {
+      ...groupOf(null, "all"),
+      total: emptyBucket(),
+      tiers: { red: emptyBucket(), yellow: emptyBucket(), green: emptyBucket() },
+      sfha_spaces: 0,
+      zoned_spaces: 0,
+      sfha_share: null,
+      high_share: 0,
+    }
+  );
+}
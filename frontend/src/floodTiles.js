@@ -0,0 +1,65 @@
+// src/floodTiles.js
+// Slippy-map tiling for the viewport flood-zone layer. Shared by the map
+// (which tiles to request) and /api/fema-floodzones (what each tile covers),
+// so browser, CDN and server caches all key on the same z/x/y.
+
+// Below this map zoom the layer stays empty: statewide NFHL is far too heavy
+export const MIN_LAYER_ZOOM = 11;
+// Deeper map zooms reuse z14 tiles; their geometry is already detailed enough
+export const MAX_TILE_ZOOM = 14;
+
+// Fill per zoneClass() (src/risk.js)
+export const ZONE_CLASS_COLORS = {
+  V: "#dc2626",
+  A: "#2563eb",
+  X_SHADED: "#f59e0b",
+  X: "#64748b",
+  UNKNOWN: "#a855f7",
+};
+
+export function tileZoomFor(mapZoom) {
+  const z = Math.floor(mapZoom);
+  return z < MIN_LAYER_ZOOM ? null : Math.min(z, MAX_TILE_ZOOM);
+}
+
+function lonToX(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+
+function latToY(lat, z) {
+  const r = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * 2 ** z);
+}
+
+function yToLat(y, z) {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** z;
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+}
+
+export function isValidTile(z, x, y) {
+  return [z, x, y].every(Number.isInteger) && z >= 0 && z <= MAX_TILE_ZOOM && x >= 0 && y >= 0 && x < 2 ** z && y < 2 ** z;
+}
+
+// [minLon, minLat, maxLon, maxLat]
+export function tileBounds(z, x, y) {
+  const n = 2 ** z;
+  return [(x / n) * 360 - 180, yToLat(y + 1, z), ((x + 1) / n) * 360 - 180, yToLat(y, z)];
+}
+
+/** Tiles at zoom z covering [minLon, minLat, maxLon, maxLat], as { z, x, y }. */
+export function tilesForBounds([minLon, minLat, maxLon, maxLat], z) {
+  const max = 2 ** z - 1;
+  const clamp = (v) => Math.min(max, Math.max(0, v));
+  const x0 = clamp(lonToX(minLon, z)), x1 = clamp(lonToX(maxLon, z));
+  const y0 = clamp(latToY(maxLat, z)), y1 = clamp(latToY(minLat, z));
+  const tiles = [];
+  for (let x = x0; x <= x1; x++) {
+    for (let y = y0; y <= y1; y++) tiles.push({ z, x, y });
+  }
+  return tiles;
+}
+
+// About one screen pixel in degrees at this zoom: finer detail can't be seen
+export function simplifyTolerance(z) {
+  return 360 / (256 * 2 ** z);
+}
@@ -0,0 +1,91 @@
+// src/geocodeReview.js
+// Which parks probably sit in the wrong place, and why. Feeds the geocode
+// review mode; corrections themselves go through /api/geocode-corrections.
+
+import { distanceMeters } from "./geo";
+
+// Mailing cities can be large; on the 2025 inventory this flags ~1% of parks
+export const FAR_FROM_CITY_M = 25000;
+
+// A city needs a few parks before its median point means anything
+const MIN_CITY_PARKS = 3;
+
+// What a saved correction sets; a reviewer has already placed these
+const CORRECTED_STATUS = "MANUAL";
+
+// NFHL matches that needed a widened envelope, or found nothing at all
+const WEAK_FLOOD_METHODS = new Set(["envelope_fallback", "none"]);
+
+function cityKey(p) {
+  if (!p.park_city) return null;
+  return `${String(p.county ?? "").toLowerCase()}|${p.park_city.toLowerCase()}`;
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/** Map cityKey → [lat, lon]: per-coordinate median of that city's parks. */
+export function cityCenters(parks) {
+  const byCity = new Map();
+  for (const p of parks) {
+    const key = cityKey(p);
+    const lat = Number(p.latitude);
+    const lon = Number(p.longitude);
+    if (!key || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    if (!byCity.has(key)) byCity.set(key, []);
+    byCity.get(key).push([lat, lon]);
+  }
+
+  const centers = new Map();
+  for (const [key, pts] of byCity) {
+    if (pts.length < MIN_CITY_PARKS) continue;
+    centers.set(key, [median(pts.map((x) => x[0])), median(pts.map((x) => x[1]))]);
+  }
+  return centers;
+}
+
+/**
+ * Reasons to double-check one park's coordinates.
+ * floodMethod is the NFHL meta.method when known (stored flood_match_method
+ * or a lookup made this session).
+ * @returns {Array<{ key: "geocode"|"flood_match"|"far_from_city", label: string }>}
+ */
+export function reviewFlags(park, { centers, floodMethod = null }) {
+  const flags = [];
+
+  const status = park.geocode_status?.toUpperCase() ?? null;
+  if (status === CORRECTED_STATUS) return flags;
+  if (status !== "OK") {
+    flags.push({ key: "geocode", label: `Geocode ${status ?? "missing"}` });
+  }
+
+  const method = floodMethod ?? park.flood_match_method ?? null;
+  if (WEAK_FLOOD_METHODS.has(method)) {
+    flags.push({ key: "flood_match", label: method === "none" ? "No flood polygon" : "Flood match off-point" });
+  }
+
+  const center = centers.get(cityKey(park));
+  if (center) {
+    const d = distanceMeters(Number(park.latitude), Number(park.longitude), center[0], center[1]);
+    if (d > FAR_FROM_CITY_M) {
+      flags.push({ key: "far_from_city", label: `${Math.round(d / 1000)} km from ${park.park_city}` });
+    }
+  }
+
+  return flags;
+}
+
+/** Parks with at least one flag (stored data only), most flags first, then by name. */
+export function reviewQueue(parks, centers = cityCenters(parks)) {
+  return parks
+    .map((park) => ({ park, flags: reviewFlags(park, { centers }) }))
+    .filter((r) => r.flags.length > 0)
+    .sort(
+      (a, b) =>
+        b.flags.length - a.flags.length ||
+        String(a.park.park_name ?? "").localeCompare(String(b.park.park_name ?? ""))
+    );
+}
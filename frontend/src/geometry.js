@@ -0,0 +1,123 @@
+// src/geometry.js
+// Planar geometry helpers for GeoJSON polygons and lines in lon/lat.
+// Distances use a local equirectangular projection around the query point,
+// which is accurate to well under 1% at the few-km scales we work with.
+// Shared by the API (NFHL matching) and the browser (imported hazard overlays).
+
+const METERS_PER_DEG_LAT = 111320;
+
+// Polygon coordinates as an array of polygons: [[outer, hole, hole…], …]
+function polygonsOf(geom) {
+  if (geom?.type === "Polygon") return [geom.coordinates];
+  if (geom?.type === "MultiPolygon") return geom.coordinates;
+  return [];
+}
+
+// Every coordinate path whose segments count as edges: rings or line parts
+function pathsOf(geom) {
+  if (geom?.type === "LineString") return [geom.coordinates];
+  if (geom?.type === "MultiLineString") return geom.coordinates;
+  return polygonsOf(geom).flat();
+}
+
+// Ray casting; points exactly on an edge may fall either way
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** [minLon, minLat, maxLon, maxLat] over the outer rings, or null if there are none. */
+export function geometryBounds(geom) {
+  let b = null;
+  for (const rings of polygonsOf(geom)) {
+    for (const [x, y] of rings?.[0] ?? []) {
+      if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+      if (!b) b = [x, y, x, y];
+      else {
+        if (x < b[0]) b[0] = x;
+        if (y < b[1]) b[1] = y;
+        if (x > b[2]) b[2] = x;
+        if (y > b[3]) b[3] = y;
+      }
+    }
+  }
+  return b;
+}
+
+/**
+ * True when (lon, lat) is inside the geometry: inside an outer ring and
+ * not inside any of that polygon's holes.
+ */
+export function pointInGeometry(geom, lon, lat) {
+  for (const rings of polygonsOf(geom)) {
+    if (!Array.isArray(rings) || rings.length === 0) continue;
+    if (!pointInRing(lon, lat, rings[0])) continue;
+    if (!rings.slice(1).some((hole) => pointInRing(lon, lat, hole))) return true;
+  }
+  return false;
+}
+
+// Squared distance from the origin to segment (ax,ay)-(bx,by)
+function segDist2(ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 > 0 ? -(ax * dx + ay * dy) / len2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  const px = ax + t * dx, py = ay + t * dy;
+  return px * px + py * py;
+}
+
+/**
+ * Distance in meters from (lon, lat) to the nearest edge of the geometry
+ * (outer rings and holes, or the parts of a line). Infinity when empty.
+ */
+export function distanceToEdgeMeters(geom, lon, lat) {
+  const mx = METERS_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+  const my = METERS_PER_DEG_LAT;
+
+  let best = Number.POSITIVE_INFINITY;
+  for (const path of pathsOf(geom)) {
+    if (!Array.isArray(path)) continue;
+    for (let i = 1; i < path.length; i++) {
+      const a = path[i - 1], b = path[i];
+      if (!Number.isFinite(a?.[0]) || !Number.isFinite(b?.[0])) continue;
+      const d2 = segDist2(
+        (a[0] - lon) * mx, (a[1] - lat) * my,
+        (b[0] - lon) * mx, (b[1] - lat) * my
+      );
+      if (d2 < best) best = d2;
+    }
+  }
+  return Math.sqrt(best);
+}
+
+/**
+ * Containment + distance for one feature (lines are never "inside").
+ * distance_m is 0 when the point is inside; edge_distance_m is always the
+ * distance to the nearest boundary (how close an inside point is to leaving).
+ */
+export function measureFeature(feature, lon, lat) {
+  const geom = feature?.geometry;
+  const inside = pointInGeometry(geom, lon, lat);
+  const edge = distanceToEdgeMeters(geom, lon, lat);
+  return { inside, distance_m: inside ? 0 : edge, edge_distance_m: edge };
+}
+
+/**
+ * Measures every feature in a FeatureCollection against the point and sorts
+ * them: containing polygons first, then by distance to the nearest edge.
+ */
+export function rankFeatures(fc, lon, lat) {
+  const feats = Array.isArray(fc?.features) ? fc.features : [];
+  return feats
+    .map((feature) => ({ feature, ...measureFeature(feature, lon, lat) }))
+    .filter((c) => Number.isFinite(c.edge_distance_m))
+    .sort((a, b) => (a.inside === b.inside ? a.distance_m - b.distance_m : a.inside ? -1 : 1));
+}
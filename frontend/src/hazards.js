@@ -0,0 +1,171 @@
+// src/hazards.js
+// Hazard overlays imported from local files (storm cones, surge and
+// evacuation zones…), read entirely in the browser, and the parks that fall
+// inside their polygons.
+
+import { geometryBounds, pointInGeometry } from "./geometry";
+
+export const HAZARD_FILE_ACCEPT = ".geojson,.json,.kml,.zip";
+
+// Cycled per overlay so two imports are distinguishable on the map
+const OVERLAY_COLORS = ["#f97316", "#a855f7", "#ec4899", "#14b8a6", "#eab308", "#38bdf8"];
+
+// Property names commonly used for a feature's label in EM / NHC files
+const LABEL_FIELDS = ["name", "Name", "NAME", "zone", "ZONE", "Zone", "EVAC_ZONE", "STORMNAME", "label", "LABEL"];
+
+let nextId = 1;
+
+function baseName(fileName) {
+  return fileName.replace(/\.[^.]+$/, "");
+}
+
+function extensionOf(fileName) {
+  return (fileName.match(/\.([^.]+)$/)?.[1] ?? "").toLowerCase();
+}
+
+function asFeatureCollection(data) {
+  if (data?.type === "FeatureCollection") return data;
+  if (data?.type === "Feature") return { type: "FeatureCollection", features: [data] };
+  if (data?.type && data.coordinates) {
+    return { type: "FeatureCollection", features: [{ type: "Feature", properties: {}, geometry: data }] };
+  }
+  throw new Error("not a GeoJSON object");
+}
+
+async function parseKml(text) {
+  const { kml } = await import("@tmcw/togeojson");
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("invalid KML");
+  return kml(doc);
+}
+
+// A zip may hold several shapefiles; shpjs then returns one collection each
+async function parseShapefileZip(buffer) {
+  const { default: shp } = await import("shpjs");
+  const result = await shp(buffer);
+  return Array.isArray(result) ? result : [result];
+}
+
+export function featureLabel(props) {
+  for (const f of LABEL_FIELDS) {
+    const v = props?.[f];
+    if (v != null && String(v).trim() !== "") return String(v).trim();
+  }
+  return null;
+}
+
+// A feature's polygons as one Polygon / MultiPolygon, or null. KML
+// MultiGeometry arrives from togeojson as a GeometryCollection, often a
+// placemark's point or outline next to its area.
+function polygonalGeometry(geometry) {
+  if (geometry?.type === "Polygon" || geometry?.type === "MultiPolygon") return geometry;
+  if (geometry?.type !== "GeometryCollection") return null;
+
+  const polygons = (geometry.geometries ?? []).flatMap((g) => {
+    const part = polygonalGeometry(g);
+    if (!part) return [];
+    return part.type === "Polygon" ? [part.coordinates] : part.coordinates;
+  });
+  return polygons.length ? { type: "MultiPolygon", coordinates: polygons } : null;
+}
+
+function isPolygonal(f) {
+  return polygonalGeometry(f?.geometry) != null;
+}
+
+/**
+ * Reads one user-selected File into overlays:
+ *   { id, name, fileName, color, data: FeatureCollection, polygonCount }
+ * GeoJSON and KML give one overlay; a zipped Shapefile one per layer.
+ * Throws an Error with a readable message for unsupported or empty files.
+ */
+export async function readHazardFile(file) {
+  const ext = extensionOf(file.name);
+  let layers; // [{ name, data }]
+
+  try {
+    if (ext === "geojson" || ext === "json") {
+      layers = [{ name: baseName(file.name), data: asFeatureCollection(JSON.parse(await file.text())) }];
+    } else if (ext === "kml") {
+      layers = [{ name: baseName(file.name), data: await parseKml(await file.text()) }];
+    } else if (ext === "zip") {
+      const collections = await parseShapefileZip(await file.arrayBuffer());
+      layers = collections.map((fc) => ({
+        name: collections.length > 1 && fc.fileName ? `${baseName(file.name)} / ${fc.fileName}` : baseName(file.name),
+        data: fc,
+      }));
+    } else {
+      throw new Error(`unsupported file type ".${ext}" (use GeoJSON, KML or a zipped Shapefile)`);
+    }
+  } catch (e) {
+    throw new Error(`${file.name}: ${e.message}`, { cause: e });
+  }
+
+  const overlays = layers
+    .filter((l) => l.data.features?.length > 0)
+    .map((l) => {
+      const id = nextId++;
+      return {
+        id,
+        name: l.name,
+        fileName: file.name,
+        color: OVERLAY_COLORS[(id - 1) % OVERLAY_COLORS.length],
+        data: l.data,
+        polygonCount: l.data.features.filter(isPolygonal).length,
+      };
+    });
+
+  if (overlays.length === 0) throw new Error(`${file.name}: no features found`);
+  return overlays;
+}
+
+/** Overlay names must be unique in the layers control: "Cone", "Cone (2)"… */
+export function uniqueOverlayName(name, existing) {
+  const taken = new Set(existing.map((o) => o.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+/**
+ * Which imported polygons each park falls inside.
+ * @returns {Map<string, Array<{ overlayId, overlay, features: string[] }>>}
+ *   parkId → one hit per overlay (parks outside every overlay are absent);
+ *   features are the labels of the polygons containing the park.
+ */
+export function hazardFlags(parks, overlays, getId) {
+  const flags = new Map();
+  if (!overlays.length) return flags;
+
+  // Bounding boxes first: most parks are nowhere near most polygons
+  const polygons = overlays.flatMap((o) =>
+    o.data.features.filter(isPolygonal).map((f) => {
+      const geometry = polygonalGeometry(f.geometry);
+      return { overlay: o, geometry, bounds: geometryBounds(geometry), label: featureLabel(f.properties) };
+    })
+  );
+
+  for (const p of parks) {
+    const lat = Number(p.latitude);
+    const lon = Number(p.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    for (const poly of polygons) {
+      const b = poly.bounds;
+      if (!b || lon < b[0] || lat < b[1] || lon > b[2] || lat > b[3]) continue;
+      if (!pointInGeometry(poly.geometry, lon, lat)) continue;
+
+      const id = getId(p);
+      const hits = flags.get(id) ?? [];
+      let hit = hits.find((h) => h.overlayId === poly.overlay.id);
+      if (!hit) {
+        hit = { overlayId: poly.overlay.id, overlay: poly.overlay.name, features: [] };
+        hits.push(hit);
+        flags.set(id, hits);
+      }
+      if (poly.label && !hit.features.includes(poly.label)) hit.features.push(poly.label);
+    }
+  }
+  return flags;
+}
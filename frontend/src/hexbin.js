@@ -0,0 +1,135 @@
+// src/hexbin.js
+// Hexagonal bins for the "Spaces at risk" heat layer: each park adds its
+// spaces times its tier weight (risk.js / riskModel.json tierWeights) to the
+// hexagon it falls in, so one 400-space HIGH park outweighs a handful of
+// small LOW ones.
+//
+// Hexagons are laid out in a local equirectangular projection centred on
+// Florida, which keeps them within a few percent of regular on the map; the
+// same projection is linear in lat/lon, so a bin's ring used as a polygon
+// region (regions.js) contains exactly the parks binned into it.
+
+import { parkTier, tierWeight } from "./risk";
+
+const REF_LAT = 27.8;
+const M_PER_DEG_LAT = 110574;
+const M_PER_DEG_LON = 111320 * Math.cos((REF_LAT * Math.PI) / 180);
+const SQRT3 = Math.sqrt(3);
+
+export const HEX_SIZES_KM = [2, 5, 10, 20, 40];
+export const DEFAULT_HEX_KM = 10;
+
+export const HEAT_FIELDS = {
+  billing_spaces: "Billing spaces",
+  mh_spaces: "MH spaces",
+};
+
+// Low → high; one color per legend class
+export const HEAT_COLORS = ["#fde68a", "#fbbf24", "#f97316", "#ef4444", "#991b1b"];
+
+/** Weighted spaces one park contributes: spaces × tier weight. */
+export function parkHeatWeight(park, field = "billing_spaces") {
+  const spaces = Number(park[field]);
+  if (!Number.isFinite(spaces) || spaces <= 0) return 0;
+  return spaces * tierWeight(parkTier(park));
+}
+
+function project(lat, lon) {
+  return [lon * M_PER_DEG_LON, lat * M_PER_DEG_LAT];
+}
+
+function unproject(x, y) {
+  return [y / M_PER_DEG_LAT, x / M_PER_DEG_LON];
+}
+
+// Pointy-top axial coordinates, rounded through cube coordinates
+function hexAt(x, y, radius) {
+  const q = ((SQRT3 / 3) * x - y / 3) / radius;
+  const r = ((2 / 3) * y) / radius;
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+}
+
+function hexRing(q, r, radius) {
+  const cx = radius * SQRT3 * (q + r / 2);
+  const cy = radius * 1.5 * r;
+  const ring = [];
+  for (let i = 0; i < 6; i++) {
+    const a = ((60 * i - 30) * Math.PI) / 180;
+    ring.push(unproject(cx + radius * Math.cos(a), cy + radius * Math.sin(a)));
+  }
+  return { center: unproject(cx, cy), ring };
+}
+
+/**
+ * Bins parks with coordinates into hexagons `sizeKm` across (flat to flat).
+ * @returns {Array<{ key, center: [lat, lon], ring: Array<[lat, lon]>, parks: object[],
+ *   weight: number, spaces: number, tierMix: { green, yellow, red } }>} heaviest first
+ */
+export function hexbinParks(parks, { sizeKm = DEFAULT_HEX_KM, field = "billing_spaces" } = {}) {
+  const radius = (sizeKm * 1000) / SQRT3;
+  const bins = new Map();
+
+  for (const park of parks) {
+    const lat = Number(park.latitude);
+    const lon = Number(park.longitude);
+    if (park.latitude == null || park.longitude == null || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const [q, r] = hexAt(...project(lat, lon), radius);
+    const key = `${q}:${r}`;
+    let bin = bins.get(key);
+    if (!bin) {
+      bin = { key, ...hexRing(q, r, radius), parks: [], weight: 0, spaces: 0, tierMix: { green: 0, yellow: 0, red: 0 } };
+      bins.set(key, bin);
+    }
+    bin.parks.push(park);
+    bin.weight += parkHeatWeight(park, field);
+    bin.spaces += Number(park[field]) || 0;
+    bin.tierMix[parkTier(park)]++;
+  }
+
+  return [...bins.values()].sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Legend class breaks: quantiles of the bins' weights, so the ramp stays
+ * readable at every bin size. Each break is the lower bound of the next
+ * class; repeated and zero quantiles are dropped, so there can be fewer
+ * than HEAT_COLORS.length classes.
+ */
+export function heatBreaks(bins, classes = HEAT_COLORS.length) {
+  const weights = bins.map((b) => b.weight).sort((a, b) => a - b);
+  const breaks = [];
+  for (let i = 1; i < classes && weights.length; i++) {
+    const w = weights[Math.floor((weights.length * i) / classes)];
+    if (w > 0 && w !== breaks[breaks.length - 1]) breaks.push(w);
+  }
+  return breaks;
+}
+
+// Fewer classes use the top of the ramp, so the heaviest is always darkest
+export function heatClassColor(i, breaks) {
+  return HEAT_COLORS[HEAT_COLORS.length - 1 - breaks.length + i];
+}
+
+export function heatColor(weight, breaks) {
+  return heatClassColor(breaks.filter((b) => weight >= b).length, breaks);
+}
+
+/** A bin as a polygon selection region (see regions.js). */
+export function hexRegion(bin, sizeKm) {
+  const [lat, lon] = bin.center;
+  return {
+    type: "polygon",
+    name: `${sizeKm} km hexbin at ${lat.toFixed(3)}, ${lon.toFixed(3)}`,
+    coordinates: bin.ring,
+  };
+}
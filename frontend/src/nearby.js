@@ -0,0 +1,134 @@
+// src/nearby.js
+// The selected park's neighbourhood: which loaded parks lie within a radius,
+// which of them sit in the same NFHL polygon as the selection, and the tier
+// mix around it.
+//
+// Radius queries go through a lat/lon grid built once per inventory, so a
+// query only measures the parks in the few cells the circle overlaps rather
+// than the whole state. The printable report (parkReport.js) lists its
+// neighbours through the same index, hence the .js imports for Node.
+
+import { distanceMeters } from "./geo.js";
+import { geometryBounds, pointInGeometry } from "./geometry.js";
+import { parkTier } from "./risk.js";
+
+const CELL_DEG = 0.05; // ~5.5 km; a 5 km query touches 9–12 cells
+const METERS_PER_DEG_LAT = 111320;
+
+export const NEARBY_RADII_KM = [1, 2, 5, 10, 25];
+export const DEFAULT_NEARBY_KM = 5;
+
+function cellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+/**
+ * Grid index over parks with coordinates.
+ * @returns {{ cells: Map<string, Array<{ park, id, lat, lon }>>, size: number }}
+ */
+export function createParkIndex(parks, getId) {
+  const cells = new Map();
+  let size = 0;
+  for (const park of parks) {
+    const lat = Number(park.latitude);
+    const lon = Number(park.longitude);
+    if (park.latitude == null || park.longitude == null || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const key = cellKey(Math.floor(lat / CELL_DEG), Math.floor(lon / CELL_DEG));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ park, id: getId(park), lat, lon });
+    size++;
+  }
+  return { cells, size };
+}
+
+/**
+ * Indexed parks within `meters` of a point, nearest first.
+ * @returns {Array<{ park, id, lat, lon, distance_m }>}
+ */
+export function parksWithin(index, lat, lon, meters) {
+  const dLat = meters / METERS_PER_DEG_LAT;
+  const dLon = dLat / Math.max(0.2, Math.cos((lat * Math.PI) / 180));
+  const out = [];
+
+  for (let row = Math.floor((lat - dLat) / CELL_DEG); row <= Math.floor((lat + dLat) / CELL_DEG); row++) {
+    for (let col = Math.floor((lon - dLon) / CELL_DEG); col <= Math.floor((lon + dLon) / CELL_DEG); col++) {
+      for (const item of index.cells.get(cellKey(row, col)) ?? []) {
+        const d = distanceMeters(lat, lon, item.lat, item.lon);
+        if (d <= meters) out.push({ ...item, distance_m: d });
+      }
+    }
+  }
+  return out.sort((a, b) => a.distance_m - b.distance_m);
+}
+
+/**
+ * Neighbours of `park` within radiusKm.
+ * floodZone is the selection's /api/fema-floodzone response; when it has a
+ * polygon, each neighbour is tested against it (sameZone), otherwise
+ * sameZone is null for all of them.
+ * @returns {{
+ *   neighbors: Array<{ park, id, distance_m, tier, spaces, sameZone: boolean|null }>,
+ *   tierMix: { green: number, yellow: number, red: number },
+ *   spaces: number,
+ *   sameZoneCount: number|null,
+ * }}
+ */
+export function nearbyAnalysis(index, park, { radiusKm, floodZone = null, getId }) {
+  const lat = Number(park?.latitude);
+  const lon = Number(park?.longitude);
+  const empty = { neighbors: [], tierMix: { green: 0, yellow: 0, red: 0 }, spaces: 0, sameZoneCount: null };
+  if (park?.latitude == null || !Number.isFinite(lat) || !Number.isFinite(lon)) return empty;
+
+  const selfId = getId(park);
+  const geometry = floodZone?.features?.[0]?.geometry ?? null;
+  const bounds = geometry ? geometryBounds(geometry) : null;
+
+  const neighbors = parksWithin(index, lat, lon, radiusKm * 1000)
+    .filter((n) => n.id !== selfId)
+    .map((n) => {
+      let sameZone = null;
+      if (bounds) {
+        const inBox = n.lon >= bounds[0] && n.lat >= bounds[1] && n.lon <= bounds[2] && n.lat <= bounds[3];
+        sameZone = inBox && pointInGeometry(geometry, n.lon, n.lat);
+      }
+      const spaces = Number(n.park.billing_spaces);
+      return {
+        park: n.park,
+        id: n.id,
+        distance_m: n.distance_m,
+        tier: parkTier(n.park),
+        spaces: Number.isFinite(spaces) ? spaces : null,
+        sameZone,
+      };
+    });
+
+  const tierMix = { green: 0, yellow: 0, red: 0 };
+  let spaces = 0;
+  for (const n of neighbors) {
+    tierMix[n.tier]++;
+    spaces += n.spaces ?? 0;
+  }
+
+  return {
+    neighbors,
+    tierMix,
+    spaces,
+    sameZoneCount: bounds ? neighbors.filter((n) => n.sameZone).length : null,
+  };
+}
+
+const TIER_ORDER = { green: 0, yellow: 1, red: 2 };
+
+// Ties are always broken by distance, nearest first
+export const NEARBY_SORTS = {
+  distance: { label: "Distance", compare: (a, b) => a.distance_m - b.distance_m },
+  tier: { label: "Tier", compare: (a, b) => TIER_ORDER[a.tier] - TIER_ORDER[b.tier] },
+  spaces: { label: "Spaces", compare: (a, b) => (a.spaces ?? -1) - (b.spaces ?? -1) },
+};
+
+export function sortNeighbors(neighbors, sort, dir) {
+  const cmp = NEARBY_SORTS[sort]?.compare ?? NEARBY_SORTS.distance.compare;
+  const sign = dir === "desc" ? -1 : 1;
+  return [...neighbors].sort((a, b) => sign * cmp(a, b) || a.distance_m - b.distance_m);
+}
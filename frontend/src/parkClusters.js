@@ -0,0 +1,73 @@
+// src/parkClusters.js
+// Clustering the park markers at low zoom (supercluster). Each cluster
+// carries the worst tier among its parks, their total billing spaces and
+// how many of them are under an active weather alert.
+
+import Supercluster from "supercluster";
+import { parkTier } from "./risk";
+
+// Clusters up to this zoom; from the next zoom in every park is its own marker
+// (ZoomToSelection zooms to at least 11, so a selected park is always visible)
+export const CLUSTER_MAX_ZOOM = 10;
+
+const TIER_RANK = { green: 1, yellow: 2, red: 3 };
+const RANK_TIER = ["green", "green", "yellow", "red"];
+
+/**
+ * Spatial index over parks with valid coordinates.
+ * items: [{ park, id, latlng }] as built in MapView; alerted: Set of ids.
+ */
+export function createParkClusters(items, alerted = null) {
+  const index = new Supercluster({
+    radius: 48,
+    maxZoom: CLUSTER_MAX_ZOOM,
+    map: (props) => ({ rank: props.rank, spaces: props.spaces, alerted: props.alerted }),
+    reduce: (acc, props) => {
+      acc.rank = Math.max(acc.rank, props.rank);
+      acc.spaces += props.spaces;
+      acc.alerted += props.alerted;
+    },
+  });
+
+  index.load(
+    items.map((item, i) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [item.latlng[1], item.latlng[0]] },
+      properties: {
+        i,
+        rank: TIER_RANK[parkTier(item.park)] ?? 2,
+        spaces: Number(item.park.billing_spaces) || 0,
+        alerted: alerted?.has(item.id) ? 1 : 0,
+      },
+    }))
+  );
+  return index;
+}
+
+/**
+ * What to draw for a viewport: clusters as { cluster: true, key, latlng,
+ * count, tier, spaces, alerted, expansionZoom() } and single parks as their item.
+ * bounds: [west, south, east, north].
+ */
+export function clustersInView(index, items, bounds, zoom) {
+  return index.getClusters(bounds, Math.round(zoom)).map((f) => {
+    const [lon, lat] = f.geometry.coordinates;
+    if (!f.properties.cluster) return items[f.properties.i];
+    const id = f.properties.cluster_id;
+    return {
+      cluster: true,
+      key: `cluster:${id}`,
+      latlng: [lat, lon],
+      count: f.properties.point_count,
+      tier: RANK_TIER[f.properties.rank],
+      spaces: f.properties.spaces,
+      alerted: f.properties.alerted,
+      expansionZoom: () => index.getClusterExpansionZoom(id),
+    };
+  });
+}
+
+// Bubble radius in px: grows with the square root of total spaces
+export function clusterRadius(spaces) {
+  return Math.round(Math.min(30, 10 + Math.sqrt(spaces) / 8));
+}
@@ -0,0 +1,156 @@
+// src/parkExport.js
+// CSV / GeoJSON / KML export of park rows. Shared by the Communities panel
+// and the /api/parks/export route, so imports here carry explicit .js
+// extensions for Node.
+
+import { scoreParkRisk, tierLabel } from "./risk.js";
+import { toCsv } from "./download.js";
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", mime: "text/csv" },
+  geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json" },
+  kml: { label: "KML", ext: "kml", mime: "application/vnd.google-earth.kml+xml" },
+};
+
+// Column order for CSV; anything else on the rows is appended after these
+const BASE_FIELDS = [
+  "permit",
+  "park_name",
+  "park_address",
+  "park_city",
+  "park_zip",
+  "county",
+  "park_type",
+  "billing_spaces",
+  "mh_spaces",
+  "rv_spaces",
+  "latitude",
+  "longitude",
+  "geocode_status",
+  "flood_zone",
+  "flood_risk",
+  "flood_bfe",
+  "flood_match_method",
+  "risk_tier",
+  "risk_label",
+  "risk_score",
+];
+
+// KML colors are aabbggrr
+const KML_TIER_COLORS = { green: "ff5ec522", yellow: "ff08b3ea", red: "ff4444ef" };
+
+/** Flattens an /api/fema-floodzone response into fema_* columns. */
+export function femaAttributes(gj) {
+  const s = gj?.summary ?? {};
+  const m = gj?.meta ?? {};
+  return {
+    fema_zone: s.zone ?? null,
+    fema_subtype: s.subtype ?? null,
+    fema_sfha: s.sfha ?? null,
+    fema_bfe: s.bfe ?? null,
+    fema_method: m.method ?? null,
+    fema_distance_m: m.distance_m ?? null,
+    fema_confidence: m.confidence ?? null,
+  };
+}
+
+/**
+ * Park rows + computed tier, plus fema_* columns for parks that have an
+ * entry in `femaById` (Map of park id → /api/fema-floodzone response).
+ */
+export function exportRows(parks, { femaById = null, getId = (p) => p.permit } = {}) {
+  return parks.map((p) => {
+    const gj = femaById?.get(getId(p)) ?? null;
+    const risk = scoreParkRisk(p, gj);
+    return {
+      ...p,
+      risk_tier: risk.tier,
+      risk_label: tierLabel(risk.tier),
+      risk_score: risk.score,
+      ...(femaById ? femaAttributes(gj) : {}),
+    };
+  });
+}
+
+function columnsFor(rows) {
+  const extra = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) if (!BASE_FIELDS.includes(k)) extra.add(k);
+  return [...BASE_FIELDS, ...extra];
+}
+
+export function toParksCsv(rows) {
+  return toCsv(rows, columnsFor(rows));
+}
+
+// Number(null) is 0: without the null check an unplaced park exports at 0,0
+function hasPoint(r) {
+  const lat = Number(r.latitude);
+  const lon = Number(r.longitude);
+  return r.latitude != null && r.longitude != null && Number.isFinite(lat) && Number.isFinite(lon);
+}
+
+export function toParksGeoJson(rows) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: rows
+      .filter(hasPoint)
+      .map((r) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [Number(r.longitude), Number(r.latitude)] },
+        properties: r,
+      })),
+  });
+}
+
+function xml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function toParksKml(rows, { name = "ParkWatch communities" } = {}) {
+  const styles = Object.entries(KML_TIER_COLORS)
+    .map(
+      ([tier, color]) =>
+        `<Style id="tier-${tier}"><IconStyle><color>${color}</color><scale>0.8</scale>` +
+        `<Icon><href>http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png</href></Icon></IconStyle></Style>`
+    )
+    .join("\n    ");
+
+  const placemarks = rows
+    .filter(hasPoint)
+    .map((r) => {
+      const data = Object.entries(r)
+        .filter(([, v]) => v != null && v !== "")
+        .map(([k, v]) => `<Data name="${xml(k)}"><value>${xml(v)}</value></Data>`)
+        .join("");
+      const desc = [r.park_address, r.park_city, r.risk_label && `${r.risk_label} risk`]
+        .filter(Boolean)
+        .join(", ");
+      return (
+        `    <Placemark><name>${xml(r.park_name ?? "Unnamed park")}</name>` +
+        `<description>${xml(desc)}</description><styleUrl>#tier-${xml(r.risk_tier)}</styleUrl>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${Number(r.longitude)},${Number(r.latitude)}</coordinates></Point></Placemark>`
+      );
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(name)}</name>
+    ${styles}
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+export function formatParks(rows, format) {
+  if (format === "geojson") return toParksGeoJson(rows);
+  if (format === "kml") return toParksKml(rows);
+  return toParksCsv(rows);
+}
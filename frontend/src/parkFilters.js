@@ -0,0 +1,130 @@
+// src/parkFilters.js
+// Search / filter / sort for the Communities list.
+// Pure functions so the same filtered set can drive both the list and the map.
+
+import { countyKey } from "./counties";
+import { parkTier, scoreParkRisk } from "./risk";
+
+export const TIERS = ["red", "yellow", "green"];
+
+export const SORT_OPTIONS = [
+  { value: "name", label: "Name" },
+  { value: "spaces", label: "Spaces" },
+  { value: "risk", label: "Risk" },
+];
+
+export const DEFAULT_FILTERS = {
+  text: "",
+  county: "",
+  city: "",
+  tiers: [], // empty = all tiers
+  zone: "",
+  minSpaces: "",
+  maxSpaces: "",
+  sort: "name",
+  sortDir: "asc",
+};
+
+function norm(v) {
+  return String(v ?? "").trim().toLowerCase();
+}
+
+function toNumberOrNull(v) {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function compareNames(a, b) {
+  return String(a.park_name ?? "").localeCompare(String(b.park_name ?? ""), undefined, {
+    sensitivity: "base",
+  });
+}
+
+// True when any filter differs from the defaults (sort doesn't count)
+export function hasActiveFilters(filters) {
+  return (
+    filters.text.trim() !== "" ||
+    filters.county !== "" ||
+    filters.city !== "" ||
+    filters.tiers.length > 0 ||
+    filters.zone !== "" ||
+    filters.minSpaces !== "" ||
+    filters.maxSpaces !== ""
+  );
+}
+
+export function filterParks(parks, filters) {
+  // Every search word must appear somewhere in name/address/city
+  const words = norm(filters.text).split(/\s+/).filter(Boolean);
+  // Counties compare by join key, like the exposure groups: "ST JOHNS" is "St. Johns"
+  const county = countyKey(filters.county);
+  const city = norm(filters.city);
+  const zone = norm(filters.zone);
+  const tiers = new Set(filters.tiers);
+  const min = toNumberOrNull(filters.minSpaces);
+  const max = toNumberOrNull(filters.maxSpaces);
+
+  return parks.filter((p) => {
+    if (words.length) {
+      const hay = `${norm(p.park_name)} ${norm(p.park_address)} ${norm(p.park_city)}`;
+      if (!words.every((w) => hay.includes(w))) return false;
+    }
+    if (county && countyKey(p.county) !== county) return false;
+    if (city && norm(p.park_city) !== city) return false;
+    if (zone && norm(p.flood_zone) !== zone) return false;
+    if (tiers.size && !tiers.has(parkTier(p))) return false;
+
+    if (min != null || max != null) {
+      const spaces = Number(p.billing_spaces);
+      if (!Number.isFinite(spaces)) return false;
+      if (min != null && spaces < min) return false;
+      if (max != null && spaces > max) return false;
+    }
+    return true;
+  });
+}
+
+export function sortParks(parks, sort, dir = "asc") {
+  const sign = dir === "desc" ? -1 : 1;
+  const copy = [...parks];
+  // Score once per park, not once per comparison
+  const scores = sort === "risk" ? new Map(parks.map((p) => [p, scoreParkRisk(p).score])) : null;
+
+  copy.sort((a, b) => {
+    let d = 0;
+    if (sort === "spaces") {
+      // Missing counts always sink to the bottom
+      const sa = Number(a.billing_spaces), sb = Number(b.billing_spaces);
+      const fa = Number.isFinite(sa), fb = Number.isFinite(sb);
+      if (fa !== fb) return fa ? -1 : 1;
+      d = fa ? sa - sb : 0;
+    } else if (sort === "risk") {
+      d = scores.get(a) - scores.get(b);
+    }
+    // Name is the primary key for "name" and the tie-breaker otherwise
+    return sign * d || (sort === "name" ? sign : 1) * compareNames(a, b);
+  });
+
+  return copy;
+}
+
+// Distinct values for the dropdowns. Cities are narrowed to the chosen county.
+export function filterOptions(parks, county) {
+  const counties = new Map();
+  const cities = new Map();
+  const zones = new Map();
+  const c = countyKey(county);
+
+  for (const p of parks) {
+    // First spelling wins, as in the exposure groups, so a group's county is an option
+    if (p.county && !counties.has(countyKey(p.county))) counties.set(countyKey(p.county), p.county);
+    if (p.park_city && (!c || countyKey(p.county) === c)) cities.set(norm(p.park_city), p.park_city);
+    if (p.flood_zone) zones.set(norm(p.flood_zone), p.flood_zone);
+  }
+
+  const sorted = (m) =>
+    [...m.values()].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+
+  return { counties: sorted(counties), cities: sorted(cities), zones: sorted(zones) };
+}
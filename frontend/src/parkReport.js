@@ -0,0 +1,339 @@
+// src/parkReport.js
+// Printable per-community flood risk report: a self-contained HTML page
+// (one or two letter pages per park) with a static map, the FEMA zone, the
+// risk breakdown, community facts and nearby parks. Shared by the "Print
+// report" button, /api/parks/report and scripts/park-reports.js, so imports
+// here carry explicit .js extensions for Node.
+
+import { ZONE_CLASS_COLORS } from "./floodTiles.js";
+import { DEFAULT_NEARBY_KM, parksWithin } from "./nearby.js";
+import { DEFAULT_RISK_CONFIG, parkTier, scoreParkRisk, tierColor, tierLabel, zoneClass } from "./risk.js";
+
+// Rows in the Nearby parks table; the map shows every neighbour in frame
+export const NEARBY_LIMIT = 8;
+
+// Light basemap: prints well in grayscale, and the zone colors stay readable
+const BASEMAP_URL = "https://a.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png";
+const BASEMAP_ATTRIBUTION = "© OpenStreetMap contributors © CARTO";
+
+const MAP_WIDTH = 680;
+const MAP_HEIGHT = 340;
+const MAP_ZOOM = 15; // ~2.5 km across at Florida latitudes
+const TILE_SIZE = 256;
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function orDash(v) {
+  return v == null || v === "" ? "—" : esc(v);
+}
+
+function hasPoint(p) {
+  return (
+    p?.latitude != null &&
+    p?.longitude != null &&
+    Number.isFinite(Number(p.latitude)) &&
+    Number.isFinite(Number(p.longitude))
+  );
+}
+
+/**
+ * Other parks within radiusKm, nearest first, from a createParkIndex()
+ * index: the same query as the Nearby section in Community Details.
+ * @returns {Array<{ park, distance_m: number }>}
+ */
+export function nearbyParks(park, index, { radiusKm = DEFAULT_NEARBY_KM, getId }) {
+  if (!hasPoint(park)) return [];
+  const selfId = getId(park);
+  return parksWithin(index, Number(park.latitude), Number(park.longitude), radiusKm * 1000)
+    .filter((n) => n.id !== selfId)
+    .map((n) => ({ park: n.park, distance_m: n.distance_m }));
+}
+
+// ---- Static map -------------------------------------------------------------
+
+// Web Mercator world pixels at zoom z
+function project(lat, lon, z) {
+  const size = TILE_SIZE * 2 ** z;
+  const sin = Math.sin((Math.max(-85, Math.min(85, lat)) * Math.PI) / 180);
+  return [((lon + 180) / 360) * size, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size];
+}
+
+function ringsOf(geometry) {
+  if (geometry?.type === "Polygon") return geometry.coordinates;
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates.flat();
+  return [];
+}
+
+// Round "nice" scale bar length that fits in ~120 px
+function scaleBar(lat, z) {
+  const metersPerPx = (156543.03392 * Math.cos((lat * Math.PI) / 180)) / 2 ** z;
+  const target = metersPerPx * 120;
+  const nice = [100, 200, 250, 500, 1000, 2000].filter((m) => m <= target).pop() ?? 100;
+  return { meters: nice, px: nice / metersPerPx };
+}
+
+/**
+ * SVG snapshot centered on the park: basemap tiles, the NFHL polygon the
+ * park was matched to, nearby parks and a scale bar. Tiles are remote
+ * images; without a network the polygon and points still print.
+ */
+export function reportMapSvg(park, floodZone, nearby = [], { width = MAP_WIDTH, height = MAP_HEIGHT, zoom = MAP_ZOOM } = {}) {
+  if (!hasPoint(park)) {
+    return `<div class="pw-rMapEmpty">No coordinates on file for this park.</div>`;
+  }
+  const lat = Number(park.latitude);
+  const lon = Number(park.longitude);
+  const [cx, cy] = project(lat, lon, zoom);
+  const x0 = cx - width / 2;
+  const y0 = cy - height / 2;
+  const px = (la, lo) => {
+    const [x, y] = project(la, lo, zoom);
+    return [Math.round((x - x0) * 10) / 10, Math.round((y - y0) * 10) / 10];
+  };
+
+  const tiles = [];
+  const max = 2 ** zoom;
+  for (let tx = Math.floor(x0 / TILE_SIZE); tx <= Math.floor((x0 + width) / TILE_SIZE); tx++) {
+    for (let ty = Math.floor(y0 / TILE_SIZE); ty <= Math.floor((y0 + height) / TILE_SIZE); ty++) {
+      if (ty < 0 || ty >= max) continue;
+      const url = BASEMAP_URL.replace("{z}", zoom).replace("{x}", ((tx % max) + max) % max).replace("{y}", ty);
+      tiles.push(
+        `<image href="${esc(url)}" x="${tx * TILE_SIZE - x0}" y="${ty * TILE_SIZE - y0}" width="${TILE_SIZE}" height="${TILE_SIZE}"/>`
+      );
+    }
+  }
+
+  const feature = floodZone?.features?.[0] ?? null;
+  const summary = floodZone?.summary ?? null;
+  const color = ZONE_CLASS_COLORS[zoneClass(summary?.zone ?? park.flood_zone, summary?.subtype)] ?? ZONE_CLASS_COLORS.UNKNOWN;
+  const path = ringsOf(feature?.geometry)
+    .map((ring) => `M${ring.map(([lo, la]) => px(la, lo).join(" ")).join("L")}Z`)
+    .join("");
+  const polygon = path
+    ? `<path d="${path}" fill="${color}" fill-opacity="0.28" stroke="${color}" stroke-width="2" fill-rule="evenodd"/>`
+    : "";
+
+  const dots = nearby
+    .map(({ park: p }) => {
+      const [x, y] = px(Number(p.latitude), Number(p.longitude));
+      if (x < 0 || y < 0 || x > width || y > height) return "";
+      return `<circle cx="${x}" cy="${y}" r="5" fill="${tierColor(parkTier(p))}" stroke="#111827" stroke-width="1"/>`;
+    })
+    .join("");
+
+  const [sx, sy] = px(lat, lon);
+  const bar = scaleBar(lat, zoom);
+  const barLabel = bar.meters >= 1000 ? `${bar.meters / 1000} km` : `${bar.meters} m`;
+
+  return `<svg class="pw-rMap" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg" role="img" aria-label="Map of ${esc(park.park_name)}">
+<rect width="${width}" height="${height}" fill="#e5e7eb"/>
+${tiles.join("\n")}
+${polygon}
+${dots}
+<circle cx="${sx}" cy="${sy}" r="9" fill="none" stroke="#111827" stroke-width="3"/>
+<circle cx="${sx}" cy="${sy}" r="5" fill="${tierColor(scoreParkRisk(park, floodZone).tier)}" stroke="#fff" stroke-width="1.5"/>
+<rect x="10" y="${height - 28}" width="${Math.round(bar.px) + 12}" height="20" fill="#fff" fill-opacity="0.85"/>
+<line x1="16" y1="${height - 14}" x2="${16 + Math.round(bar.px)}" y2="${height - 14}" stroke="#111827" stroke-width="3"/>
+<text x="16" y="${height - 18}" font-size="10" fill="#111827">${barLabel}</text>
+<text x="${width - 6}" y="${height - 6}" font-size="9" fill="#374151" text-anchor="end">${esc(BASEMAP_ATTRIBUTION)}</text>
+</svg>`;
+}
+
+// ---- Report -----------------------------------------------------------------
+
+function kv(pairs) {
+  return `<dl class="pw-rKv">${pairs.map(([k, v]) => `<dt>${esc(k)}</dt><dd>${v}</dd>`).join("")}</dl>`;
+}
+
+function fmtDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? String(v) : d.toISOString().slice(0, 10);
+}
+
+function floodSection(park, floodZone, determination) {
+  const s = floodZone?.summary ?? null;
+  const m = floodZone?.meta ?? null;
+  const zone = s?.zone ?? park.flood_zone ?? null;
+  const cls = zoneClass(zone, s?.subtype);
+  const bfe = s?.bfe ?? park.flood_bfe ?? null;
+  const method = m?.method ?? park.flood_match_method ?? null;
+  const distance = m?.distance_m ?? park.flood_match_distance_m ?? null;
+
+  return `<section class="pw-rBlock">
+<h2>FEMA flood zone</h2>
+${kv([
+  ["Zone", `<strong>${orDash(zone)}</strong>${s?.subtype ? ` · ${esc(s.subtype)}` : ""}`],
+  ["Meaning", esc(DEFAULT_RISK_CONFIG.zoneClass.labels[cls] ?? cls)],
+  ["Special flood hazard area", s?.sfha == null ? (cls === "A" || cls === "V" ? "Yes" : "—") : s.sfha ? "Yes" : "No"],
+  ["Base flood elevation", bfe == null ? "None published" : `${esc(bfe)} ft`],
+  ["Match", method == null ? "—" : `${esc(method)}${distance != null && Number(distance) > 0 ? ` (${Math.round(distance)} m away)` : ""}`],
+  ["FIRM panel", orDash(determination?.firm_panel)],
+  ["Panel effective", orDash(determination?.effective_date)],
+])}
+</section>`;
+}
+
+function communitySection(park) {
+  return `<section class="pw-rBlock">
+<h2>Community</h2>
+${kv([
+  ["Permit", orDash(park.permit)],
+  ["County", orDash(park.county)],
+  ["Park type", orDash(park.park_type)],
+  ["Billing spaces", orDash(park.billing_spaces)],
+  ["Mobile home spaces", orDash(park.mh_spaces)],
+  ["RV spaces", orDash(park.rv_spaces)],
+  ["Location", hasPoint(park) ? `${Number(park.latitude).toFixed(5)}, ${Number(park.longitude).toFixed(5)}` : "—"],
+  ["Geocode", orDash(park.geocode_status)],
+])}
+</section>`;
+}
+
+function riskSection(risk) {
+  const { tiers } = DEFAULT_RISK_CONFIG;
+  const rows = risk.factors
+    .map(
+      (f) => `<tr><td>${esc(f.label)}</td><td>${orDash(f.value)}</td><td class="pw-rNum">${f.points} / ${f.max}</td><td>${esc(f.note)}</td></tr>`
+    )
+    .join("");
+  return `<section class="pw-rBlock pw-rWide">
+<h2>Why ${tierLabel(risk.tier)} · score ${risk.score}</h2>
+<table><thead><tr><th>Factor</th><th>Value</th><th class="pw-rNum">Points</th><th>Basis</th></tr></thead><tbody>${rows}</tbody></table>
+<p class="pw-rNote">Points add up to the score. ${tierLabel("yellow")} from ${tiers.yellow} points, ${tierLabel("red")} from ${tiers.red}; below ${tiers.yellow} is ${tierLabel("green")}.</p>
+</section>`;
+}
+
+function nearbySection(nearby, radiusKm) {
+  const shown = nearby.slice(0, NEARBY_LIMIT);
+  const body = shown.length
+    ? `<table><thead><tr><th>Park</th><th>City</th><th class="pw-rNum">Distance</th><th class="pw-rNum">Spaces</th><th>Zone</th><th>Risk</th></tr></thead><tbody>${shown
+        .map(
+          ({ park: p, distance_m }) =>
+            `<tr><td>${orDash(p.park_name)}</td><td>${orDash(p.park_city)}</td><td class="pw-rNum">${(distance_m / 1000).toFixed(1)} km</td><td class="pw-rNum">${orDash(p.billing_spaces)}</td><td>${orDash(p.flood_zone)}</td><td>${tierLabel(parkTier(p))}</td></tr>`
+        )
+        .join("")}</tbody></table>${
+        nearby.length > shown.length
+          ? `<p class="pw-rNote">The ${shown.length} nearest of ${nearby.length} parks within ${radiusKm} km.</p>`
+          : ""
+      }`
+    : `<p class="pw-rNote">No other licensed parks within ${radiusKm} km.</p>`;
+  return `<section class="pw-rBlock pw-rWide"><h2>Nearby parks</h2>${body}</section>`;
+}
+
+function footer(park, floodZone, determination, { source, generatedAt }) {
+  const s = floodZone?.summary ?? null;
+  const checked = fmtDate(determination?.checked_at ?? park.flood_checked_at);
+  const fema = [
+    "FEMA National Flood Hazard Layer",
+    s?.dfirm_id && `DFIRM ${esc(s.dfirm_id)}`,
+    s?.version_id && `version ${esc(s.version_id)}`,
+    floodZone?.meta?.stale && "cached result",
+    checked && `zone checked ${checked}`,
+  ].filter(Boolean);
+
+  return `<footer class="pw-rFooter">
+<div>Flood data: ${fema.join(", ")}. Park data: ${esc(source)}. Basemap ${esc(BASEMAP_ATTRIBUTION)}.</div>
+<div>Generated ${esc(fmtDate(generatedAt))} by ParkWatch. For information only; the effective FIRM is the official determination of flood zone.</div>
+</footer>`;
+}
+
+function reportArticle({ park, floodZone = null, nearby = [], determination = null }, opts) {
+  const risk = scoreParkRisk(park, floodZone);
+  const address = [park.park_address, [park.park_city, "FL", park.park_zip].filter(Boolean).join(" ")]
+    .filter(Boolean)
+    .join(", ");
+
+  return `<article class="pw-report">
+<header class="pw-rHeader">
+<div><h1>${orDash(park.park_name)}</h1><div class="pw-rSub">${esc(address)}</div></div>
+<div class="pw-rBadge" style="background:${tierColor(risk.tier)}">${tierLabel(risk.tier)}<span>flood risk</span></div>
+</header>
+<figure class="pw-rFigure">${reportMapSvg(park, floodZone, nearby)}</figure>
+<div class="pw-rGrid">
+${floodSection(park, floodZone, determination)}
+${communitySection(park)}
+${riskSection(risk)}
+${nearbySection(nearby, opts.nearbyKm)}
+</div>
+${footer(park, floodZone, determination, opts)}
+</article>`;
+}
+
+const REPORT_CSS = `
+@page { size: letter; margin: 0.5in; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 12px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #111827; background: #f3f4f6; }
+.pw-rToolbar { position: sticky; top: 0; padding: 8px 16px; background: #111827; color: #fff; display: flex; gap: 12px; align-items: center; }
+.pw-rToolbar button { font: inherit; padding: 4px 12px; cursor: pointer; }
+.pw-report { max-width: 7.5in; margin: 16px auto; padding: 0.4in; background: #fff; }
+.pw-rHeader { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; border-bottom: 2px solid #111827; padding-bottom: 8px; }
+h1 { font-size: 20px; margin: 0; }
+h2 { font-size: 13px; margin: 0 0 6px; text-transform: uppercase; letter-spacing: 0.04em; color: #374151; }
+.pw-rSub { color: #4b5563; }
+.pw-rBadge { color: #111827; font-weight: 700; font-size: 16px; padding: 6px 12px; border-radius: 6px; text-align: center; }
+.pw-rBadge span { display: block; font-size: 9px; font-weight: 400; text-transform: uppercase; }
+.pw-rFigure { margin: 12px 0; }
+.pw-rMap { width: 100%; height: auto; border: 1px solid #d1d5db; display: block; }
+.pw-rMapEmpty { padding: 40px; text-align: center; border: 1px dashed #9ca3af; color: #6b7280; }
+.pw-rGrid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px 20px; }
+.pw-rWide { grid-column: 1 / -1; }
+.pw-rBlock { break-inside: avoid; }
+.pw-rKv { display: grid; grid-template-columns: auto 1fr; gap: 2px 10px; margin: 0; }
+.pw-rKv dt { color: #6b7280; }
+.pw-rKv dd { margin: 0; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+th { font-weight: 600; color: #374151; }
+.pw-rNum { text-align: right; white-space: nowrap; }
+.pw-rNote { color: #4b5563; margin: 6px 0 0; }
+.pw-rFooter { margin-top: 14px; padding-top: 6px; border-top: 1px solid #d1d5db; font-size: 10px; color: #4b5563; }
+@media print {
+  body { background: #fff; }
+  .pw-rToolbar { display: none; }
+  .pw-report { margin: 0; padding: 0; max-width: none; break-after: page; }
+  .pw-report:last-child { break-after: auto; }
+  .pw-rBadge { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+
+/**
+ * A complete HTML document with one report per entry, each starting on a
+ * new page when printed.
+ * @param {Array<{ park, floodZone?, nearby?, determination? }>} entries
+ *   floodZone: an /api/fema-floodzone response; nearby: from nearbyParks();
+ *   determination: the latest flood_zone_history row (FIRM panel and date)
+ * @param {{ title?: string, source: string, generatedAt?: Date|string, nearbyKm?: number }} opts
+ *   nearbyKm: the radius `nearby` was found in
+ */
+export function renderParkReports(entries, { title, source, generatedAt = new Date(), nearbyKm = DEFAULT_NEARBY_KM }) {
+  const docTitle = title ?? (entries.length === 1 ? `${entries[0].park.park_name ?? "Park"} flood risk report` : "Flood risk reports");
+  const opts = { source, generatedAt, nearbyKm };
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(docTitle)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<div class="pw-rToolbar"><span>${esc(docTitle)}</span><button type="button" onclick="window.print()">Print / save as PDF</button></div>
+${entries.map((e) => reportArticle(e, opts)).join("\n")}
+</body>
+</html>
+`;
+}
+
+/** File name for one park's report, e.g. "1234-sunset-mhp.html". */
+export function reportFileName(park) {
+  const slug = String(park.park_name ?? "park")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  const id = String(park.permit ?? park.id ?? "").replace(/[^A-Za-z0-9-]+/g, "");
+  return `${[id, slug].filter(Boolean).join("-")}.html`;
+}
@@ -0,0 +1,114 @@
+// src/parkSources.js
+// Where the app's park rows come from, and one normalized shape for all of them.
+//
+//   VITE_PARKS_SOURCE=api     (default) /api/parks, which reads the database;
+//                             falls back to the static file if unreachable
+//   VITE_PARKS_SOURCE=static  only the bundled GeoJSON (fully offline)
+//   VITE_PARKS_STATIC_URL     static file to use (default /FL_Parks_2025.geojson)
+//
+// The browser never connects to the database itself; "database" means the API.
+
+import { fetchParks } from "./parksApi";
+
+const env = import.meta.env ?? {};
+
+export const PARKS_SOURCE = env.VITE_PARKS_SOURCE ?? "api";
+export const STATIC_PARKS_URL = env.VITE_PARKS_STATIC_URL ?? "/FL_Parks_2025.geojson";
+
+// Everything MapView / ParkDetails can show
+const API_FIELDS = [
+  "permit",
+  "park_name",
+  "park_address",
+  "park_city",
+  "park_zip",
+  "county",
+  "park_type",
+  "billing_spaces",
+  "mh_spaces",
+  "rv_spaces",
+  "latitude",
+  "longitude",
+  "geocode_status",
+  "flood_zone",
+  "flood_risk",
+  "flood_bfe",
+  "flood_match_method",
+];
+
+function str(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s === "" ? null : s;
+}
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Maps any park record onto the fl_parks column names.
+ * Handles fl_parks rows, FL_Parks_2025.geojson properties and the older
+ * parks.geojson (upper-case name/address/city/zip, lots, status).
+ * `geometry` (a GeoJSON Point) fills in missing latitude/longitude.
+ */
+export function normalizePark(raw, geometry = null) {
+  const [gLon, gLat] = geometry?.type === "Point" ? geometry.coordinates : [];
+
+  return {
+    // FL_Parks_2025.geojson has no permit column; its unique `id` is the stable key there
+    permit: str(raw.permit) ?? str(raw.id),
+    park_name: str(raw.park_name ?? raw.name),
+    park_address: str(raw.park_address ?? raw.address),
+    park_city: str(raw.park_city ?? raw.city),
+    park_zip: str(raw.park_zip ?? raw.zip),
+    county: str(raw.county),
+    park_type: str(raw.park_type),
+    billing_spaces: num(raw.billing_spaces ?? raw.lots),
+    mh_spaces: num(raw.mh_spaces),
+    rv_spaces: num(raw.rv_spaces),
+    latitude: num(raw.latitude) ?? num(gLat),
+    longitude: num(raw.longitude) ?? num(gLon),
+    geocode_status: str(raw.geocode_status),
+    flood_zone: str(raw.flood_zone),
+    flood_risk: num(raw.flood_risk),
+    flood_bfe: num(raw.flood_bfe),
+    flood_match_method: str(raw.flood_match_method),
+    status: str(raw.status),
+  };
+}
+
+export function parksFromFeatureCollection(fc) {
+  return (fc?.features ?? [])
+    .map((f) => normalizePark(f.properties ?? {}, f.geometry))
+    .filter((p) => p.latitude != null && p.longitude != null);
+}
+
+export async function loadStaticParks(url = STATIC_PARKS_URL, { signal } = {}) {
+  const r = await fetch(url, { signal });
+  if (!r.ok) throw new Error(`${url} failed: ${r.status}`);
+  return parksFromFeatureCollection(await r.json());
+}
+
+/**
+ * Loads parks from the configured source.
+ * Resolves to { parks, source: "api" | "static", fallbackReason? };
+ * fallbackReason is set when the API failed and the static file was used.
+ */
+export async function loadParks({ source = PARKS_SOURCE, signal } = {}) {
+  if (source === "static") {
+    return { parks: await loadStaticParks(STATIC_PARKS_URL, { signal }), source: "static" };
+  }
+
+  try {
+    const rows = await fetchParks({ fields: API_FIELDS, signal });
+    return { parks: rows.map((r) => normalizePark(r)), source: "api" };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn("Parks API unavailable, using static data:", err);
+    const parks = await loadStaticParks(STATIC_PARKS_URL, { signal });
+    return { parks, source: "static", fallbackReason: String(err?.message ?? err) };
+  }
+}
@@ -0,0 +1,124 @@
+// src/parksApi.js
+// Browser client for the /api/parks, /api/geocode-corrections,
+// /api/flood-history, /api/watchlists and /api/watch-notifications routes.
+// The database connection string lives only on the server.
+
+const PAGE_SIZE = 2000;
+
+async function getJson(url, signal) {
+  const r = await fetch(url, { headers: { Accept: "application/json" }, signal });
+  if (!r.ok) throw new Error(`${url} failed: ${r.status}`);
+  return r.json();
+}
+
+/**
+ * Load every park matching the filters, following pagination.
+ * @param {{ fields?: string[], county?: string, bbox?: number[], signal?: AbortSignal }} [opts]
+ */
+export async function fetchParks({ fields, county, bbox, signal } = {}) {
+  const rows = [];
+
+  for (let page = 1; ; page++) {
+    const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+    if (fields?.length) params.set("fields", fields.join(","));
+    if (county) params.set("county", county);
+    if (bbox) params.set("bbox", bbox.join(","));
+
+    const body = await getJson(`/api/parks?${params}`, signal);
+    rows.push(...(body.data ?? []));
+
+    if (rows.length >= body.total || (body.data ?? []).length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+// Single park by permit; resolves to null when it doesn't exist
+export async function fetchPark(permit, { signal } = {}) {
+  const r = await fetch(`/api/parks/${encodeURIComponent(permit)}`, {
+    headers: { Accept: "application/json" },
+    signal,
+  });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`Park lookup failed: ${r.status}`);
+  return r.json();
+}
+
+// Audit trail of coordinate corrections for one park, newest first
+export async function fetchGeocodeCorrections(permit, { signal } = {}) {
+  const body = await getJson(`/api/geocode-corrections?permit=${encodeURIComponent(permit)}`, signal);
+  return body.data ?? [];
+}
+
+// Flood-zone determinations for one park, newest first (`changed` marks remappings)
+export async function fetchFloodHistory(permit, { signal } = {}) {
+  const body = await getJson(`/api/flood-history?permit=${encodeURIComponent(permit)}`, signal);
+  return body.data ?? [];
+}
+
+// Parks whose risk tier moved since `since` (YYYY-MM-DD), optionally in one county
+export async function fetchTierChanges({ since, county, signal } = {}) {
+  const params = new URLSearchParams({ since });
+  if (county) params.set("county", county);
+  const body = await getJson(`/api/flood-history/changes?${params}`, signal);
+  return body.data ?? [];
+}
+
+/**
+ * Saves a coordinate correction; resolves to { correction, flood } where
+ * flood is the fresh flood-zone result at the new point (or { error }).
+ * Rejects with the API's error message (bad token, validation, …).
+ */
+export async function saveGeocodeCorrection({ permit, latitude, longitude, reviewer, reason }, token) {
+  const r = await fetch("/api/geocode-corrections", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", "X-Review-Token": token },
+    body: JSON.stringify({ permit, latitude, longitude, reviewer, reason }),
+  });
+  const body = await r.json().catch(() => null);
+  if (!r.ok) throw new Error(body?.error ?? `Correction failed: ${r.status}`);
+  return body;
+}
+
+// JSON request that rejects with the API's error message
+async function sendJson(url, method, payload) {
+  const r = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    body: payload ? JSON.stringify(payload) : undefined,
+  });
+  if (r.status === 204) return null;
+  const body = await r.json().catch(() => null);
+  if (!r.ok) throw new Error(body?.error ?? `${method} ${url} failed: ${r.status}`);
+  return body;
+}
+
+// The user's watchlists: [{ id, name, created_at, permits }]
+export async function fetchWatchlists(user, { signal } = {}) {
+  const body = await getJson(`/api/watchlists?user=${encodeURIComponent(user)}`, signal);
+  return body.data ?? [];
+}
+
+export function createWatchlist(user, name) {
+  return sendJson("/api/watchlists", "POST", { user, name });
+}
+
+// changes: { name?, add?, remove? } (add / remove: permit or permits)
+export function updateWatchlist(user, id, changes) {
+  return sendJson(`/api/watchlists/${id}`, "PATCH", { user, ...changes });
+}
+
+export function deleteWatchlist(user, id) {
+  return sendJson(`/api/watchlists/${id}?user=${encodeURIComponent(user)}`, "DELETE");
+}
+
+// Unacknowledged flood changes on watched parks (see watchDigest.js)
+export async function fetchWatchNotifications(user, { signal } = {}) {
+  const body = await getJson(`/api/watch-notifications?user=${encodeURIComponent(user)}`, signal);
+  return body.data ?? [];
+}
+
+// Marks changes as seen: all of them, or only `permits`
+export function acknowledgeWatchNotifications(user, permits = null) {
+  return sendJson("/api/watch-notifications", "POST", { user, ...(permits ? { permits } : {}) });
+}
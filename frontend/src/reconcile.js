@@ -0,0 +1,217 @@
+// src/reconcile.js
+// Matches park records across two inventories (e.g. the older parks.geojson
+// and FL_Parks_2025.geojson) and describes how the stock changed.
+//
+// Candidates for each old record come from a coarse lat/lon grid plus exact
+// normalized-address and normalized-name hits anywhere in the state. Each
+// pair gets a 0..1 score from name similarity, address similarity and
+// distance; pairs are then accepted greedily, best score first, one-to-one.
+
+import { distanceMeters } from "./geo.js";
+
+const GRID_DEG = 0.01; // ~1.1 km cells
+const MAX_MATCH_DISTANCE_M = 2000; // proximity score hits 0 here
+export const MOVED_THRESHOLD_M = 200;
+export const MIN_MATCH_SCORE = 0.6;
+
+const NAME_STOPWORDS = new Set([
+  "the", "of", "and", "a", "at", "inc", "llc", "co", "op", "coop", "corp", "assn",
+  "mobile", "home", "homes", "park", "mhp", "mh", "trailer", "community",
+]);
+
+const ADDRESS_ABBREVIATIONS = {
+  street: "st", road: "rd", avenue: "ave", av: "ave", drive: "dr", boulevard: "blvd",
+  lane: "ln", court: "ct", circle: "cir", highway: "hwy", parkway: "pkwy", place: "pl",
+  terrace: "ter", trail: "trl", north: "n", south: "s", east: "e", west: "w",
+  northeast: "ne", northwest: "nw", southeast: "se", southwest: "sw",
+  us: "us", state: "sr", "u.s.": "us",
+};
+
+function tokens(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+export function normalizeName(name) {
+  return tokens(name).filter((t) => !NAME_STOPWORDS.has(t)).join(" ");
+}
+
+export function normalizeAddress(address) {
+  // Drop unit / lot suffixes ("# 12", "lot 5", "unit b"). "#" isn't a word
+  // character, so it can't sit inside the \b anchors the words need
+  const base = String(address ?? "").replace(/\s*(#|\b(lot|unit|apt|ste|suite)\b).*$/i, "");
+  return tokens(base)
+    .map((t) => ADDRESS_ABBREVIATIONS[t] ?? t)
+    .join(" ");
+}
+
+function bigrams(s) {
+  const out = new Map();
+  const str = ` ${s} `;
+  for (let i = 0; i < str.length - 1; i++) {
+    const g = str.slice(i, i + 2);
+    out.set(g, (out.get(g) ?? 0) + 1);
+  }
+  return out;
+}
+
+/** Sørensen–Dice similarity on character bigrams, 0..1. */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const A = bigrams(a), B = bigrams(b);
+  let overlap = 0, total = 0;
+  for (const [g, n] of A) {
+    overlap += Math.min(n, B.get(g) ?? 0);
+    total += n;
+  }
+  for (const n of B.values()) total += n;
+  return (2 * overlap) / total;
+}
+
+function cellKey(lat, lon) {
+  return `${Math.floor(lat / GRID_DEG)}:${Math.floor(lon / GRID_DEG)}`;
+}
+
+function prepare(parks) {
+  return parks.map((park, index) => ({
+    park,
+    index,
+    name: normalizeName(park.park_name),
+    address: normalizeAddress(park.park_address),
+    lat: Number(park.latitude),
+    lon: Number(park.longitude),
+  }));
+}
+
+function indexBy(items, keyFn) {
+  const m = new Map();
+  for (const it of items) {
+    const k = keyFn(it);
+    if (!k) continue;
+    if (!m.has(k)) m.set(k, []);
+    m.get(k).push(it);
+  }
+  return m;
+}
+
+function scorePair(a, b) {
+  const nameSim = similarity(a.name, b.name);
+  const addressSim = similarity(a.address, b.address);
+  const hasCoords = [a.lat, a.lon, b.lat, b.lon].every(Number.isFinite);
+  const distance_m = hasCoords ? distanceMeters(a.lat, a.lon, b.lat, b.lon) : null;
+  const proximity = distance_m == null ? 0 : Math.max(0, 1 - distance_m / MAX_MATCH_DISTANCE_M);
+
+  // Same street address in the same place is near-conclusive on its own
+  let score = 0.45 * nameSim + 0.35 * addressSim + 0.2 * proximity;
+  if (addressSim === 1 && proximity > 0) score = Math.max(score, 0.85);
+
+  return { score, nameSim, addressSim, distance_m };
+}
+
+/**
+ * Pairs records from `oldParks` with records from `newParks` (both in the
+ * normalized fl_parks shape from parkSources.normalizePark).
+ * Returns [{ old, new, score, nameSim, addressSim, distance_m }] plus the
+ * unmatched leftovers on each side.
+ */
+export function matchParks(oldParks, newParks, { minScore = MIN_MATCH_SCORE } = {}) {
+  const olds = prepare(oldParks);
+  const news = prepare(newParks);
+
+  const byCell = indexBy(news, (n) => (Number.isFinite(n.lat) ? cellKey(n.lat, n.lon) : null));
+  const byAddress = indexBy(news, (n) => n.address);
+  const byName = indexBy(news, (n) => n.name);
+
+  const pairs = [];
+  for (const o of olds) {
+    const candidates = new Set([...(byAddress.get(o.address) ?? []), ...(byName.get(o.name) ?? [])]);
+
+    if (Number.isFinite(o.lat)) {
+      const r = Math.floor(o.lat / GRID_DEG), c = Math.floor(o.lon / GRID_DEG);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          for (const n of byCell.get(`${r + dr}:${c + dc}`) ?? []) candidates.add(n);
+        }
+      }
+    }
+
+    for (const n of candidates) {
+      const s = scorePair(o, n);
+      if (s.score >= minScore) pairs.push({ o, n, ...s });
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedOld = new Set(), usedNew = new Set();
+  const matches = [];
+  for (const p of pairs) {
+    if (usedOld.has(p.o.index) || usedNew.has(p.n.index)) continue;
+    usedOld.add(p.o.index);
+    usedNew.add(p.n.index);
+    matches.push({
+      old: p.o.park,
+      new: p.n.park,
+      score: Math.round(p.score * 100) / 100,
+      nameSim: Math.round(p.nameSim * 100) / 100,
+      addressSim: Math.round(p.addressSim * 100) / 100,
+      distance_m: p.distance_m == null ? null : Math.round(p.distance_m),
+    });
+  }
+
+  return {
+    matches,
+    unmatchedOld: olds.filter((o) => !usedOld.has(o.index)).map((o) => o.park),
+    unmatchedNew: news.filter((n) => !usedNew.has(n.index)).map((n) => n.park),
+  };
+}
+
+/**
+ * Year-over-year diff between two inventories.
+ * @returns {{ summary, added, removed, lotChanges, moved, statuses, matches }}
+ */
+export function diffInventories(oldParks, newParks, opts = {}) {
+  const movedThreshold = opts.movedThresholdM ?? MOVED_THRESHOLD_M;
+  const { matches, unmatchedOld, unmatchedNew } = matchParks(oldParks, newParks, opts);
+
+  const lotChanges = matches
+    .filter((m) => m.old.billing_spaces != null && m.new.billing_spaces != null)
+    .filter((m) => m.old.billing_spaces !== m.new.billing_spaces)
+    .map((m) => ({ ...m, delta: m.new.billing_spaces - m.old.billing_spaces }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const moved = matches
+    .filter((m) => m.distance_m != null && m.distance_m > movedThreshold)
+    .sort((a, b) => b.distance_m - a.distance_m);
+
+  // Old statuses (e.g. DELINQUENT) carried over to the matching new record
+  const statuses = matches.filter((m) => m.old.status);
+
+  const sum = (list, pick) => list.reduce((s, p) => s + (Number(pick(p)) || 0), 0);
+
+  return {
+    summary: {
+      old_total: oldParks.length,
+      new_total: newParks.length,
+      matched: matches.length,
+      added: unmatchedNew.length,
+      removed: unmatchedOld.length,
+      lot_changes: lotChanges.length,
+      moved: moved.length,
+      statuses: statuses.length,
+      spaces_old: sum(oldParks, (p) => p.billing_spaces),
+      spaces_new: sum(newParks, (p) => p.billing_spaces),
+    },
+    added: unmatchedNew,
+    removed: unmatchedOld,
+    lotChanges,
+    moved,
+    statuses,
+    matches,
+  };
+}
@@ -0,0 +1,100 @@
+// src/regions.js
+// User-drawn selection regions (polygon, rectangle, circle) and the named
+// shapes saved in localStorage so they can be reloaded later.
+//
+// Region shape (Leaflet [lat, lon] order throughout):
+//   { type: "polygon",   name?, coordinates: [[lat, lon], …] }
+//   { type: "rectangle", name?, bounds: [[south, west], [north, east]] }
+//   { type: "circle",    name?, center: [lat, lon], radius_m }
+
+import { METERS_PER_MILE, distanceMeters, pointInLatLngRing } from "./geo";
+
+const STORAGE_KEY = "parkwatch.savedRegions";
+
+export const REGION_TYPES = {
+  polygon: { label: "Polygon" },
+  rectangle: { label: "Rectangle" },
+  circle: { label: "Circle" },
+};
+
+function isLatLng(v) {
+  return Array.isArray(v) && v.length === 2 && v.every(Number.isFinite);
+}
+
+/** True for a complete, well-formed region (used to validate saved entries). */
+export function isValidRegion(r) {
+  if (!r || typeof r !== "object") return false;
+  if (r.type === "polygon") return Array.isArray(r.coordinates) && r.coordinates.length >= 3 && r.coordinates.every(isLatLng);
+  if (r.type === "rectangle") return Array.isArray(r.bounds) && r.bounds.length === 2 && r.bounds.every(isLatLng);
+  if (r.type === "circle") return isLatLng(r.center) && Number.isFinite(r.radius_m) && r.radius_m > 0;
+  return false;
+}
+
+export function pointInRegion(lat, lon, region) {
+  switch (region.type) {
+    case "polygon":
+      return pointInLatLngRing(lat, lon, region.coordinates);
+    case "rectangle": {
+      const [[s, w], [n, e]] = region.bounds;
+      return lat >= Math.min(s, n) && lat <= Math.max(s, n) && lon >= Math.min(w, e) && lon <= Math.max(w, e);
+    }
+    case "circle":
+      return distanceMeters(lat, lon, region.center[0], region.center[1]) <= region.radius_m;
+    default:
+      return false;
+  }
+}
+
+export function parksInRegion(parks, region) {
+  if (!region) return parks;
+  return parks.filter((p) => {
+    const lat = Number(p.latitude);
+    const lon = Number(p.longitude);
+    return Number.isFinite(lat) && Number.isFinite(lon) && pointInRegion(lat, lon, region);
+  });
+}
+
+/** Short human description, e.g. "Circle · 10 mi radius". */
+export function describeRegion(region) {
+  const label = REGION_TYPES[region.type]?.label ?? region.type;
+  if (region.type === "circle") {
+    const mi = region.radius_m / METERS_PER_MILE;
+    return `${label} · ${mi >= 10 ? Math.round(mi) : mi.toFixed(1)} mi radius`;
+  }
+  if (region.type === "polygon") return `${label} · ${region.coordinates.length} points`;
+  return label;
+}
+
+// ---- Saved shapes ----------------------------------------------------------
+// Storage can be unavailable (private mode, quota); saving then just fails
+// quietly and the list stays empty.
+
+export function loadSavedRegions() {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(list) ? list.filter((r) => r?.name && isValidRegion(r)) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeSavedRegions(list) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn("Could not save regions:", e);
+  }
+  return list;
+}
+
+/** Saves (or replaces, by name) a region; returns the updated list. */
+export function saveRegion(name, region) {
+  const trimmed = name.trim();
+  const entry = { ...region, name: trimmed, saved_at: new Date().toISOString() };
+  const rest = loadSavedRegions().filter((r) => r.name !== trimmed);
+  return writeSavedRegions([...rest, entry].sort((a, b) => a.name.localeCompare(b.name)));
+}
+
+export function deleteSavedRegion(name) {
+  return writeSavedRegions(loadSavedRegions().filter((r) => r.name !== name));
+}
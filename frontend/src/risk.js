@@ -1,19 +1,190 @@
 // src/risk.js
-// Single source of truth for flood risk tiering.
+// Single source of truth for flood risk scoring and tiering.
+//
+// A park's score is the sum of per-factor points:
+//   zone      - FEMA zone class (V/VE > A/AE/AO > shaded X > X)
+//   bfe       - static base flood elevation above `startFeet`
+//   boundary  - outside the SFHA but within `withinMeters` of an A/V polygon
+//   size      - community size (billing_spaces), i.e. people exposed
+// Weights and tier cutoffs live in riskModel.json; pass a different config
+// object to any function here to try alternatives.
 
+import DEFAULT_RISK_CONFIG from "./riskModel.json" with { type: "json" };
+
+export { DEFAULT_RISK_CONFIG };
+
+const TIER_RISK = { green: 1, yellow: 2, red: 3 };
+
+/**
+ * Stored flood_risk (1/2/3) → tier. Used for values already in fl_parks;
+ * new values come from scoreParkRisk() via floodRiskFromTier().
+ */
 export function floodTier(flood_risk) {
   const r = Number(flood_risk);
 
   // Treat unknown/missing conservatively.
   if (!Number.isFinite(r)) return "yellow";
 
-  // IMPORTANT: Adjust these thresholds to your real scale.
-  // If your flood_risk is 1=green, 2=yellow, 3=red, this is correct:
   if (r >= 3) return "red";
   if (r >= 2) return "yellow";
   return "green";
 }
 
+// Tier → flood_risk number as stored in fl_parks
+export function floodRiskFromTier(tier) {
+  return TIER_RISK[tier] ?? null;
+}
+
+/**
+ * FEMA zone code (+ optional ZONE_SUBTY) → "V" | "A" | "X_SHADED" | "X" | "UNKNOWN".
+ * Legacy B/C zones map to shaded X / X.
+ */
+export function zoneClass(zone, subtype) {
+  const z = String(zone ?? "").trim().toUpperCase();
+  if (!z) return "UNKNOWN";
+  if (z.startsWith("V")) return "V";
+  if (z.startsWith("A")) return "A";
+  if (z === "B" || z === "X500") return "X_SHADED";
+  if (z === "X") {
+    return /0\.2 PCT|SHADED/i.test(String(subtype ?? "")) ? "X_SHADED" : "X";
+  }
+  if (z === "C") return "X";
+  return "UNKNOWN"; // D, OPEN WATER, AREA NOT INCLUDED, …
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function zoneFactor(park, nfhl, cfg) {
+  const summary = nfhl?.summary;
+  let cls;
+  let value;
+
+  if (summary?.zone) {
+    cls = zoneClass(summary.zone, summary.subtype);
+    value = summary.subtype ? `${summary.zone} (${summary.subtype})` : summary.zone;
+  } else if (park?.flood_zone) {
+    cls = zoneClass(park.flood_zone);
+    value = String(park.flood_zone);
+  } else {
+    // Nothing but a stored 1/2/3 (or nothing at all). Number(null) and
+    // Number("") are 0, which would score a park with no data as LOW
+    const r = park?.flood_risk == null || park.flood_risk === "" ? NaN : Number(park.flood_risk);
+    cls = Number.isFinite(r)
+      ? cfg.legacyRiskClass[String(floodRiskFromTier(floodTier(r)))] ?? "UNKNOWN"
+      : "UNKNOWN";
+    value = Number.isFinite(r) ? `stored risk ${r}` : null;
+  }
+
+  return {
+    key: "zone",
+    label: "FEMA zone",
+    value,
+    points: cfg.zoneClass.points[cls] ?? 0,
+    max: Math.max(...Object.values(cfg.zoneClass.points)),
+    note: cfg.zoneClass.labels[cls] ?? cls,
+    zoneClass: cls,
+  };
+}
+
+function bfeFactor(park, nfhl, cfg) {
+  const bfe = Number(nfhl?.summary?.bfe ?? park?.flood_bfe);
+  const { startFeet, pointsPerFoot, maxPoints } = cfg.bfe;
+  const known = nfhl?.summary?.bfe != null || park?.flood_bfe != null;
+
+  if (!known || !Number.isFinite(bfe)) {
+    return { key: "bfe", label: "Base flood elevation", value: null, points: 0, max: maxPoints, note: "No static BFE" };
+  }
+
+  const points = Math.min(maxPoints, Math.max(0, (bfe - startFeet) * pointsPerFoot));
+  return {
+    key: "bfe",
+    label: "Base flood elevation",
+    value: `${bfe} ft`,
+    points: round1(points),
+    max: maxPoints,
+    note: points > 0 ? `${round1(bfe - startFeet)} ft above ${startFeet} ft` : `At or below ${startFeet} ft`,
+  };
+}
+
+function boundaryFactor(zone, nfhl, cfg) {
+  const { withinMeters, maxPoints } = cfg.boundary;
+  const base = { key: "boundary", label: "Distance to SFHA", max: maxPoints };
+
+  if (zone.zoneClass === "A" || zone.zoneClass === "V") {
+    return { ...base, value: "inside", points: 0, note: "Already scored as SFHA" };
+  }
+
+  const candidates = nfhl?.meta?.candidates;
+  if (!Array.isArray(candidates)) {
+    return { ...base, value: null, points: 0, note: "Not assessed" };
+  }
+
+  const sfha = candidates
+    .filter((c) => ["A", "V"].includes(zoneClass(c.zone, c.subtype)))
+    .map((c) => Number(c.distance_m))
+    .filter(Number.isFinite);
+  const d = sfha.length ? Math.min(...sfha) : Number.POSITIVE_INFINITY;
+
+  if (d > withinMeters) {
+    return { ...base, value: Number.isFinite(d) ? `${Math.round(d)} m` : null, points: 0, note: `No SFHA within ${withinMeters} m` };
+  }
+
+  return {
+    ...base,
+    value: `${Math.round(d)} m`,
+    points: round1(maxPoints * (1 - d / withinMeters)),
+    note: `SFHA polygon within ${withinMeters} m`,
+  };
+}
+
+function sizeFactor(park, cfg) {
+  const { fullAtSpaces, maxPoints } = cfg.size;
+  const spaces = Number(park?.billing_spaces);
+  if (!Number.isFinite(spaces) || spaces <= 0) {
+    return { key: "size", label: "Community size", value: null, points: 0, max: maxPoints, note: "Space count unknown" };
+  }
+  return {
+    key: "size",
+    label: "Community size",
+    value: `${spaces} spaces`,
+    points: round1(maxPoints * Math.min(1, spaces / fullAtSpaces)),
+    max: maxPoints,
+    note: spaces >= fullAtSpaces ? `${fullAtSpaces}+ spaces` : `Scaled to ${fullAtSpaces} spaces`,
+  };
+}
+
+export function tierForScore(score, config = DEFAULT_RISK_CONFIG) {
+  if (score >= config.tiers.red) return "red";
+  if (score >= config.tiers.yellow) return "yellow";
+  return "green";
+}
+
+/**
+ * Scores one park. `nfhl` is the optional /api/fema-floodzone response
+ * (summary + meta); without it the zone comes from park.flood_zone and the
+ * BFE / boundary factors only use what is stored on the park.
+ *
+ * @returns {{ score: number, tier: string, factors: Array<{ key, label, value, points, max, note }> }}
+ */
+export function scoreParkRisk(park, nfhl = null, config = DEFAULT_RISK_CONFIG) {
+  const zone = zoneFactor(park, nfhl, config);
+  const factors = [zone, bfeFactor(park, nfhl, config), boundaryFactor(zone, nfhl, config), sizeFactor(park, config)];
+  const score = round1(factors.reduce((sum, f) => sum + f.points, 0));
+  return { score, tier: tierForScore(score, config), factors };
+}
+
+// Tier for list / map rendering
+export function parkTier(park, config = DEFAULT_RISK_CONFIG) {
+  return scoreParkRisk(park, null, config).tier;
+}
+
+// Share of a park's spaces counted as "at risk" (heat layer weighting)
+export function tierWeight(tier, config = DEFAULT_RISK_CONFIG) {
+  return config.tierWeights[tier] ?? config.tierWeights.yellow;
+}
+
 export function tierColor(tier) {
   return (
     {
@@ -23,3 +194,9 @@ export function tierColor(tier) {
     }[tier] ?? "#eab308"
   );
 }
+
+export function tierLabel(tier) {
+  if (tier === "green") return "LOW";
+  if (tier === "red") return "HIGH";
+  return "MEDIUM";
+}
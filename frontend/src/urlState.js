@@ -0,0 +1,76 @@
+// src/urlState.js
+// Shareable URL state: selected park, map viewport and list filters.
+//
+//   /?park=<permit>&z=12&c=27.9,-82.4&county=Pinellas&tier=red,yellow
+//   /park/<permit>            (opens straight to that community)
+//
+// Defaults are left out of the URL so links stay short.
+
+import { DEFAULT_FILTERS, TIERS } from "./parkFilters";
+
+const PARK_PATH = /^\/park\/([^/]+)\/?$/;
+
+// URL param → filters key (plain string filters)
+const FILTER_PARAMS = {
+  q: "text",
+  county: "county",
+  city: "city",
+  zone: "zone",
+  min: "minSpaces",
+  max: "maxSpaces",
+  sort: "sort",
+  dir: "sortDir",
+};
+
+function parseView(params) {
+  const zoom = Number(params.get("z"));
+  const [lat, lon] = String(params.get("c") ?? "").split(",").map(Number);
+  if (!Number.isFinite(zoom) || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return { center: [lat, lon], zoom };
+}
+
+/**
+ * @returns {{ parkId: string|null, view: { center: [number, number], zoom: number }|null, filters: object }}
+ */
+export function readUrlState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  const pathMatch = location.pathname.match(PARK_PATH);
+
+  const filters = { ...DEFAULT_FILTERS };
+  for (const [param, key] of Object.entries(FILTER_PARAMS)) {
+    const v = params.get(param);
+    if (v != null) filters[key] = v;
+  }
+  const tiers = params.get("tier");
+  if (tiers) filters.tiers = tiers.split(",").filter((t) => TIERS.includes(t));
+
+  return {
+    parkId: pathMatch ? decodeURIComponent(pathMatch[1]) : params.get("park"),
+    view: parseView(params),
+    filters,
+  };
+}
+
+/** Query-string URL for the given state (always on "/", also for /park/ links). */
+export function buildUrl({ parkId, view, filters }) {
+  const params = new URLSearchParams();
+  if (parkId) params.set("park", parkId);
+
+  if (view) {
+    params.set("z", String(view.zoom));
+    const [lat, lon] = view.center.map((n) => Number(n.toFixed(5)));
+    params.set("c", `${lat},${lon}`);
+  }
+
+  if (filters) {
+    for (const [param, key] of Object.entries(FILTER_PARAMS)) {
+      const v = filters[key];
+      if (v !== "" && v != null && v !== DEFAULT_FILTERS[key]) params.set(param, String(v));
+    }
+    if (filters.tiers?.length) params.set("tier", filters.tiers.join(","));
+  }
+
+  // Commas are legal in a query string; keep "c=27.9,-82.4" readable
+  const qs = params.toString().replace(/%2C/gi, ",");
+  return qs ? `/?${qs}` : "/";
+}
@@ -0,0 +1,114 @@
+// src/useFloodZone.js
+import { useEffect, useMemo, useRef, useState } from "react";
+
+/**
+ * GET /api/fema-floodzone for a point. Resolves to the response, or null
+ * when the request fails or no polygon was found.
+ */
+export async function fetchFloodZone(lat, lon, { signal } = {}) {
+  const r = await fetch(`/api/fema-floodzone?lat=${lat}&lon=${lon}`, {
+    headers: { Accept: "application/json" },
+    signal,
+  });
+  if (!r.ok) return null;
+
+  const gj = await r.json();
+  const hasFeatures = Array.isArray(gj?.features) && gj.features.length > 0;
+  return hasFeatures ? gj : null;
+}
+
+/**
+ * /api/fema-floodzone response for one park, fetched only when the park
+ * changes. Cleared immediately on change so nothing stale is ever shown.
+ * Returns null while loading, on error, or when no polygon was found.
+ */
+export default function useFloodZone(park) {
+  const [floodZone, setFloodZone] = useState(null);
+  const activeRequestIdRef = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      // Always clear immediately when the park changes
+      setFloodZone(null);
+
+      if (!park) return;
+
+      const lat = Number(park.latitude);
+      const lon = Number(park.longitude);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+
+      const requestId = ++activeRequestIdRef.current;
+
+      try {
+        const gj = await fetchFloodZone(lat, lon);
+
+        if (cancelled) return;
+        // Ignore stale responses
+        if (requestId !== activeRequestIdRef.current) return;
+
+        setFloodZone(gj);
+      } catch {
+        if (!cancelled && requestId === activeRequestIdRef.current) {
+          setFloodZone(null);
+        }
+      }
+    }
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [park]);
+
+  return floodZone;
+}
+
+/**
+ * /api/fema-floodzone responses for several parks at once (comparison).
+ * Returns a Map id → response (null when no polygon was found); parks still
+ * loading are absent. Responses are kept while the park stays in the set.
+ */
+export function useFloodZones(parks, getId) {
+  const [loaded, setLoaded] = useState(() => new Map());
+  const requestedRef = useRef(new Set());
+
+  const wanted = useMemo(
+    () =>
+      parks
+        .map((p) => ({ id: getId(p), lat: Number(p.latitude), lon: Number(p.longitude) }))
+        .filter((w) => Number.isFinite(w.lat) && Number.isFinite(w.lon)),
+    [parks, getId]
+  );
+
+  useEffect(() => {
+    const requested = requestedRef.current;
+    const ctrl = new AbortController();
+    const inFlight = new Set();
+
+    for (const w of wanted) {
+      if (requested.has(w.id)) continue;
+      requested.add(w.id);
+      inFlight.add(w.id);
+      fetchFloodZone(w.lat, w.lon, { signal: ctrl.signal })
+        .catch(() => null)
+        .then((gj) => {
+          inFlight.delete(w.id);
+          if (!ctrl.signal.aborted) setLoaded((prev) => new Map(prev).set(w.id, gj));
+        });
+    }
+
+    // Unfinished requests are retried by the next run if still wanted
+    return () => {
+      ctrl.abort();
+      for (const id of inFlight) requested.delete(id);
+    };
+  }, [wanted]);
+
+  return useMemo(
+    () => new Map(wanted.filter((w) => loaded.has(w.id)).map((w) => [w.id, loaded.get(w.id)])),
+    [wanted, loaded]
+  );
+}
@@ -0,0 +1,94 @@
+// src/useWatchlists.js
+import { useCallback, useEffect, useState } from "react";
+import {
+  acknowledgeWatchNotifications,
+  createWatchlist,
+  deleteWatchlist,
+  fetchWatchNotifications,
+  fetchWatchlists,
+  updateWatchlist,
+} from "./parksApi";
+
+const EMPTY = [];
+const USER_KEY = "parkwatch.user";
+
+// Watchlists belong to a plain name typed once and remembered in this browser
+export function loadWatchUser() {
+  try {
+    return window.localStorage.getItem(USER_KEY) ?? "";
+  } catch {
+    return "";
+  }
+}
+
+export function saveWatchUser(name) {
+  try {
+    window.localStorage.setItem(USER_KEY, name);
+  } catch (e) {
+    console.warn("Could not save user name:", e);
+  }
+}
+
+/**
+ * The user's watchlists and pending notifications (flood changes on
+ * watched parks), reloaded after every change. `user` null (no name yet,
+ * or the static data source) disables everything.
+ *
+ * Returns { lists, changes, error, create, rename, remove, toggle, acknowledge }.
+ * Actions reject with the API's message, which also stays in `error` until
+ * the next action; toggle(list, permit) flips membership.
+ */
+export default function useWatchlists(user) {
+  // Tagged with the user they belong to, so a name change never shows stale lists
+  const [data, setData] = useState(null); // { user, lists, changes } | { user, error }
+  const [version, setVersion] = useState(0);
+  // The last failed action, also tagged with its user; cleared when the next one starts
+  const [failed, setFailed] = useState(null); // { user, error }
+
+  useEffect(() => {
+    if (!user) return;
+    const ctrl = new AbortController();
+    Promise.all([
+      fetchWatchlists(user, { signal: ctrl.signal }),
+      fetchWatchNotifications(user, { signal: ctrl.signal }),
+    ])
+      .then(([lists, changes]) => setData({ user, lists, changes }))
+      .catch((e) => {
+        if (!ctrl.signal.aborted) setData({ user, error: String(e?.message ?? e) });
+      });
+    return () => ctrl.abort();
+  }, [user, version]);
+
+  const reload = useCallback(() => setVersion((v) => v + 1), []);
+
+  // Runs a mutation, then reloads whether it worked or not
+  const run = useCallback(
+    async (fn) => {
+      setFailed(null);
+      try {
+        return await fn();
+      } catch (e) {
+        setFailed({ user, error: String(e?.message ?? e) });
+        throw e;
+      } finally {
+        reload();
+      }
+    },
+    [reload, user]
+  );
+
+  const current = user && data?.user === user ? data : null;
+  const lists = current?.lists ?? EMPTY;
+
+  return {
+    lists,
+    changes: current?.changes ?? EMPTY,
+    error: current?.error ?? (user && failed?.user === user ? failed.error : null),
+    create: (name) => run(() => createWatchlist(user, name)),
+    rename: (id, name) => run(() => updateWatchlist(user, id, { name })),
+    remove: (id) => run(() => deleteWatchlist(user, id)),
+    toggle: (list, permit) =>
+      run(() => updateWatchlist(user, list.id, list.permits.includes(permit) ? { remove: permit } : { add: permit })),
+    acknowledge: (permits) => run(() => acknowledgeWatchNotifications(user, permits)),
+  };
+}
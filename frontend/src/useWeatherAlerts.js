@@ -0,0 +1,61 @@
+// src/useWeatherAlerts.js
+import { useEffect, useState } from "react";
+
+// The API caches the NWS feed for a couple of minutes; no point asking more often
+const POLL_MS = 5 * 60 * 1000;
+
+// Alerts with no end time stay until the feed drops them
+function stillActive(alert, now) {
+  const end = Date.parse(alert.expires ?? "");
+  return !Number.isFinite(end) || end > now;
+}
+
+/**
+ * Active weather alerts from /api/weather-alerts, refreshed every few
+ * minutes while the page is open. Returns { alerts, meta, error }. When a
+ * refresh fails, error is set and the alerts from the last good response
+ * stay until they expire; with the API unavailable from the start (e.g.
+ * the app on the bundled GeoJSON without the serverless functions) alerts
+ * stays [].
+ */
+export default function useWeatherAlerts() {
+  const [state, setState] = useState({ alerts: [], meta: null, error: null });
+
+  useEffect(() => {
+    let ctrl = null;
+
+    async function load() {
+      ctrl?.abort();
+      ctrl = new AbortController();
+      try {
+        const r = await fetch("/api/weather-alerts", {
+          headers: { Accept: "application/json" },
+          signal: ctrl.signal,
+        });
+        if (!r.ok) throw new Error(`Weather alerts failed: ${r.status}`);
+        const body = await r.json();
+        setState({ alerts: body.alerts ?? [], meta: body.meta ?? null, error: null });
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.warn("Weather alerts unavailable:", err);
+        // Keep the last alerts we had; a brief API outage mid-storm shouldn't
+        // clear them, but one that outlasts a warning shouldn't keep showing it
+        const now = Date.now();
+        setState((s) => ({
+          ...s,
+          alerts: s.alerts.filter((a) => stillActive(a, now)),
+          error: String(err?.message ?? err),
+        }));
+      }
+    }
+
+    load();
+    const timer = setInterval(load, POLL_MS);
+    return () => {
+      clearInterval(timer);
+      ctrl?.abort();
+    };
+  }, []);
+
+  return state;
+}
@@ -0,0 +1,64 @@
+// src/watchDigest.js
+// Watchlist change notifications: one entry per watched park whose
+// flood_zone or flood_risk differs from what its watcher last saw.
+// Shared by the app, /api/watch-notifications and scripts/watch-digest.js.
+
+import { toCsv } from "./download.js";
+
+/**
+ * Folds per-watchlist rows (the same park can sit in several lists) into
+ * one change per park.
+ * rows: { permit, park_name, county, watchlist, old_zone, new_zone, old_risk, new_risk, seen_at }
+ */
+export function groupChanges(rows) {
+  const byPermit = new Map();
+  for (const r of rows) {
+    const c = byPermit.get(r.permit);
+    if (c) {
+      if (!c.watchlists.includes(r.watchlist)) c.watchlists.push(r.watchlist);
+      continue;
+    }
+    byPermit.set(r.permit, {
+      permit: r.permit,
+      park_name: r.park_name ?? null,
+      county: r.county ?? null,
+      watchlists: [r.watchlist],
+      old_zone: r.old_zone ?? null,
+      new_zone: r.new_zone ?? null,
+      old_risk: r.old_risk ?? null,
+      new_risk: r.new_risk ?? null,
+      seen_at: r.seen_at ?? null,
+    });
+  }
+  return [...byPermit.values()];
+}
+
+// "AE → X" / "risk 2 → 3"
+export function describeChange(c) {
+  const parts = [];
+  if (c.old_zone !== c.new_zone) parts.push(`zone ${c.old_zone ?? "—"} → ${c.new_zone ?? "—"}`);
+  if (c.old_risk !== c.new_risk) parts.push(`risk ${c.old_risk ?? "—"} → ${c.new_risk ?? "—"}`);
+  return parts.join(", ");
+}
+
+const DIGEST_COLUMNS = [
+  "permit",
+  "park_name",
+  "county",
+  { key: "watchlists", get: (c) => c.watchlists.join("; ") },
+  "old_zone",
+  "new_zone",
+  "old_risk",
+  "new_risk",
+  { key: "change", get: describeChange },
+];
+
+export const DIGEST_FORMATS = {
+  csv: { ext: "csv", mime: "text/csv" },
+  json: { ext: "json", mime: "application/json" },
+};
+
+export function formatDigest(user, changes, format = "json") {
+  if (format === "csv") return toCsv(changes, DIGEST_COLUMNS);
+  return JSON.stringify({ user, generated_at: new Date().toISOString(), changes }, null, 2);
+}
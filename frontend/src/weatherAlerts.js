@@ -0,0 +1,105 @@
+// src/weatherAlerts.js
+// Active NWS weather alerts (flood, storm surge, hurricane warnings) against
+// the park inventory. Alerts come from /api/weather-alerts, already
+// normalized by api/_lib/weatherAlerts.js:
+//
+//   { id, event, severity, urgency, headline, description, instruction,
+//     area, sent, onset, expires, counties: ["Lee", …], geometry }
+//
+// A park is under an alert when it lies inside the alert's polygon, or, for
+// zone/county-based alerts that carry no polygon, when its county is one of
+// the alert's counties. Shared with the API, hence the .js imports.
+
+import { countyKey } from "./counties.js";
+import { geometryBounds, pointInGeometry } from "./geometry.js";
+
+// Events ingested by default (NWS_ALERT_EVENTS overrides on the server)
+export const ALERT_EVENTS = [
+  "Flash Flood Warning",
+  "Flood Warning",
+  "Coastal Flood Warning",
+  "Storm Surge Warning",
+  "Hurricane Warning",
+];
+
+export const ALERT_MATCH_LABELS = {
+  polygon: "inside the warning polygon",
+  county: "county-wide (no polygon issued)",
+};
+
+function isPolygonal(geometry) {
+  return geometry?.type === "Polygon" || geometry?.type === "MultiPolygon";
+}
+
+/**
+ * Which active alerts each park is under.
+ * @returns {Map<string, Array<{ alert, match: "polygon"|"county" }>>}
+ *   parkId → hits in the order of `alerts` (most severe first); parks under no
+ *   alert are absent.
+ */
+export function alertFlags(parks, alerts, getId) {
+  const flags = new Map();
+  if (!alerts?.length) return flags;
+
+  const prepared = alerts.map((alert) =>
+    isPolygonal(alert.geometry)
+      ? { alert, geometry: alert.geometry, bounds: geometryBounds(alert.geometry), counties: null }
+      : { alert, geometry: null, bounds: null, counties: new Set((alert.counties ?? []).map(countyKey)) }
+  );
+
+  for (const p of parks) {
+    const lat = Number(p.latitude);
+    const lon = Number(p.longitude);
+    const hasPoint = p.latitude != null && p.longitude != null && Number.isFinite(lat) && Number.isFinite(lon);
+    const county = countyKey(p.county);
+
+    for (const a of prepared) {
+      let match = null;
+      if (a.geometry) {
+        const b = a.bounds;
+        if (hasPoint && b && lon >= b[0] && lat >= b[1] && lon <= b[2] && lat <= b[3] && pointInGeometry(a.geometry, lon, lat)) {
+          match = "polygon";
+        }
+      } else if (county && a.counties.has(county)) {
+        match = "county";
+      }
+      if (!match) continue;
+
+      const id = getId(p);
+      const hits = flags.get(id) ?? [];
+      hits.push({ alert: a.alert, match });
+      flags.set(id, hits);
+    }
+  }
+  return flags;
+}
+
+/**
+ * Impacted parks and their billing spaces, overall and per alert.
+ * @returns {{ parks: number, spaces: number, byAlert: Object<string, { parks: number, spaces: number }> }}
+ */
+export function alertTotals(parks, flags, getId) {
+  const totals = { parks: 0, spaces: 0, byAlert: {} };
+  for (const p of parks) {
+    const hits = flags.get(getId(p));
+    if (!hits) continue;
+    const spaces = Number(p.billing_spaces) || 0;
+    totals.parks++;
+    totals.spaces += spaces;
+    for (const { alert } of hits) {
+      const t = (totals.byAlert[alert.id] ??= { parks: 0, spaces: 0 });
+      t.parks++;
+      t.spaces += spaces;
+    }
+  }
+  return totals;
+}
+
+// "until 6:00 PM" style expiry for badges and details
+export function alertUntil(alert) {
+  const t = alert.expires ?? alert.ends;
+  if (!t) return "";
+  const d = new Date(t);
+  if (Number.isNaN(d.getTime())) return "";
+  return `until ${d.toLocaleString(undefined, { weekday: "short", hour: "numeric", minute: "2-digit" })}`;
+}